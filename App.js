@@ -1,89 +1,84 @@
-import React, { useEffect, useMemo, useState } from 'react';
-import { SafeAreaView, View, Text, TextInput, TouchableOpacity, FlatList, ScrollView, Alert, Modal, Platform, StyleSheet, Linking } from 'react-native';
+import React, { memo, useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { SafeAreaView, View, Text, TextInput, TouchableOpacity, FlatList, ScrollView, Alert, Modal, Platform, StyleSheet, Linking, AppState } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import Svg, { Rect, G, Text as SvgText } from 'react-native-svg';
+import Svg, { Rect, G, Line, Polyline, Circle, Text as SvgText } from 'react-native-svg';
 import * as TaskManager from 'expo-task-manager';
 import * as BackgroundFetch from 'expo-background-fetch';
+import * as Crypto from 'expo-crypto';
+import { createStorage } from './src/storage';
+import { createOutbox } from './src/outbox';
+import { DESTINATION_TYPES, newDestination, deliverToDestinations } from './src/destinations';
+import { barChartLayout, lineChartLayout, polylinePoints, CHART_COLORS, PACE_COLORS } from './src/chart';
+import { parseCSV, guessColumnMapping, parseDateCell } from './src/csvImport';
+import { parseHolidays } from './src/holidayImport';
+import { shareTextFile, pickTextFile } from './src/files';
+import { createBackup, readBackupHeader, openBackup } from './src/backup';
+import { createSync } from './src/sync';
+import { biometricsAvailable, authenticateBiometric } from './src/access';
+import { validPin, createPinLock, checkPin, pinLockOutdated, pinAttempt } from './src/pin';
+import { createNotifier, showWhileOpen, requestNotificationPermission, presentNotification } from './src/notifications';
+import {
+  DEFAULT_KPIS, DEFAULT_EMAIL, DEFAULT_SEND_HOUR, EMAIL_TO_KEY, SEND_HOUR_KEY, KPI_SCHEMA_KEY, ROSTER_KEY,
+  OUTBOX_KEY, DESTINATIONS_KEY, FUNNEL_MONTHS_KEY, FUNNEL_WINDOWS, DEFAULT_FUNNEL_MONTHS, LEADERBOARD_KEY,
+  ORG_KEY, SYNC_KEY, SYNC_CONFIG_KEY, ACCESS_KEY, NOTIFY_KEY, NOTIFY_STATE_KEY, CALENDAR_KEY,
+  ROSTER_STATUSES, activeKpis, defaultTargets, kpiKeyFromLabel, withUnit, LS_KEY, pct, pace, paceLabel,
+  genId, setDayActivity, associateTotals, RAMP_PRESETS, targetFactor, planFor, effectiveTargets,
+  teamTargetsFor, kpiWeight, migrateAssociate,
+} from './src/core';
+import {
+  DEFAULT_CALENDAR, monthKey, dayKey, shiftDay, defaultLogDate, workingDayProgress, mergeHolidays, addLeave,
+  validTimeZone, wallClock,
+} from './src/calendar';
+import { joinRoster, sameName, reconcileRoster, newMonthState, planCsvImport } from './src/roster';
+import {
+  EMPTY_ORG, SCOPE_TYPES, newOffice, newTeam, scopeAssociates, scopeName, reportScopeKey, parseReportScope,
+  destinationReports, scopedReports,
+} from './src/teams';
+import { EMPTY_ACCESS, MANAGER_RELOCK_MS, pinLockoutSeconds } from './src/roles';
+import {
+  AUDIT_ACTIONS, monthChanges, applyMonthChanges, auditEntry, appendAudit, changeLine, auditLine,
+  associateHistory, auditCsv, readAudit, writeAudit,
+} from './src/audit';
+import { STORAGE_MIGRATIONS } from './src/migrations';
+import {
+  backupKeys, readBackupState, backupStateFromEntries, loggedDays, backupDiff, mergeBackupState,
+  mergeAudit, writeBackupState,
+} from './src/backupState';
+import { isSyncedKey, syncRecordOwner, readSyncRecords, stateFromSyncRecords, writeSyncedState, syncStatusLabel } from './src/syncRecords';
+import { monthHistory, attainedPct, rollingAverage, rollUpHistory } from './src/trends';
+import { funnelSource, funnelTotals, funnelRatios, funnelGoalKpi, funnelPlan, rateLabel, planSentence } from './src/funnel';
+import {
+  DEFAULT_SCORING, STREAK_UNITS, monthEndDay, streakLabel, buildLeaderboard, movementLabel,
+  shortMonthLabel,
+} from './src/leaderboard';
+import {
+  TABLE_FILTERS, associateTableRows, filterTableRows, sortTableRows, parseBulkColumn, applyBulkEntry,
+} from './src/associatesTable';
+import {
+  inQuietHours, NOTIFICATION_RULE_TYPES, WEEKDAYS, DEFAULT_NOTIFICATIONS, newPaceRule, ruleLabel,
+  dueNotifications,
+} from './src/notificationRules';
+import { buildCSVFromAssociates, reportDueDay, reportDaysSince, buildReport } from './src/report';
+import { createTestRunner, runDomainTests } from './src/selfTest';
 
-/*************************
- * Constants & Utilities  *
- *************************/
-const DEFAULT_TARGETS = {
-  connects: 800,
-  geoData: 50,
-  buyerAppointments: 20,
-  marketAppraisals: 25,
-  listingsGenerated: 1,
-};
-
-const KPI_LABELS = {
-  connects: 'Connects',
-  geoData: 'Geo Data',
-  buyerAppointments: 'Buyer Appointments',
-  marketAppraisals: 'Market Appraisals',
-  listingsGenerated: 'Listings Generated',
-};
-
-const DEFAULT_EMAIL = 'john.yatman@raywhite.com';
-const DEFAULT_SEND_HOUR = 18; // 18:00 (6pm) local time
-const EMAIL_WEBHOOK_URL_KEY = 'salesTargetsMobileV1_emailWebhookUrl';
-const EMAIL_TO_KEY = 'salesTargetsMobileV1_emailTo';
-const SEND_HOUR_KEY = 'salesTargetsMobileV1_sendHour';
-
-function monthKey(date = new Date()) {
-  const y = date.getFullYear();
-  const m = `${date.getMonth() + 1}`.padStart(2, '0');
-  return `${y}-${m}`; // e.g. 2025-08
-}
-
-const LS_KEY = 'salesTargetsMobileV1';
-
-async function safeStoreGet(key) {
-  try { const raw = await AsyncStorage.getItem(key); return raw; } catch { return null; }
-}
-async function safeStoreSet(key, value) {
-  try { await AsyncStorage.setItem(key, value); } catch {}
-}
-
-function pct(n, d) { if (!d || d === 0) return 0; return Math.min(100, Math.round((n / d) * 100)); }
-
-function toCSV(rows) {
-  if (!rows.length) return '';
-  const headers = Object.keys(rows[0]);
-  const escape = (v) => `"${String(v).replaceAll('"', '""')}"`;
-  const lines = [headers.join(','), ...rows.map((r) => headers.map((h) => escape(r[h] ?? '')).join(','))];
-  return lines.join('\n');
-}
-
-function genId() {
-  try { if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID(); } catch {}
-  const rand = Math.random().toString(36).slice(2, 10);
-  return `id-${rand}-${Date.now()}`;
-}
-
-function buildSnapshotText({ month, associates, targets }) {
-  const head = `Sales Targets – ${month}`;
-  const count = associates.length;
-  const totals = ['connects','geoData','buyerAppointments','marketAppraisals','listingsGenerated'].map(k => {
-    const sum = associates.reduce((s,a)=>s+Number(a.metrics?.[k]||0),0);
-    const teamTarget = (Number(targets[k])||0) * Math.max(1, count||1);
-    const p = pct(sum, teamTarget);
-    return `${KPI_LABELS[k]}: ${sum} / ${teamTarget} (${p}%)`;
-  }).join('\n');
-  return `${head}\nTeam Size: ${count}\n\n${totals}`;
-}
+/*********************
+ * Storage & Sync     *
+ *********************/
+// Shared by the UI and the background task
+const storage = createStorage({ backend: AsyncStorage, prefix: LS_KEY, migrations: STORAGE_MIGRATIONS, onWrite: (key) => { if (isSyncedKey(key)) sync.noteLocalChange(key); } });
+const STORE_CATCH_UP_MS = 500; // in-memory copy of the month being edited lags this far behind typing
+// expo-crypto hashes natively; it has no PBKDF2, so backups derive keys in JS
+const BACKUP_PRIMITIVES = { sha256Hex: (text) => Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA256, text) };
 
-function buildCSVFromAssociates(associates){
-  const rows = associates.map((a) => ({
-    Name: a.name,
-    Connects: a.metrics.connects || 0,
-    GeoData: a.metrics.geoData || 0,
-    BuyerAppointments: a.metrics.buyerAppointments || 0,
-    MarketAppraisals: a.metrics.marketAppraisals || 0,
-    ListingsGenerated: a.metrics.listingsGenerated || 0,
-  }));
-  return toCSV(rows);
-}
+const sync = createSync({
+  storage,
+  key: SYNC_KEY,
+  config: () => storage.getJSON(SYNC_CONFIG_KEY, {}),
+  read: (keys) => readSyncRecords(storage, keys),
+  owner: syncRecordOwner,
+  write: async (records) => writeSyncedState(storage, stateFromSyncRecords(records, await readBackupState(storage))),
+  newId: genId,
+});
 
 /*********************
  * Error Boundary     *
@@ -116,65 +111,128 @@ class ErrorBoundary extends React.Component {
  *********************/
 function BarChart({ data }) {
   // data: [{ label, actual, target }]
-  const width = 360; const height = 200; const padding = 28; const barWidth = 24; const gap = 32;
-  const maxVal = Math.max(1, ...data.map(d => Math.max(d.actual, d.target)));
-  const scale = (v) => (v / maxVal) * (height - padding * 2);
+  const { width, height, axes, bars } = barChartLayout(data);
   return (
     <Svg width="100%" height={height} viewBox={`0 0 ${width} ${height}`}>
-      <Rect x={padding} y={padding} width={1} height={height - padding * 2} fill="#e5e7eb" />
-      <Rect x={padding} y={height - padding} width={width - padding * 2} height={1} fill="#e5e7eb" />
+      {axes.map((r, i) => <Rect key={i} {...r} fill={CHART_COLORS.axis} />)}
       <G>
-        {data.map((d, i) => {
-          const x0 = padding + 20 + i * (barWidth * 2 + gap);
-          const hTarget = scale(d.target);
-          const hActual = scale(d.actual);
-          return (
-            <G key={i}>
-              <Rect x={x0} y={height - padding - hTarget} width={barWidth} height={hTarget} fill="#e5e7eb" />
-              <Rect x={x0 + barWidth + 4} y={height - padding - hActual} width={barWidth} height={hActual} fill="#3b82f6" />
-              <SvgText x={x0 + barWidth} y={height - padding + 14} fontSize="10" textAnchor="middle">{d.label}</SvgText>
-            </G>
-          );
-        })}
+        {bars.map((b, i) => (
+          <G key={i}>
+            <Rect {...b.target} fill={CHART_COLORS.target} />
+            <Rect {...b.actual} fill={CHART_COLORS.actual} />
+            <SvgText x={b.label.x} y={b.label.y} fontSize="10" textAnchor="middle">{b.label.text}</SvgText>
+          </G>
+        ))}
       </G>
     </Svg>
   );
 }
 
+/*********************
+ * Trend Line Chart   *
+ *********************/
+function LineChart({ points }) {
+  // points: [{ label, value, avg, attained }]
+  const l = lineChartLayout(points);
+  return (
+    <Svg width="100%" height={l.height} viewBox={`0 0 ${l.width} ${l.height}`}>
+      <Rect x={l.left} y={l.baseline} width={l.width - l.left - l.right} height={1} fill={CHART_COLORS.axis} />
+      <Line x1={l.left} x2={l.width - l.right} y1={l.hundredY} y2={l.hundredY} stroke={CHART_COLORS.attained} strokeWidth={1} strokeDasharray="2,3" />
+      <SvgText x={l.width - 2} y={l.hundredY + 3} fontSize="8" textAnchor="end" fill={CHART_COLORS.attained}>100%</SvgText>
+      {l.attained.map((seg, i) => <Polyline key={`p${i}`} points={polylinePoints(seg)} fill="none" stroke={CHART_COLORS.attained} strokeWidth={1.5} />)}
+      {l.avg.map((seg, i) => <Polyline key={`a${i}`} points={polylinePoints(seg)} fill="none" stroke={CHART_COLORS.average} strokeWidth={1.5} strokeDasharray="4,3" />)}
+      {l.value.map((seg, i) => <Polyline key={`v${i}`} points={polylinePoints(seg)} fill="none" stroke={CHART_COLORS.actual} strokeWidth={2} />)}
+      {l.value.flat().map((p, i) => <Circle key={`d${i}`} cx={p.x} cy={p.y} r={2.5} fill={CHART_COLORS.actual} />)}
+      {l.labels.map((t) => <SvgText key={t.x} x={t.x} y={l.height - 6} fontSize="9" textAnchor="middle">{t.text}</SvgText>)}
+    </Svg>
+  );
+}
+
+/*********************
+ * Associates Table   *
+ *********************/
+// What a row shows; it only re-renders when this changes, so logging for one person leaves the other
+// few hundred rows alone
+function rowSignature(row, kpis, month) {
+  const plan = row.a.targetPlan;
+  return [row.name, row.a.status, row.onLeave, row.prog, row.pacePct, targetFactor(planFor(row.a), month), plan?.overrides && Object.keys(plan.overrides).length,
+    ...kpis.map((k) => `${row.totals[k.key]}:${row.paces[k.key].projected}:${row.paces[k.key].status}`)].join('|');
+}
+
+// onAction('log' | 'plan' | 'delete', id)
+const AssociateRow = memo(function AssociateRow({ row, kpis, month, onAction }) {
+  const a = row.a;
+  return (
+    <View style={[styles.rowBetween, styles.tableRow]}>
+      <TouchableOpacity style={{ flex: 1 }} onPress={() => onAction('log', a.id)}><Text numberOfLines={1} style={[styles.td, { color: '#3b82f6' }]}>{a.name}{a.status && a.status !== 'active' ? ` (${ROSTER_STATUSES.find((x) => x.key === a.status)?.label.toLowerCase()})` : row.onLeave ? ' (on leave)' : ''}</Text></TouchableOpacity>
+      {kpis.map(({ key: k }) => (
+        <View key={k} style={{ width: 60 }}>
+          <Text style={[styles.tdShort, { color: PACE_COLORS[row.paces[k].status] }]}>{row.totals[k]}</Text>
+          <Text style={[styles.tdShort, { fontSize: 10, color: '#6b7280' }]}>→{row.paces[k].projected}</Text>
+        </View>
+      ))}
+      <Text style={styles.tdShort}>{row.prog}%</Text>
+      <Text style={[styles.tdShort, { color: row.pacePct >= 100 ? PACE_COLORS.ahead : PACE_COLORS.behind }]}>{row.pacePct}%</Text>
+      <TouchableOpacity onPress={() => onAction('plan', a.id)}><Text style={[styles.tdShort, { color: '#3b82f6' }]}>{Math.round(targetFactor(planFor(a), month) * 100)}%{a.targetPlan?.overrides && Object.keys(a.targetPlan.overrides).length ? '*' : ''}</Text></TouchableOpacity>
+      <TouchableOpacity onPress={() => onAction('delete', a.id)}><Text style={[styles.tdShort, { color: '#ef4444' }]}>X</Text></TouchableOpacity>
+    </View>
+  );
+}, (prev, next) => prev.kpis === next.kpis && prev.month === next.month && prev.onAction === next.onAction && rowSignature(prev.row, prev.kpis, prev.month) === rowSignature(next.row, next.kpis, next.month));
+
 /*********************
  * Background Email Task
  *********************/
 const TASK_NAME = 'salesTargetsDailyEmailTask';
 
+// Report for one day, built from what is stored (the UI's unsaved edits are read through the write queue)
+async function buildDailyReport(day, opts) {
+  return buildReport(await readBackupState(storage), day, opts);
+}
+
+// Each destination gets the reports it subscribes to
+async function deliverReport(report, { skip }) {
+  const destinations = await storage.getJSON(DESTINATIONS_KEY, []);
+  return deliverToDestinations(destinations.filter((d) => destinationReports(d).includes(report.scope || '')), report, { skip });
+}
+
+// The main report every day, plus one per subscribed team or office at its own send hour. Send hours
+// are read in the calendar's time zone. Days since a scope's last queued report are due too.
+async function dueReports(now, lastQueued = {}) {
+  const sendHour = Number((await storage.getItem(SEND_HOUR_KEY)) || DEFAULT_SEND_HOUR);
+  const scoped = scopedReports(await storage.getJSON(ORG_KEY, EMPTY_ORG), await storage.getJSON(DESTINATIONS_KEY, []));
+  const calendar = { ...DEFAULT_CALENDAR, ...(await storage.getJSON(CALENDAR_KEY, {})) };
+  const local = wallClock(now, calendar.timeZone);
+  const due = (scope, hour) => reportDaysSince(lastQueued[scope], reportDueDay(local, hour, calendar), calendar).map((day) => ({ scope, day }));
+  return [
+    ...due('', sendHour),
+    ...scoped.flatMap((r) => due(r.key, r.sendHour === '' || r.sendHour == null ? sendHour : Number(r.sendHour))),
+  ];
+}
+
+const outbox = createOutbox({
+  storage,
+  key: OUTBOX_KEY,
+  build: buildDailyReport,
+  deliver: deliverReport,
+  dueReports,
+});
+
+const notifier = createNotifier({
+  storage,
+  key: NOTIFY_STATE_KEY,
+  settings: () => storage.getJSON(NOTIFY_KEY, DEFAULT_NOTIFICATIONS),
+  due: async (rules, now) => dueNotifications(rules, { store: await storage.allMonths(), roster: await storage.getJSON(ROSTER_KEY, []), selfId: (await storage.getJSON(ACCESS_KEY, EMPTY_ACCESS)).selfId, now, calendar: { ...DEFAULT_CALENDAR, ...(await storage.getJSON(CALENDAR_KEY, {})) } }),
+});
+
+// Also checks the notification rules, so reminders ride on the same background schedule
 TaskManager.defineTask(TASK_NAME, async () => {
   try {
-    const raw = await AsyncStorage.getItem(LS_KEY);
-    const store = raw ? JSON.parse(raw) : {};
-    const month = monthKey();
-    const state = store[month] || { targets: DEFAULT_TARGETS, associates: [] };
-    const to = (await AsyncStorage.getItem(EMAIL_TO_KEY)) || DEFAULT_EMAIL;
-    const webhook = await AsyncStorage.getItem(EMAIL_WEBHOOK_URL_KEY);
-    const sendHour = Number((await AsyncStorage.getItem(SEND_HOUR_KEY)) || DEFAULT_SEND_HOUR);
-
-    // Send within ±30 minutes of the configured hour
-    const now = new Date();
-    const minutesNow = now.getHours() * 60 + now.getMinutes();
-    const minutesTarget = sendHour * 60;
-    const withinWindow = Math.abs(minutesNow - minutesTarget) <= 30;
-    if (!withinWindow) return BackgroundFetch.BackgroundFetchResult.NoData;
-
-    const subject = `Daily KPI – ${month}`;
-    const text = buildSnapshotText({ month, associates: state.associates, targets: state.targets });
-    const csv = buildCSVFromAssociates(state.associates);
-
-    if (webhook) {
-      const res = await fetch(webhook, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ to, subject, text, csv, month }) });
-      const ok = res.ok;
-      return ok ? BackgroundFetch.BackgroundFetchResult.NewData : BackgroundFetch.BackgroundFetchResult.Failed;
-    } else {
-      console.log('No EMAIL_WEBHOOK_URL configured; skipping background email.');
-      return BackgroundFetch.BackgroundFetchResult.NoData;
-    }
+    await storage.hydrate();
+    await sync.run(); // the report should include what other devices logged
+    const { sent, failed } = await outbox.process();
+    const shown = await notifier.check().catch((e) => { console.log('Notification check error', e); return 0; });
+    if (failed) return BackgroundFetch.BackgroundFetchResult.Failed;
+    return sent || shown ? BackgroundFetch.BackgroundFetchResult.NewData : BackgroundFetch.BackgroundFetchResult.NoData;
   } catch (e) {
     console.log('Email task error', e);
     return BackgroundFetch.BackgroundFetchResult.Failed;
@@ -201,56 +259,148 @@ async function registerDailyEmailTask() {
  *********************/
 export default function App() {
   const [store, setStore] = useState({});
+  const [hydrated, setHydrated] = useState(false);
   const [month, setMonth] = useState(monthKey());
 
-  const monthState = store[month] || { targets: DEFAULT_TARGETS, associates: [] };
+  const monthState = store[month] || { kpis: DEFAULT_KPIS, targets: defaultTargets(DEFAULT_KPIS), associates: [] };
 
+  const [kpis, setKpis] = useState(monthState.kpis);
   const [targets, setTargets] = useState(monthState.targets);
-  const [associates, setAssociates] = useState(monthState.associates);
+  const [rows, setRows] = useState(monthState.associates);
+  const [deletedRows, setDeletedRows] = useState(monthState.deleted || []); // soft-deleted this month, restorable
+  const [roster, setRoster] = useState([]);
 
   const [activeTab, setActiveTab] = useState('team');
   const [newName, setNewName] = useState('');
   const [importVisible, setImportVisible] = useState(false);
   const [importText, setImportText] = useState('');
+  const [importSource, setImportSource] = useState(null); // { name, kind: 'csv' | 'json', text }
+  const [importMapping, setImportMapping] = useState(null);
+  const [backupPassphrase, setBackupPassphrase] = useState('');
+  const [trendScope, setTrendScope] = useState('team'); // 'team' or an associate id
+  const [trendPeriod, setTrendPeriod] = useState('quarter');
+  const [funnelMonths, setFunnelMonths] = useState(DEFAULT_FUNNEL_MONTHS);
+  const [funnelGoals, setFunnelGoals] = useState({}); // calculator goal per scope ('team' or associate id)
+  const [scoring, setScoring] = useState(DEFAULT_SCORING);
+  const [org, setOrg] = useState(EMPTY_ORG);
+  const [calendar, setCalendar] = useState(DEFAULT_CALENDAR);
+  const [holidayDraft, setHolidayDraft] = useState({ date: '', name: '' });
+  const [leaveDraft, setLeaveDraft] = useState({ from: '', to: '', note: '' });
+  const [tableQuery, setTableQuery] = useState('');
+  const [tableFilter, setTableFilter] = useState('all');
+  const [tableSort, setTableSort] = useState({ key: 'name', desc: false });
+  const [bulk, setBulk] = useState(null); // { kpi, date, mode: 'paste' | 'step', text, entries: { [id]: string }, index, people: [{ id, name }] }
+  const [scope, setScope] = useState({ type: 'all' }); // what the team views and CSV export cover
+  const [orgEdit, setOrgEdit] = useState(null); // { kind: 'office' | 'team', id }
+  const [newOfficeName, setNewOfficeName] = useState('');
+  const [newTeamName, setNewTeamName] = useState('');
+  const [restore, setRestore] = useState(null); // { name, text, header, passphrase, current, incoming, diff, error }
   const [tests, setTests] = useState([]);
+  const [newKpiLabel, setNewKpiLabel] = useState('');
+  const [weightDrafts, setWeightDrafts] = useState({}); // KPI weights as typed, by KPI key
+  const [logVisible, setLogVisible] = useState(false);
+  const [logAssociateId, setLogAssociateId] = useState(null);
+  const [logDate, setLogDate] = useState(dayKey());
+  const [planAssociateId, setPlanAssociateId] = useState(null);
+  const [profileId, setProfileId] = useState(null);
+  const [deliveryVisible, setDeliveryVisible] = useState(false);
+  const [delivery, setDelivery] = useState({ reports: {}, log: [] });
 
   const [emailTo, setEmailTo] = useState(DEFAULT_EMAIL);
-  const [emailWebhook, setEmailWebhook] = useState('');
+  const [destinations, setDestinations] = useState([]);
+  const [destinationId, setDestinationId] = useState(null);
   const [sendHour, setSendHour] = useState(String(DEFAULT_SEND_HOUR));
+  const [syncConfig, setSyncConfig] = useState({ enabled: false, url: '', token: '' });
+  const [syncStatus, setSyncStatus] = useState(sync.getStatus());
+  const [access, setAccess] = useState(EMPTY_ACCESS);
+  const [unlocked, setUnlocked] = useState(false);
+  const [sessionSelfId, setSessionSelfId] = useState(null); // whoever picked their name on a shared phone
+  const [pinEntry, setPinEntry] = useState(null); // { purpose: 'unlock' | 'set', pin, confirm, error }
+  const [bioAvailable, setBioAvailable] = useState(false);
+  const [audit, setAudit] = useState([]);
+  const savedAudit = useRef(null); // the trail as last loaded or saved, so loading it doesn't save it back
+  const [undoStack, setUndoStack] = useState([]); // this session's audit entries, newest first
+  const [redoStack, setRedoStack] = useState([]);
+  const [notify, setNotify] = useState(DEFAULT_NOTIFICATIONS);
+  const [notifyLog, setNotifyLog] = useState([]);
+  const backgroundedAt = useRef(0);
+  const canManage = !access.pinHash || unlocked;
+  const selfId = access.selfId || sessionSelfId;
+  const shownTab = canManage ? activeTab : 'self';
+
+  // Everything on screen, from storage – on mount and after a restore
+  async function loadFromStorage() {
+    const obj = await storage.allMonths();
+    const schema = await storage.getJSON(KPI_SCHEMA_KEY, DEFAULT_KPIS);
+    const people = await storage.getJSON(ROSTER_KEY, []);
+    if (!obj[month]) obj[month] = newMonthState(obj, month, people, schema);
+    setStore(obj); setRoster(people); setKpis(obj[month].kpis); setTargets(obj[month].targets); setRows(obj[month].associates); setDeletedRows(obj[month].deleted || []);
+    const trail = await readAudit(storage);
+    savedAudit.current = trail; setAudit(trail);
+
+    const savedTo = (await storage.getItem(EMAIL_TO_KEY)) || DEFAULT_EMAIL; setEmailTo(savedTo.replace(/"/g,''));
+    setDestinations(await storage.getJSON(DESTINATIONS_KEY, []));
+    const savedHour = (await storage.getItem(SEND_HOUR_KEY)) || String(DEFAULT_SEND_HOUR); setSendHour(String(savedHour));
+    setFunnelMonths(Number(await storage.getItem(FUNNEL_MONTHS_KEY)) || DEFAULT_FUNNEL_MONTHS);
+    setScoring(await storage.getJSON(LEADERBOARD_KEY, DEFAULT_SCORING));
+    setOrg(await storage.getJSON(ORG_KEY, EMPTY_ORG));
+    setCalendar({ ...DEFAULT_CALENDAR, ...(await storage.getJSON(CALENDAR_KEY, {})) });
+  }
 
   // Load persisted store & email settings on mount
   useEffect(() => {
     (async () => {
-      const raw = await safeStoreGet(LS_KEY);
-      const obj = raw ? JSON.parse(raw) : {};
-      if (!obj[month]) {
-        obj[month] = { targets: { ...DEFAULT_TARGETS }, associates: [
-          { id: genId(), name: 'Alex', metrics: { connects: 120, geoData: 10, buyerAppointments: 3, marketAppraisals: 4, listingsGenerated: 0 } },
-          { id: genId(), name: 'Bianca', metrics: { connects: 300, geoData: 18, buyerAppointments: 7, marketAppraisals: 10, listingsGenerated: 1 } },
-          { id: genId(), name: 'Chris', metrics: { connects: 90, geoData: 5, buyerAppointments: 1, marketAppraisals: 2, listingsGenerated: 0 } },
-        ] };
-      }
-      setStore(obj); setTargets(obj[month].targets); setAssociates(obj[month].associates);
-
-      const savedTo = (await safeStoreGet(EMAIL_TO_KEY)) || DEFAULT_EMAIL; setEmailTo(savedTo.replace(/"/g,''));
-      const savedWebhook = (await safeStoreGet(EMAIL_WEBHOOK_URL_KEY)) || ''; setEmailWebhook(savedWebhook?.replace(/"/g,''));
-      const savedHour = (await safeStoreGet(SEND_HOUR_KEY)) || String(DEFAULT_SEND_HOUR); setSendHour(String(savedHour));
+      try { await storage.hydrate(); } catch (e) { Alert.alert('Could not load data', `${String(e?.message || e)}\n\nChanges will not be saved.`); return; }
+      await loadFromStorage();
+      setHydrated(true);
 
+      setSyncConfig({ enabled: false, url: '', token: '', ...(await storage.getJSON(SYNC_CONFIG_KEY, {})) });
+      setAccess({ ...EMPTY_ACCESS, ...(await storage.getJSON(ACCESS_KEY, {})) });
+      setBioAvailable(await biometricsAvailable());
+      setNotify({ ...DEFAULT_NOTIFICATIONS, ...(await storage.getJSON(NOTIFY_KEY, {})) });
+      showWhileOpen();
       await registerDailyEmailTask();
+      await sync.run();
+      outbox.process();
+      checkNotifications();
     })();
   }, []);
 
-  // Persist changes
+  // Header sync status; reload the screen whenever a sync brought in another device's changes
+  useEffect(() => sync.subscribe(setSyncStatus), []);
+  useEffect(() => { if (syncStatus.revision) loadFromStorage(); }, [syncStatus.revision]);
+
+  // Persist changes – only the month being edited, and never before the load above has finished. The
+  // in-memory store behind trends and month switching catches up once typing pauses (or the month changes).
+  const storeCatchUp = useRef(null); // { month, state, timer }
+  function catchUpStore() {
+    const pending = storeCatchUp.current; if (!pending) return;
+    clearTimeout(pending.timer); storeCatchUp.current = null;
+    setStore((prev) => ({ ...prev, [pending.month]: pending.state }));
+  }
   useEffect(() => {
-    const next = { ...store, [month]: { targets, associates } };
-    setStore(next);
-    safeStoreSet(LS_KEY, JSON.stringify(next));
-  }, [targets, associates, month]);
+    if (!hydrated) return;
+    const state = viewedMonthState();
+    storage.setMonth(month, state);
+    if (storeCatchUp.current?.month === month) clearTimeout(storeCatchUp.current.timer); else catchUpStore();
+    storeCatchUp.current = { month, state, timer: setTimeout(catchUpStore, STORE_CATCH_UP_MS) };
+  }, [hydrated, kpis, targets, rows, deletedRows, month]);
 
   // Persist email settings
-  useEffect(() => { safeStoreSet(EMAIL_TO_KEY, emailTo); }, [emailTo]);
-  useEffect(() => { safeStoreSet(EMAIL_WEBHOOK_URL_KEY, emailWebhook); }, [emailWebhook]);
-  useEffect(() => { safeStoreSet(SEND_HOUR_KEY, String(sendHour)); }, [sendHour]);
+  useEffect(() => { if (hydrated) storage.setItem(EMAIL_TO_KEY, emailTo); }, [hydrated, emailTo]);
+  useEffect(() => { if (hydrated) storage.setItem(SEND_HOUR_KEY, String(sendHour)); }, [hydrated, sendHour]);
+  useEffect(() => { if (hydrated) storage.setItem(FUNNEL_MONTHS_KEY, String(funnelMonths)); }, [hydrated, funnelMonths]);
+
+  // Write out anything still debounced when the app leaves the foreground
+  useEffect(() => {
+    const sub = AppState.addEventListener('change', (s) => {
+      if (s === 'background') backgroundedAt.current = Date.now();
+      if (s === 'active' && backgroundedAt.current && Date.now() - backgroundedAt.current > MANAGER_RELOCK_MS) { setUnlocked(false); setSessionSelfId(null); setUndoStack([]); setRedoStack([]); }
+      if (s !== 'active') storage.flush();
+      else if (storage.isHydrated()) sync.run().then(() => outbox.process()).then(checkNotifications); // catch up on other devices' changes and missed or failed reports
+    });
+    return () => sub.remove();
+  }, []);
 
   // Month list (last 18 months)
   const months = useMemo(() => {
@@ -259,78 +409,632 @@ export default function App() {
     return arr;
   }, []);
 
+  const visibleKpis = useMemo(() => activeKpis(kpis), [kpis]);
+  const associates = useMemo(() => joinRoster(rows, roster), [rows, roster]);
+  // A scope whose office, team or associate has gone falls back to everyone
+  const viewScope = useMemo(() => {
+    if (scope.type === 'all') return scope;
+    const list = scope.type === 'office' ? org.offices : scope.type === 'team' ? org.teams : associates;
+    return list.some((x) => x.id === scope.id) ? scope : { type: 'all' };
+  }, [scope, org, associates]);
+  const scoped = useMemo(() => scopeAssociates(associates, viewScope, org), [associates, viewScope, org]);
+  const scopedIds = useMemo(() => (viewScope.type === 'all' ? null : scoped.map((a) => a.id)), [viewScope, scoped]);
+
+  const totalsById = useMemo(() => {
+    const out = {}; associates.forEach((a) => (out[a.id] = associateTotals(a, kpis)));
+    return out;
+  }, [associates, kpis]);
+
   const teamTotals = useMemo(() => {
-    const totals = { connects: 0, geoData: 0, buyerAppointments: 0, marketAppraisals: 0, listingsGenerated: 0 };
-    associates.forEach((a) => { Object.keys(totals).forEach((k) => (totals[k] += Number(a.metrics?.[k] || 0))); });
+    const totals = {}; kpis.forEach((k) => (totals[k.key] = 0));
+    scoped.forEach((a) => { Object.keys(totals).forEach((k) => (totals[k] += totalsById[a.id][k] || 0)); });
     return totals;
-  }, [associates]);
+  }, [scoped, totalsById, kpis]);
+
+  const targetsById = useMemo(() => {
+    const out = {}; associates.forEach((a) => (out[a.id] = effectiveTargets(a, targets, kpis, month, calendar)));
+    return out;
+  }, [associates, targets, kpis, month, calendar]);
 
-  const teamTargets = useMemo(() => {
-    const count = Math.max(1, associates.length || 1);
-    const agg = {}; Object.keys(targets).forEach((k) => (agg[k] = (Number(targets[k]) || 0) * count));
-    return agg;
-  }, [targets, associates.length]);
+  const teamTargets = useMemo(() => teamTargetsFor(scoped, targets, kpis, month, calendar), [scoped, targets, kpis, month, calendar]);
 
-  const chartData = useMemo(() => (Object.keys(KPI_LABELS).map((k) => ({ label: KPI_LABELS[k], actual: teamTotals[k], target: teamTargets[k] }))), [teamTotals, teamTargets]);
+  const dayProgress = useMemo(() => workingDayProgress(month, new Date(), calendar), [month, calendar]);
+  // People with leave this month are paced over the days they're in
+  const progressById = useMemo(() => {
+    const out = {}; associates.forEach((a) => (out[a.id] = a.leave?.length ? workingDayProgress(month, new Date(), calendar, a) : dayProgress));
+    return out;
+  }, [associates, month, calendar, dayProgress]);
+  const tableDay = month === monthKey() ? dayKey() : monthEndDay(month);
+  const allTableRows = useMemo(() => associateTableRows(associates, { kpis, totals: totalsById, targets: targetsById, progress: progressById, day: tableDay }), [associates, kpis, totalsById, targetsById, progressById, tableDay]);
+  const tableRows = useMemo(() => sortTableRows(filterTableRows(allTableRows, { query: tableQuery, filter: tableFilter }), tableSort), [allTableRows, tableQuery, tableFilter, tableSort]);
+  const monthHolidays = useMemo(() => calendar.holidays.filter((h) => h.date.startsWith(month)), [calendar, month]);
 
+  const trendHistory = useMemo(() => monthHistory(store, roster, kpis, trendScope === 'team' ? null : trendScope, calendar).slice(-24), [store, roster, kpis, trendScope, calendar]);
+  const trendRollup = useMemo(() => rollUpHistory(trendHistory, trendPeriod, visibleKpis), [trendHistory, trendPeriod, visibleKpis]);
+  const importTable = useMemo(() => (importSource?.kind === 'csv' ? parseCSV(importSource.text) : null), [importSource]);
+  const importPlan = useMemo(() => (importTable && importMapping ? planCsvImport(importTable, importMapping, { rows, roster, kpis, month }) : null), [importTable, importMapping, rows, roster, kpis, month]);
+  const importMonth = useMemo(() => {
+    if (importSource?.kind !== 'json') return null;
+    try {
+      const obj = JSON.parse(importSource.text);
+      return obj?.month && obj.targets && Array.isArray(obj.associates) ? { obj } : { error: 'JSON missing keys {month, targets, associates}' };
+    } catch (e) { return { error: `Invalid JSON: ${String(e?.message || e)}` }; }
+  }, [importSource]);
+  const chartData = useMemo(() => (visibleKpis.map((k) => ({ label: k.label, actual: teamTotals[k.key], target: teamTargets[k.key] }))), [visibleKpis, teamTotals, teamTargets]);
+
+  // Standings as of today, or the month's last day when looking at another month; only worked out while
+  // the Team tab is showing
   const leaderboard = useMemo(() => {
-    const items = associates.map((a) => { const progress = Object.keys(KPI_LABELS).reduce((acc, k) => acc + pct(a.metrics[k] || 0, targets[k]), 0) / Object.keys(KPI_LABELS).length; return { id: a.id, name: a.name, listings: a.metrics.listingsGenerated || 0, progress }; });
-    return items.sort((a, b) => b.listings - a.listings || b.progress - a.progress).slice(0, 5);
-  }, [associates, targets]);
+    if (shownTab !== 'team') return null;
+    const day = month === monthKey() ? dayKey() : monthEndDay(month);
+    return buildLeaderboard({ ...store, [month]: { kpis, targets, associates: rows } }, roster, day, scoring, scopedIds, calendar);
+  }, [shownTab, store, month, kpis, targets, rows, roster, scoring, scopedIds, calendar]);
+
+  const logAssociate = associates.find((a) => a.id === logAssociateId && (canManage || a.id === selfId)) || null;
+  const selfAssociate = canManage ? null : associates.find((a) => a.id === selfId) || null;
+  const canUndo = undoStack.some((e) => e.month === month); const canRedo = redoStack.some((e) => e.month === month);
+  const planAssociate = associates.find((a) => a.id === planAssociateId) || null;
+  const profile = roster.find((p) => p.id === profileId) || null;
+  const profileHistory = profile ? associateHistory(audit, profile.id) : [];
+  const destination = destinations.find((d) => d.id === destinationId) || null;
+  const orgUnit = orgEdit ? (orgEdit.kind === 'office' ? org.offices : org.teams).find((x) => x.id === orgEdit.id) || null : null;
 
-  function addAssociate() { if (!newName.trim()) return; setAssociates((prev) => ([...prev, { id: genId(), name: newName.trim(), metrics: { connects: 0, geoData: 0, buyerAppointments: 0, marketAppraisals: 0, listingsGenerated: 0 } }])); setNewName(''); }
+  // Past months with no data stay empty; the current or a future month starts from the roster
+  function selectMonth(m) {
+    const next = store[m] || (m >= monthKey() ? newMonthState(store, m, roster, kpis) : { kpis, targets: defaultTargets(kpis), associates: [] });
+    setMonth(m); setKpis(next.kpis); setTargets(next.targets); setRows(next.associates); setDeletedRows(next.deleted || []);
+  }
 
-  function updateMetric(id, key, value) { const v = Number(value); if (Number.isNaN(v) || v < 0) return; setAssociates((prev) => prev.map((a) => (a.id === id ? { ...a, metrics: { ...a.metrics, [key]: v } } : a))); }
-  function deleteAssociate(id) { setAssociates((prev) => prev.filter((a) => a.id !== id)); }
+  function updateRoster(fn) {
+    setRoster((prev) => { const next = fn(prev); storage.setJSON(ROSTER_KEY, next); return next; });
+  }
+  function updateProfile(id, patch) { updateRoster((prev) => prev.map((p) => (p.id === id ? { ...p, ...patch } : p))); }
+  function setStatus(id, status) { updateProfile(id, { status, departedOn: status === 'departed' ? dayKey() : null }); }
 
-  function exportJSON() {
-    const payload = { month, targets, associates };
-    Alert.alert('Export JSON', 'JSON printed to console');
-    console.log('EXPORT_JSON', JSON.stringify(payload));
+  // Adds a new person to the roster, or brings a known name back into this month
+  function addAssociate() {
+    const name = newName.trim(); if (!name) return;
+    let person = roster.find((p) => sameName(p.name, name));
+    if (!person) { person = { id: genId(), name, startDate: dayKey(), status: 'active', email: '', phone: '' }; updateRoster((prev) => [...prev, person]); }
+    else if (person.status !== 'active') setStatus(person.id, 'active');
+    addToMonth(person);
+    setNewName('');
+  }
+  function addToMonth(person) {
+    if (rows.some((r) => r.id === person.id)) return;
+    const restored = deletedRows.find((r) => r.id === person.id);
+    if (restored) { restoreAssociate(person.id); return; }
+    commitMonth('addAssociate', { ...viewedMonthState(), associates: [...rows, { id: person.id, name: person.name, activity: {} }] });
   }
-  function exportCSV() { const csv = buildCSVFromAssociates(associates); Alert.alert('Export CSV', 'CSV printed to console'); console.log('EXPORT_CSV\n' + csv); }
 
+  // Sets the amount logged for one KPI on one day (defaults to today)
+  function updateMetric(id, key, value, date = dayKey()) {
+    const v = Number(value); if (Number.isNaN(v) || v < 0) return;
+    commitMonth('metric', { ...viewedMonthState(), associates: rows.map((a) => (a.id === id ? { ...a, activity: setDayActivity(a.activity, date, { [key]: v }) } : a)) });
+  }
+  function setTarget(key, txt) {
+    const v = Number(txt); if (Number.isNaN(v) || v < 0) return;
+    commitMonth('target', { ...viewedMonthState(), targets: { ...targets, [key]: v } });
+  }
+
+  // Audit trail and undo – every change to a month goes through commitMonth
+  function viewedMonthState() { return { kpis, targets, associates: rows, ...(deletedRows.length ? { deleted: deletedRows } : {}) }; }
+  function auditActor() { return canManage ? access.managerName || 'Manager' : selfAssociate?.name || 'Associate'; }
+  function recordAudit(entry) { setAudit((prev) => appendAudit(prev, entry)); }
+  // Saved once React has applied the change, not from inside the updater (which it may run twice). Only
+  // the changed month's page is rewritten, once per storage batch however many edits it holds
+  useEffect(() => {
+    const previous = savedAudit.current;
+    if (!previous || audit === previous) return;
+    savedAudit.current = audit;
+    writeAudit(storage, audit, previous);
+  }, [audit]);
+  function recordAction(action, fields) { recordAudit(auditEntry(action, { actor: auditActor(), ...fields })); }
+  // `before` and `m` default to the month on screen; an import can land on another month, which is then shown
+  function commitMonth(action, next, { detail = '', month: m = month, before = viewedMonthState() } = {}) {
+    const changes = monthChanges(before, next);
+    setTargets(next.targets); setRows(next.associates); setDeletedRows(next.deleted || []);
+    if (!changes.length) return;
+    const entry = auditEntry(action, { actor: auditActor(), month: m, detail, changes });
+    recordAudit(entry);
+    setUndoStack((prev) => appendAudit(prev, entry));
+    setRedoStack((prev) => prev.filter((e) => e.month !== m));
+  }
+  function applyHistory(entry, reverse) {
+    const next = applyMonthChanges(viewedMonthState(), entry.changes, { reverse, actor: auditActor() });
+    setTargets(next.targets); setRows(next.associates); setDeletedRows(next.deleted || []);
+    const changes = reverse ? entry.changes.map((c) => ({ ...c, from: c.to, to: c.from })) : entry.changes;
+    recordAudit(auditEntry(reverse ? 'undo' : 'redo', { actor: auditActor(), month, detail: AUDIT_ACTIONS[entry.action] || entry.action, changes }));
+  }
+  function undo() {
+    const entry = undoStack.find((e) => e.month === month); if (!entry) return;
+    applyHistory(entry, true);
+    setUndoStack((prev) => prev.filter((e) => e !== entry)); setRedoStack((prev) => [entry, ...prev]);
+  }
+  function redo() {
+    const entry = redoStack.find((e) => e.month === month); if (!entry) return;
+    applyHistory(entry, false);
+    setRedoStack((prev) => prev.filter((e) => e !== entry)); setUndoStack((prev) => [entry, ...prev]);
+  }
+  function clearHistory() { setUndoStack([]); setRedoStack([]); }
+  function switchSelf(id) { setSessionSelfId(id); clearHistory(); }
+
+  // KPI editor – changes apply to the month on screen; only the current month's set becomes the default
+  // for new months. Past months keep the KPIs they were recorded with and can't be edited here.
+  const kpisEditable = month >= monthKey();
+  function updateKpis(fn) {
+    if (!kpisEditable) return;
+    const isCurrent = month === monthKey();
+    setKpis((prev) => { const next = fn(prev); if (isCurrent) storage.setJSON(KPI_SCHEMA_KEY, next); return next; });
+  }
+  function addKpi() {
+    const label = newKpiLabel.trim(); if (!label || !kpisEditable) return;
+    const key = kpiKeyFromLabel(label, kpis);
+    updateKpis((prev) => [...prev, { key, label, unit: '', weight: 1, target: 0 }]);
+    setTargets((t) => ({ ...t, [key]: 0 }));
+    setNewKpiLabel('');
+  }
+  function updateScoring(patch) {
+    setScoring((prev) => { const next = { ...prev, ...patch }; storage.setJSON(LEADERBOARD_KEY, next); return next; });
+  }
+  function setScoringWeight(key, txt) {
+    const weights = { ...scoring.weights };
+    if (txt === '') delete weights[key]; else { const v = Number(txt); if (Number.isNaN(v) || v < 0) return; weights[key] = v; }
+    updateScoring({ weights });
+  }
+
+  // One working calendar for everyone, synced and backed up like the teams
+  function updateCalendar(patch) {
+    setCalendar((prev) => { const next = { ...prev, ...patch }; storage.setJSON(CALENDAR_KEY, next); return next; });
+  }
+  function toggleWorkday(d) {
+    updateCalendar({ weekdays: calendar.weekdays.includes(d) ? calendar.weekdays.filter((x) => x !== d) : [...calendar.weekdays, d].sort() });
+  }
+  function addHoliday() {
+    const date = parseDateCell(holidayDraft.date);
+    if (!date) { Alert.alert('Add holiday', 'Enter the date as YYYY-MM-DD.'); return; }
+    updateCalendar({ holidays: mergeHolidays(calendar.holidays, [{ date, name: holidayDraft.name.trim() || 'Holiday' }]) });
+    setHolidayDraft({ date: '', name: '' });
+  }
+  function removeHoliday(date) { updateCalendar({ holidays: calendar.holidays.filter((h) => h.date !== date) }); }
+  async function importHolidays() {
+    try {
+      const file = await pickTextFile(); if (!file) return;
+      const { holidays, errors } = parseHolidays(file.text);
+      const skipped = errors.length ? `\n\n${errors.length} line(s) skipped:\n${errors.slice(0, 5).map((e) => `Line ${e.line}: ${e.message}`).join('\n')}` : '';
+      if (!holidays.length) { Alert.alert('No holidays found', `${file.name} has no dates in it.${skipped}`); return; }
+      const added = holidays.filter((h) => !calendar.holidays.some((x) => x.date === h.date)).length;
+      Alert.alert('Import holidays', `${holidays.length} holiday(s) in ${file.name}, ${added} new. Dates already listed take the imported name.${skipped}`, [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Import', onPress: () => updateCalendar({ holidays: mergeHolidays(calendar.holidays, holidays) }) },
+      ]);
+    } catch (e) { Alert.alert('Could not open file', String(e?.message || e)); }
+  }
+  function addProfileLeave() {
+    try { updateProfile(profile.id, { leave: addLeave(profile.leave, leaveDraft) }); setLeaveDraft({ from: '', to: '', note: '' }); } catch (e) { Alert.alert('Add leave', e.message); }
+  }
+  function removeProfileLeave(i) { updateProfile(profile.id, { leave: profile.leave.filter((_, j) => j !== i) }); }
+  function editKpi(key, patch) { updateKpis((prev) => prev.map((k) => (k.key === key ? { ...k, ...patch } : k))); }
+  // Weights are typed as text ("0." on the way to 0.5) and only parsed when the field is left
+  function commitKpiWeight(key) {
+    const txt = weightDrafts[key]; if (txt == null) return;
+    setWeightDrafts(({ [key]: _, ...rest }) => rest);
+    const v = txt.trim() === '' ? 1 : Number(txt);
+    if (!Number.isNaN(v) && v >= 0) editKpi(key, { weight: v });
+  }
+  function moveKpi(key, delta) {
+    updateKpis((prev) => {
+      const i = prev.findIndex((k) => k.key === key); const j = i + delta;
+      if (i < 0 || j < 0 || j >= prev.length) return prev;
+      const next = [...prev]; [next[i], next[j]] = [next[j], next[i]];
+      return next;
+    });
+  }
+
+  function updatePlan(id, patch) { updateRoster((prev) => prev.map((p) => (p.id === id ? { ...p, targetPlan: { ...(p.targetPlan || {}), ...patch } } : p))); }
+  function updatePlanOverride(id, key, value) {
+    const a = associates.find((x) => x.id === id); if (!a) return;
+    const overrides = { ...(a.targetPlan?.overrides || {}) };
+    if (value === '') delete overrides[key]; else { const v = Number(value); if (Number.isNaN(v) || v < 0) return; overrides[key] = v; }
+    updatePlan(id, { overrides });
+  }
+
+  function openLog(id) { setLogAssociateId(id || associates[0]?.id || null); setLogDate(defaultLogDate(month)); setLogVisible(true); }
+
+  // Associates table: tap a column to sort by it, again to reverse. Rows get one callback that never
+  // changes, so they don't re-render just because the screen did.
+  function sortTable(key) { setTableSort((prev) => (prev.key === key ? { key, desc: !prev.desc } : { key, desc: key !== 'name' })); }
+  const rowAction = useRef(null);
+  rowAction.current = (kind, id) => (kind === 'log' ? openLog(id) : kind === 'plan' ? setPlanAssociateId(id) : deleteAssociate(id));
+  const onRowAction = useCallback((kind, id) => rowAction.current(kind, id), []);
+
+  // Bulk entry: one KPI on one day for everyone in the table as shown, pasted as a column or typed one
+  // by one. Typed values go through the same parser as a pasted column, a line per person.
+  const bulkResult = useMemo(() => (bulk ? parseBulkColumn(bulk.mode === 'paste' ? bulk.text : bulk.people.map((p) => bulk.entries[p.id] ?? '').join('\n'), bulk.people) : null), [bulk]);
+  const bulkPerson = bulk?.people[bulk.index] || null;
+  function openBulk() {
+    setBulk({ kpi: visibleKpis[0]?.key, date: defaultLogDate(month), mode: 'paste', text: '', entries: {}, index: 0, people: tableRows.map((r) => ({ id: r.id, name: r.name })) });
+  }
+  function updateBulk(patch) { setBulk((prev) => ({ ...prev, ...patch })); }
+  function stepBulk(delta) { setBulk((prev) => ({ ...prev, index: Math.min(prev.people.length - 1, Math.max(0, prev.index + delta)) })); }
+  function applyBulk() {
+    const kpi = kpis.find((k) => k.key === bulk.kpi);
+    commitMonth('bulkEntry', { ...viewedMonthState(), associates: applyBulkEntry(rows, bulk.date, bulk.kpi, bulkResult.values) }, { detail: `${kpi?.label || bulk.kpi} on ${bulk.date}` });
+    setBulk(null);
+  }
+  // Removes the row from this month only; the roster and other months keep the person
+  // Soft delete: the row and its activity move to "Removed this month" until restored
+  function deleteAssociate(id) {
+    const a = rows.find((r) => r.id === id); if (!a) return;
+    const days = Object.keys(a.activity || {}).length;
+    confirmDestructive(`Remove ${a.name} from ${month}?`, `${days ? `Their ${days} logged day(s) go with them. ` : ''}You can restore them from "Removed this month". They stay on the roster and in other months.`, 'Remove', () => {
+      const removed = { ...a, deletedAt: new Date().toISOString(), deletedBy: auditActor() };
+      commitMonth('deleteAssociate', { ...viewedMonthState(), associates: rows.filter((r) => r.id !== id), deleted: [...deletedRows, removed] }, { detail: `${days} logged day(s)` });
+    });
+  }
+  function restoreAssociate(id) {
+    const a = deletedRows.find((r) => r.id === id); if (!a) return;
+    const { deletedAt, deletedBy, ...row } = a;
+    commitMonth('restoreAssociate', { ...viewedMonthState(), associates: [...rows, row], deleted: deletedRows.filter((r) => r.id !== id) });
+  }
+
+  // JSON export is the whole month (importing one replaces the month); CSV follows the scope
+  async function exportJSON() {
+    const payload = { month, kpis, targets, associates: rows };
+    try { await shareTextFile(`sales-targets-${month}.json`, JSON.stringify(payload, null, 2), 'json'); } catch (e) { Alert.alert('Export failed', String(e?.message || e)); }
+  }
+  async function exportCSV() {
+    const csv = buildCSVFromAssociates(scoped, kpis, targets, month, calendar);
+    const suffix = viewScope.type === 'all' ? '' : `-${scopeName(viewScope, org, roster).toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+    try { await shareTextFile(`sales-targets-${month}${suffix}.csv`, csv, 'csv'); } catch (e) { Alert.alert('Export failed', String(e?.message || e)); }
+  }
+  async function exportAuditCSV() {
+    try { await shareTextFile(`sales-targets-audit-${dayKey()}.csv`, auditCsv(audit, kpis), 'csv'); } catch (e) { Alert.alert('Export failed', String(e?.message || e)); }
+  }
+  async function exportAuditJSON() {
+    try { await shareTextFile(`sales-targets-audit-${dayKey()}.json`, JSON.stringify(audit, null, 2), 'json'); } catch (e) { Alert.alert('Export failed', String(e?.message || e)); }
+  }
+
+  // Month JSON exports and CSVs (ours or a CRM's) both land here; nothing changes until the preview is applied
+  function loadImport(name, text) {
+    const kind = /^\s*[[{]/.test(text) ? 'json' : 'csv';
+    setImportSource({ name, kind, text });
+    setImportMapping(kind === 'csv' ? guessColumnMapping(parseCSV(text).headers, activeKpis(kpis)) : null);
+  }
+  async function chooseImportFile() {
+    try { const file = await pickTextFile(); if (file) loadImport(file.name, file.text); } catch (e) { Alert.alert('Could not open file', String(e?.message || e)); }
+  }
+  function setImportColumn(field, col) {
+    setImportMapping((m) => (field === 'name' || field === 'date' ? { ...m, [field]: col } : { ...m, kpis: { ...m.kpis, [field]: col } }));
+  }
+  function closeImport() { setImportVisible(false); setImportSource(null); setImportMapping(null); setImportText(''); }
+
+  // Replacing a month that already has people or activity needs a confirmation
   function importJSON() {
-    try { const obj = JSON.parse(importText); if (!obj || typeof obj !== 'object') throw new Error('Invalid JSON'); if (obj.month && obj.targets && obj.associates) { setMonth(obj.month); setTargets(obj.targets); setAssociates(obj.associates); setImportVisible(false); setImportText(''); } else { throw new Error('JSON missing keys {month, targets, associates}'); } }
-    catch (e) { Alert.alert('Import failed', String(e?.message || e)); }
+    const { obj } = importMonth;
+    const existing = obj.month === month ? viewedMonthState() : store[obj.month];
+    const apply = () => {
+      const r = reconcileRoster(roster, obj.associates.map((a) => migrateAssociate(a, obj.month)), obj.month);
+      const before = existing || { kpis: obj.kpis || DEFAULT_KPIS, targets: {}, associates: [] };
+      updateRoster(() => r.roster); setMonth(obj.month); setKpis(obj.kpis || DEFAULT_KPIS);
+      commitMonth('importMonth', { kpis: obj.kpis || DEFAULT_KPIS, targets: obj.targets, associates: r.rows, ...(before.deleted ? { deleted: before.deleted } : {}) }, { month: obj.month, before, detail: `${obj.associates.length} associate(s) from ${importSource.name}` });
+      closeImport();
+    };
+    if (existing?.associates?.length) confirmDestructive(`Replace ${obj.month}?`, `The ${existing.associates.length} associate(s) and ${loggedDays(existing)} logged day(s) on this device will be replaced by the file.`, 'Replace', apply);
+    else apply();
+  }
+  function importCSV() {
+    const plan = importPlan;
+    updateRoster(() => plan.roster);
+    commitMonth('importCsv', { ...viewedMonthState(), associates: plan.rows }, { detail: `${plan.applied} row(s) from ${importSource.name}` });
+    closeImport();
+    Alert.alert('Import complete', `${plan.applied} row(s) applied${plan.errors.length ? `, ${plan.errors.length} skipped` : ''}`);
+  }
+  async function createBackupFile() {
+    try {
+      const entries = await storage.snapshot(await backupKeys(storage));
+      const text = await createBackup(entries, { schemaVersion: storage.version, passphrase: backupPassphrase, randomBytes: Crypto.getRandomBytes, primitives: BACKUP_PRIMITIVES });
+      await shareTextFile(`sales-targets-backup-${dayKey()}.json`, text, 'json');
+    } catch (e) { Alert.alert('Backup failed', String(e?.message || e)); }
+  }
+  async function chooseBackupFile() {
+    try {
+      const file = await pickTextFile();
+      if (!file) return;
+      const header = readBackupHeader(file.text, { maxSchemaVersion: storage.version });
+      setRestore({ name: file.name, text: file.text, header, passphrase: '', diff: null, error: null });
+      if (!header.encrypted) await unlockBackup(file.text, '');
+    } catch (e) { Alert.alert('Cannot restore this file', String(e?.message || e)); }
+  }
+  async function unlockBackup(text, passphrase) {
+    try {
+      const incoming = await backupStateFromEntries(await openBackup(text, { passphrase, maxSchemaVersion: storage.version, primitives: BACKUP_PRIMITIVES }));
+      const current = await readBackupState(storage);
+      setRestore((r) => ({ ...r, current, incoming, diff: backupDiff(current, incoming), error: null }));
+    } catch (e) { setRestore((r) => ({ ...r, error: String(e?.message || e) })); }
+  }
+  function applyRestore(mode) {
+    const run = async () => {
+      const { current, incoming } = restore;
+      await writeBackupState(storage, mode === 'replace' ? { ...incoming, audit: mergeAudit(current.audit, incoming.audit) } : mergeBackupState(current, incoming));
+      await loadFromStorage(); clearHistory();
+      recordAction('restoreBackup', { detail: `${mode} from ${restore.name}` });
+      setRestore(null);
+      Alert.alert('Backup restored', mode === 'replace' ? 'This device now matches the backup.' : 'The backup was merged into this device.');
+    };
+    if (mode === 'replace') Alert.alert('Replace everything?', 'Every month and setting on this device will be replaced by the backup.', [{ text: 'Cancel', style: 'cancel' }, { text: 'Replace', style: 'destructive', onPress: run }]);
+    else run();
+  }
+
+  function resetMonth() {
+    confirmDestructive(`Reset ${month}?`, "Every associate's logged activity for this month will be deleted and targets go back to the standard ones.", 'Reset', () => {
+      const fresh = newMonthState({}, month, roster, kpis);
+      commitMonth('resetMonth', { ...viewedMonthState(), targets: fresh.targets, associates: fresh.associates }, { detail: `${rows.length} associate(s), ${loggedDays({ associates: rows })} logged day(s) cleared` });
+    });
+  }
+
+  function confirmDestructive(title, message, label, run) {
+    Alert.alert(title, message, [{ text: 'Cancel', style: 'cancel' }, { text: label, style: 'destructive', onPress: run }]);
+  }
+
+  // Manager lock
+  function updateAccess(patch) {
+    const next = { ...access, ...patch };
+    setAccess(next); storage.setJSON(ACCESS_KEY, next);
+  }
+  async function unlockManager() {
+    if (access.biometrics && bioAvailable && (await authenticateBiometric('Unlock manager mode'))) { setUnlocked(true); return; }
+    setPinEntry({ purpose: 'unlock', pin: '', confirm: '', error: null });
+  }
+  function submitPin() {
+    const { purpose, pin, confirm } = pinEntry;
+    if (purpose === 'set') {
+      if (!validPin(pin)) { setPinEntry((e) => ({ ...e, error: 'Use 4 to 8 digits' })); return; }
+      if (pin !== confirm) { setPinEntry((e) => ({ ...e, confirm: '', error: "The PINs don't match" })); return; }
+      updateAccess({ ...createPinLock(pin, Crypto.getRandomBytes), failures: 0, lockedUntil: 0 });
+      recordAction('pinSet');
+      setUnlocked(true); setPinEntry(null);
+      return;
+    }
+    const wait = pinLockoutSeconds(access);
+    if (wait) { setPinEntry((e) => ({ ...e, pin: '', error: `Too many wrong PINs – try again in ${wait}s` })); return; }
+    const ok = checkPin(access, pin);
+    updateAccess({ ...pinAttempt(access, ok), ...(ok && pinLockOutdated(access) ? createPinLock(pin, Crypto.getRandomBytes) : {}) });
+    if (ok) { setUnlocked(true); setPinEntry(null); } else setPinEntry((e) => ({ ...e, pin: '', error: 'Wrong PIN' }));
+  }
+  function removePin() {
+    confirmDestructive('Remove the manager PIN?', 'Anyone holding this phone will be able to change targets, delete associates and reset months.', 'Remove', () => {
+      updateAccess({ pinHash: '', pinSalt: '', pinIterations: 0, biometrics: false, failures: 0, lockedUntil: 0 });
+      recordAction('pinRemoved');
+    });
+  }
+  function lockManager() {
+    setUnlocked(false); setSessionSelfId(null); clearHistory();
+    setLogVisible(false); setProfileId(null); setPlanAssociateId(null); setDestinationId(null); setOrgEdit(null); setRestore(null); closeImport();
   }
-  function resetMonth() { setTargets({ ...DEFAULT_TARGETS }); setAssociates([]); }
 
   async function sendDailyEmailNow() {
     try {
-      const subject = `Daily KPI – ${month}`;
-      const text = buildSnapshotText({ month, associates, targets });
-      const csv = buildCSVFromAssociates(associates);
-      if (emailWebhook) {
-        const res = await fetch(emailWebhook, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ to: emailTo, subject, text, csv, month }) });
-        if (!res.ok) throw new Error(`Webhook responded ${res.status}`);
-        Alert.alert('Email sent', `Daily summary sent to ${emailTo}`);
+      const enabled = destinations.filter((d) => d.enabled !== false && d.url && destinationReports(d).includes(''));
+      if (enabled.length) {
+        const res = await outbox.sendTest(dayKey());
+        if (!res.ok) throw new Error(res.error || `Webhook responded ${res.status}`);
+        Alert.alert('Report sent', `Daily summary sent to ${enabled.map((d) => d.name).join(', ')}`);
       } else {
+        const { subject, text } = await buildDailyReport(dayKey(), { test: true });
         const mailto = `mailto:${encodeURIComponent(emailTo)}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(text)}`;
         const supported = await Linking.canOpenURL(mailto);
-        if (supported) Linking.openURL(mailto); else Alert.alert('No email webhook configured', 'Set EMAIL_WEBHOOK_URL in Settings to enable automatic sending.');
+        if (supported) Linking.openURL(mailto); else Alert.alert('No report destinations configured', 'Add a destination in Settings to enable automatic sending.');
       }
     } catch (e) {
       Alert.alert('Send failed', String(e?.message || e));
     }
+    if (deliveryVisible) setDelivery(await outbox.getState());
+  }
+
+  function updateDestinations(fn) {
+    setDestinations((prev) => { const next = fn(prev); storage.setJSON(DESTINATIONS_KEY, next); return next; });
+  }
+  function addDestination() { const d = newDestination({ name: `Destination ${destinations.length + 1}` }); updateDestinations((prev) => [...prev, d]); setDestinationId(d.id); }
+  function editDestination(id, patch) { updateDestinations((prev) => prev.map((d) => (d.id === id ? { ...d, ...patch } : d))); }
+  function removeDestination(id) { updateDestinations((prev) => prev.filter((d) => d.id !== id)); setDestinationId(null); }
+
+  function updateSyncConfig(patch) {
+    const next = { ...syncConfig, ...patch };
+    setSyncConfig(next); storage.setJSON(SYNC_CONFIG_KEY, next);
+    if ('enabled' in patch) sync.run(); // picks up the new setting and updates the header
+  }
+  async function syncNow() {
+    await storage.flush();
+    const s = await sync.run();
+    if (s.phase === 'error' || s.phase === 'offline') Alert.alert('Sync failed', s.lastError || 'Unknown error');
+  }
+
+  function updateOrg(fn) {
+    setOrg((prev) => { const next = fn(prev); storage.setJSON(ORG_KEY, next); return next; });
+  }
+  function addOffice() {
+    const name = newOfficeName.trim(); if (!name) return;
+    updateOrg((prev) => ({ ...prev, offices: [...prev.offices, newOffice({ name })] }));
+    setNewOfficeName('');
+  }
+  function addTeam() {
+    const name = newTeamName.trim(); if (!name) return;
+    updateOrg((prev) => ({ ...prev, teams: [...prev.teams, newTeam({ name, officeId: prev.offices.length === 1 ? prev.offices[0].id : null })] }));
+    setNewTeamName('');
+  }
+  function editOrgUnit(kind, id, patch) {
+    const list = kind === 'office' ? 'offices' : 'teams';
+    updateOrg((prev) => ({ ...prev, [list]: prev[list].map((x) => (x.id === id ? { ...x, ...patch } : x)) }));
+  }
+  // Teams of a removed office become unassigned, as do members of a removed team; subscriptions are dropped
+  function removeOrgUnit(kind, id) {
+    const key = reportScopeKey({ type: kind, id });
+    updateOrg((prev) => (kind === 'office'
+      ? { offices: prev.offices.filter((o) => o.id !== id), teams: prev.teams.map((t) => (t.officeId === id ? { ...t, officeId: null } : t)) }
+      : { ...prev, teams: prev.teams.filter((t) => t.id !== id) }));
+    if (kind === 'team') updateRoster((prev) => prev.map((p) => (p.teamId === id ? { ...p, teamId: null } : p)));
+    updateDestinations((prev) => prev.map((d) => (d.reports ? { ...d, reports: d.reports.filter((r) => r !== key) } : d)));
+    setOrgEdit(null);
+  }
+  function toggleDestinationReport(id, key) {
+    updateDestinations((prev) => prev.map((d) => {
+      if (d.id !== id) return d;
+      const reports = destinationReports(d);
+      return { ...d, reports: reports.includes(key) ? reports.filter((r) => r !== key) : [...reports, key] };
+    }));
+  }
+  async function sendScopeTest(key) {
+    try {
+      const res = await outbox.sendTest(dayKey(), key);
+      if (!res.ok) throw new Error(res.error || `Webhook responded ${res.status}`);
+      Alert.alert('Report sent', `Test roll-up sent to ${res.results.map((r) => r.name).join(', ')}`);
+    } catch (e) {
+      Alert.alert('Send failed', String(e?.message || e));
+    }
   }
 
+  async function openDeliveryLog() { setDelivery(await outbox.getState()); setDeliveryVisible(true); }
+
   // Tests
   function runTests() {
-    const results = [];
-    function t(name, fn) { try { const out = fn(); results.push({ name, pass: out === true, details: out === true ? 'OK' : String(out) }); } catch (e) { results.push({ name, pass: false, details: String(e?.message || e) }); } }
-    t('pct handles zero denominator', () => pct(5, 0) === 0);
-    t('pct clamps to 100', () => pct(120, 100) === 100);
-    t('pct normal case', () => pct(50, 100) === 50);
-    t('monthKey formats YYYY-MM', () => monthKey(new Date(2025, 7, 1)) === '2025-08');
-    t('toCSV empty', () => toCSV([]) === '');
-    t('toCSV escaping', () => { const csv = toCSV([{ A: 'a, b', B: '"q"' }]); return csv.startsWith('A,B') && csv.includes('"a, b"') && csv.includes('""q""'); });
-    t('genId unique-ish', () => { const a = genId(); const b = genId(); return a !== b && a.startsWith('id-'); });
-    t('snapshot text includes all KPIs', () => { const txt = buildSnapshotText({ month: '2025-08', associates: [{ metrics: { connects:1, geoData:2, buyerAppointments:3, marketAppraisals:4, listingsGenerated:5 } }], targets: DEFAULT_TARGETS }); return ['Connects','Geo Data','Buyer Appointments','Market Appraisals','Listings Generated'].every(s=>txt.includes(s)); });
+    const { t, results, settled } = createTestRunner();
+    runDomainTests(t);
     setTests(results);
+    settled().then(() => setTests([...results]));
   }
   useEffect(() => { runTests(); }, []);
 
+  // Notification rules belong to this phone: they're neither synced nor backed up
+  function updateNotifications(fn) {
+    setNotify((prev) => { const next = fn(prev); storage.setJSON(NOTIFY_KEY, next); return next; });
+  }
+  function updateRule(id, patch) { updateNotifications((n) => ({ ...n, rules: n.rules.map((r) => (r.id === id ? { ...r, ...patch } : r)) })); }
+  async function enableRule(id, enabled) {
+    if (enabled && (await requestNotificationPermission()) !== 'granted') {
+      Alert.alert('Notifications are off', "Allow notifications for this app in the phone's settings to get reminders.");
+      return;
+    }
+    updateRule(id, { enabled });
+  }
+  async function checkNotifications() {
+    try { await notifier.check(); setNotifyLog(await notifier.recent()); } catch (e) { console.log('Notification check error', e); }
+  }
+  async function sendTestNotification() {
+    if ((await requestNotificationPermission()) !== 'granted') { Alert.alert('Notifications are off', "Allow notifications for this app in the phone's settings first."); return; }
+    await presentNotification({ title: 'Sales Targets', body: 'Reminders and alerts will look like this.' });
+  }
+
+  // Rule switches, times and quiet hours. Used by Settings and by associates on their own phone.
+  function renderNotificationSettings() {
+    const hourInput = (value, onChange) => <TextInput value={String(value ?? '')} onChangeText={(txt) => onChange(txt.replace(/\D/g, '').slice(0, 2))} keyboardType="number-pad" placeholder="hour" style={[styles.input, { width: 70 }]} />;
+    return (
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>Notifications</Text>
+        <Text style={{ color: '#6b7280', marginBottom: 6 }}>{access.selfId ? `About ${roster.find((p) => p.id === access.selfId)?.name || 'this phone\'s owner'}` : 'About the whole team'}. Checked in the background about every half hour, so one can arrive a little after its time.</Text>
+        {notify.rules.map((r) => (
+          <View key={r.id} style={{ borderTopWidth: 1, borderTopColor: '#f3f4f6', paddingTop: 6, marginTop: 6 }}>
+            <View style={styles.rowBetween}>
+              <Text style={{ flex: 1, fontWeight: '600' }}>{NOTIFICATION_RULE_TYPES.find((t) => t.key === r.type)?.label}</Text>
+              {[{ key: false, label: 'Off' }, { key: true, label: 'On' }].map((o) => (
+                <TouchableOpacity key={o.label} onPress={() => enableRule(r.id, o.key)} style={[styles.chip, !!r.enabled === o.key && styles.chipActive]}>
+                  <Text style={[styles.chipText, !!r.enabled === o.key && styles.chipTextActive]}>{o.label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+            <Text style={{ color: '#6b7280', fontSize: 12 }}>{ruleLabel(r, kpis)}</Text>
+            <View style={styles.row}>
+              <Text style={{ width: 100 }}>{r.type === 'behindPace' ? 'From hour' : 'Hour'}</Text>
+              {hourInput(r.hour, (hour) => updateRule(r.id, { hour }))}
+              {r.type === 'behindPace' && (
+                <>
+                  <Text style={{ marginLeft: 12, width: 70 }}>% behind</Text>
+                  <TextInput value={String(r.threshold ?? '')} onChangeText={(txt) => updateRule(r.id, { threshold: txt.replace(/\D/g, '').slice(0, 2) })} keyboardType="number-pad" style={[styles.input, { width: 70 }]} />
+                </>
+              )}
+            </View>
+            {r.type === 'behindPace' && (
+              <View style={[styles.row, { flexWrap: 'wrap' }]}>
+                {visibleKpis.map((k) => (
+                  <TouchableOpacity key={k.key} onPress={() => updateRule(r.id, { kpi: k.key })} style={[styles.chip, r.kpi === k.key && styles.chipActive]}>
+                    <Text style={[styles.chipText, r.kpi === k.key && styles.chipTextActive]}>{k.label}</Text>
+                  </TouchableOpacity>
+                ))}
+                {notify.rules.filter((x) => x.type === 'behindPace').length > 1 && (
+                  <TouchableOpacity onPress={() => updateNotifications((n) => ({ ...n, rules: n.rules.filter((x) => x.id !== r.id) }))}><Text style={{ color: '#ef4444', marginLeft: 8 }}>Remove</Text></TouchableOpacity>
+                )}
+              </View>
+            )}
+            {r.type === 'weeklySummary' && (
+              <View style={[styles.row, { flexWrap: 'wrap' }]}>
+                {WEEKDAYS.map((d, i) => (
+                  <TouchableOpacity key={d} onPress={() => updateRule(r.id, { weekday: i })} style={[styles.chip, Number(r.weekday) === i && styles.chipActive]}>
+                    <Text style={[styles.chipText, Number(r.weekday) === i && styles.chipTextActive]}>{d.slice(0, 3)}</Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+            )}
+          </View>
+        ))}
+        <TouchableOpacity onPress={() => updateNotifications((n) => ({ ...n, rules: [...n.rules, { ...newPaceRule(kpis), enabled: false }] }))} style={{ marginTop: 8 }}><Text style={{ color: '#3b82f6' }}>+ Add a behind-pace alert</Text></TouchableOpacity>
+
+        <Text style={{ marginTop: 12, fontWeight: '600' }}>Quiet hours</Text>
+        <View style={[styles.row, { flexWrap: 'wrap' }]}>
+          {[{ key: false, label: 'Off' }, { key: true, label: 'On' }].map((o) => (
+            <TouchableOpacity key={o.label} onPress={() => updateNotifications((n) => ({ ...n, quiet: { ...n.quiet, enabled: o.key } }))} style={[styles.chip, !!notify.quiet.enabled === o.key && styles.chipActive]}>
+              <Text style={[styles.chipText, !!notify.quiet.enabled === o.key && styles.chipTextActive]}>{o.label}</Text>
+            </TouchableOpacity>
+          ))}
+          <Text style={{ marginLeft: 8 }}>From</Text>
+          {hourInput(notify.quiet.start, (start) => updateNotifications((n) => ({ ...n, quiet: { ...n.quiet, start } })))}
+          <Text style={{ marginLeft: 8 }}>to</Text>
+          {hourInput(notify.quiet.end, (end) => updateNotifications((n) => ({ ...n, quiet: { ...n.quiet, end } })))}
+        </View>
+        <Text style={{ color: '#6b7280', fontSize: 12 }}>{inQuietHours(notify.quiet) ? 'Quiet now – ' : ''}Anything due during quiet hours waits until they end, unless the day is over by then.</Text>
+
+        <TouchableOpacity style={[styles.btn, { marginTop: 8, alignSelf: 'flex-start', backgroundColor: '#6b7280' }]} onPress={sendTestNotification}><Text style={styles.btnText}>Send a test notification</Text></TouchableOpacity>
+        {notifyLog.length > 0 && <Text style={{ marginTop: 12, fontWeight: '600' }}>Recently shown</Text>}
+        {notifyLog.slice(0, 5).map((n, i) => <Text key={i} style={{ fontSize: 12, marginTop: 2 }}>{n.at.slice(0, 16).replace('T', ' ')} {n.title}</Text>)}
+      </View>
+    );
+  }
+
+  // Conversion rates over the chosen window plus the backwards calculator, for everyone or the ids in `only`.
+  // A render function rather than a component so the goal input keeps focus while typing.
+  function renderFunnel(scope, only, scopeTargets) {
+    const history = { ...store, [month]: { kpis, targets, associates: rows } };
+    const { months: window, totals } = funnelTotals(history, month, funnelMonths, kpis, only);
+    const ratios = funnelRatios(totals, kpis);
+    const goalKpi = funnelGoalKpi(kpis, ratios);
+    if (!goalKpi) return <Text style={{ color: '#6b7280', marginTop: 6 }}>Link KPIs into a funnel under Settings → KPIs to see conversion rates.</Text>;
+    const goal = funnelGoals[scope] ?? String(scopeTargets[goalKpi.key] ?? 0);
+    const plan = funnelPlan(goalKpi.key, Number(goal) || 0, ratios, kpis);
+    return (
+      <>
+        <View style={[styles.row, { flexWrap: 'wrap' }]}>
+          {FUNNEL_WINDOWS.map((n) => (
+            <TouchableOpacity key={n} onPress={() => setFunnelMonths(n)} style={[styles.chip, funnelMonths === n && styles.chipActive]}>
+              <Text style={[styles.chipText, funnelMonths === n && styles.chipTextActive]}>{n} mo</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+        {ratios.map((r) => (
+          <View key={r.key} style={[styles.rowBetween, { marginTop: 4 }]}>
+            <Text>{r.fromLabel} → {r.label}</Text>
+            <Text style={{ color: '#6b7280' }}>{r.count} / {r.fromCount} • <Text style={{ color: '#111827', fontWeight: '600' }}>{rateLabel(r)}</Text></Text>
+          </View>
+        ))}
+        <View style={styles.row}>
+          <Text>Goal</Text>
+          <TextInput value={goal} keyboardType="number-pad" onChangeText={(txt) => setFunnelGoals((g) => ({ ...g, [scope]: txt }))} style={[styles.input, styles.inputTd]} />
+          <Text>{goalKpi.label}</Text>
+        </View>
+        <Text style={{ marginTop: 4, fontWeight: '600' }}>{planSentence(plan)}</Text>
+        <Text style={{ color: '#6b7280', fontSize: 12, marginTop: 4 }}>Rates pool {window.length} recorded month(s) up to {month}.</Text>
+      </>
+    );
+  }
+
   // UI Components
   const TabButton = ({ id, label }) => (
     <TouchableOpacity onPress={() => setActiveTab(id)} style={[styles.tabBtn, activeTab === id && styles.tabBtnActive]}>
@@ -338,189 +1042,1053 @@ export default function App() {
     </TouchableOpacity>
   );
 
-  const TargetCard = ({ k }) => {
+  const TargetCard = ({ kpi }) => {
+    const k = kpi.key;
     const actual = teamTotals[k]; const target = teamTargets[k]; const percent = pct(actual, target);
+    const pc = pace(actual, target, dayProgress); const expectedPct = pct(pc.expected, target);
     return (
       <View style={styles.card}>
-        <Text style={styles.cardTitle}>{KPI_LABELS[k]}</Text>
+        <Text style={styles.cardTitle}>{kpi.label}</Text>
         <View style={{ flexDirection: 'row', justifyContent: 'space-between', marginTop: 8 }}>
           <Text style={{ fontSize: 22, fontWeight: '700' }}>{actual}</Text>
-          <Text style={{ color: '#6b7280' }}>Target {target}</Text>
+          <Text style={{ color: '#6b7280' }}>Target {withUnit(target, kpi)}</Text>
+        </View>
+        <View style={styles.progressOuter}>
+          <View style={[styles.progressInner, { width: `${percent}%` }]} />
+          <View style={[styles.paceMarker, { left: `${expectedPct}%` }]} />
         </View>
-        <View style={styles.progressOuter}><View style={[styles.progressInner, { width: `${percent}%` }]} /></View>
-        <Text style={{ alignSelf: 'flex-end', color: '#6b7280', fontSize: 12 }}>{percent}%</Text>
+        <View style={[styles.rowBetween, { marginTop: 2 }]}>
+          <Text style={{ color: PACE_COLORS[pc.status], fontSize: 12, fontWeight: '600' }}>{paceLabel(pc)}</Text>
+          <Text style={{ color: '#6b7280', fontSize: 12 }}>{percent}%</Text>
+        </View>
+        <Text style={{ color: '#6b7280', fontSize: 12 }}>Expected {pc.expected} • Projected {pc.projected}</Text>
+        <Text style={{ color: '#6b7280', fontSize: 12 }}>Need {pc.requiredDaily}/day</Text>
       </View>
     );
   };
 
-  return (
-    <ErrorBoundary>
-      <SafeAreaView style={{ flex: 1 }}>
-        <ScrollView contentContainerStyle={{ padding: 16 }}>
-          {/* Header */}
-          <Text style={{ fontSize: 22, fontWeight: '700' }}>Sales Associates Monthly Targets</Text>
-          <Text style={{ color: '#6b7280', marginTop: 4 }}>Daily email (default 6:00pm local) will send a summary and CSV to your agency.</Text>
-
-          {/* Month Picker */}
-          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={{ marginTop: 12 }}>
-            {months.map((m) => (
-              <TouchableOpacity key={m.key} onPress={() => setMonth(m.key)} style={[styles.chip, month === m.key && styles.chipActive]}>
-                <Text style={[styles.chipText, month === m.key && styles.chipTextActive]}>{m.label}</Text>
+  // Above every tab: title, month and scope pickers, snapshot cards and the tab bar
+  const screenHeader = (
+    <>
+      {/* Header */}
+      <Text style={{ fontSize: 22, fontWeight: '700' }}>Sales Associates Monthly Targets</Text>
+      <Text style={{ color: '#6b7280', marginTop: 4 }}>Daily email (default 6:00pm local) will send a summary and CSV to your agency.</Text>
+      {!!access.pinHash && canManage && (
+        <TouchableOpacity onPress={lockManager} style={[styles.chip, { alignSelf: 'flex-start', marginTop: 8 }]}>
+          <Text style={styles.chipText}>Manager mode • Lock</Text>
+        </TouchableOpacity>
+      )}
+      {syncStatus.enabled && (
+        <TouchableOpacity onPress={syncNow} style={[styles.chip, { alignSelf: 'flex-start', marginTop: 8, borderColor: syncStatus.phase === 'error' ? PACE_COLORS.behind : syncStatus.phase === 'offline' ? '#f59e0b' : '#d1d5db' }]}>
+          <Text style={styles.chipText}>{syncStatusLabel(syncStatus)}</Text>
+        </TouchableOpacity>
+      )}
+      {(canUndo || canRedo) && (
+        <View style={[styles.row, { justifyContent: 'flex-start' }]}>
+          <TouchableOpacity disabled={!canUndo} onPress={undo} style={[styles.chip, !canUndo && { opacity: 0.4 }]}><Text style={styles.chipText}>↶ Undo</Text></TouchableOpacity>
+          <TouchableOpacity disabled={!canRedo} onPress={redo} style={[styles.chip, !canRedo && { opacity: 0.4 }]}><Text style={styles.chipText}>↷ Redo</Text></TouchableOpacity>
+        </View>
+      )}
+
+      {/* Month Picker */}
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} style={{ marginTop: 12 }}>
+        {months.map((m) => (
+          <TouchableOpacity key={m.key} onPress={() => selectMonth(m.key)} style={[styles.chip, month === m.key && styles.chipActive]}>
+            <Text style={[styles.chipText, month === m.key && styles.chipTextActive]}>{m.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+
+      {/* Scope Picker */}
+      {canManage && (org.offices.length > 0 || org.teams.length > 0) && (
+        <>
+          <View style={[styles.row, { flexWrap: 'wrap' }]}>
+            {SCOPE_TYPES.map((t) => (
+              <TouchableOpacity key={t.key} onPress={() => setScope(t.key === 'all' ? { type: 'all' } : { type: t.key, id: (t.key === 'office' ? org.offices : t.key === 'team' ? org.teams : associates)[0]?.id })} style={[styles.chip, viewScope.type === t.key && styles.chipActive]}>
+                <Text style={[styles.chipText, viewScope.type === t.key && styles.chipTextActive]}>{t.label}</Text>
               </TouchableOpacity>
             ))}
-          </ScrollView>
+          </View>
+          {viewScope.type !== 'all' && (
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} style={{ marginTop: 4 }}>
+              {(viewScope.type === 'office' ? org.offices : viewScope.type === 'team' ? org.teams : associates).map((x) => (
+                <TouchableOpacity key={x.id} onPress={() => setScope({ type: viewScope.type, id: x.id })} style={[styles.chip, viewScope.id === x.id && styles.chipActive]}>
+                  <Text style={[styles.chipText, viewScope.id === x.id && styles.chipTextActive]}>{x.name}</Text>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+          )}
+        </>
+      )}
 
-          {/* Snapshot Cards */}
-          <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: 12, marginTop: 16 }}>
-            {Object.keys(KPI_LABELS).map((k) => (
-              <View key={k} style={{ width: '48%' }}>
-                <TargetCard k={k} />
-              </View>
+      <Text style={{ color: '#6b7280', marginTop: 12 }}>{viewScope.type === 'all' ? '' : `${scopeName(viewScope, org, roster)} (${scoped.length}) • `}Working day {dayProgress.elapsed} of {dayProgress.total} ({dayProgress.remaining} left){monthHolidays.length ? ` • ${monthHolidays.map((h) => `${h.name} ${Number(h.date.slice(8))}`).join(', ')}` : ''}</Text>
+
+      {/* Snapshot Cards */}
+      {canManage && (
+        <View style={{ flexDirection: 'row', flexWrap: 'wrap', gap: 12, marginTop: 16 }}>
+          {visibleKpis.map((k) => (
+            <View key={k.key} style={{ width: '48%' }}>
+              <TargetCard kpi={k} />
+            </View>
+          ))}
+        </View>
+      )}
+
+      {/* Tabs */}
+      {canManage && (
+        <View style={{ flexDirection: 'row', marginTop: 16 }}>
+          <TabButton id="team" label="Team" />
+          <TabButton id="trends" label="Trends" />
+          <TabButton id="associates" label="Associates" />
+          <TabButton id="settings" label="Settings" />
+          <TabButton id="tests" label="Tests" />
+        </View>
+      )}
+    </>
+  );
+  const screenFooter = (
+    <Text style={{ textAlign: 'center', color: '#6b7280', marginTop: 16, marginBottom: 24 }}>
+      Built for monthly targets: {visibleKpis.map((k) => `${k.label} ${targets[k.key] ?? 0}`).join(' • ')}
+    </Text>
+  );
+
+  // Associates tab: the table's rows are the screen's own list, with everything else above and below them
+  const sortMark = (key) => (tableSort.key === key ? (tableSort.desc ? ' ▼' : ' ▲') : '');
+  const associatesHeader = (
+    <>
+      {screenHeader}
+      <View style={[styles.row, { marginTop: 12 }]}>
+        <TextInput placeholder="Associate name" value={newName} onChangeText={setNewName} style={[styles.input, { flex: 1 }]} />
+        <TouchableOpacity style={styles.btn} onPress={addAssociate}><Text style={styles.btnText}>Add</Text></TouchableOpacity>
+      </View>
+      {associates.length > 0 && (
+        <>
+          <View style={[styles.row, { justifyContent: 'flex-start' }]}>
+            <TouchableOpacity style={[styles.btn, { backgroundColor: '#10b981' }]} onPress={() => openLog()}><Text style={styles.btnText}>Log today's activity</Text></TouchableOpacity>
+            <TouchableOpacity style={styles.btn} disabled={!tableRows.length} onPress={openBulk}><Text style={styles.btnText}>Bulk entry</Text></TouchableOpacity>
+          </View>
+          <TextInput placeholder="Search names" value={tableQuery} onChangeText={setTableQuery} autoCorrect={false} clearButtonMode="while-editing" style={[styles.input, { marginTop: 8 }]} />
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} keyboardShouldPersistTaps="handled" style={{ marginTop: 8 }}>
+            {TABLE_FILTERS.map((f) => (
+              <TouchableOpacity key={f.key} onPress={() => setTableFilter(f.key)} style={[styles.chip, tableFilter === f.key && styles.chipActive]}>
+                <Text style={[styles.chipText, tableFilter === f.key && styles.chipTextActive]}>{f.label}</Text>
+              </TouchableOpacity>
             ))}
+          </ScrollView>
+          {tableRows.length < associates.length && <Text style={{ color: '#6b7280', marginTop: 8 }}>Showing {tableRows.length} of {associates.length}</Text>}
+          <View style={[styles.rowBetween, styles.tableHeader]}>
+            <TouchableOpacity style={{ flex: 1 }} onPress={() => sortTable('name')}><Text style={styles.th}>Name{sortMark('name')}</Text></TouchableOpacity>
+            {visibleKpis.map((k) => (<TouchableOpacity key={k.key} onPress={() => sortTable(k.key)}><Text numberOfLines={1} style={styles.thShort}>{k.label}{sortMark(k.key)}</Text></TouchableOpacity>))}
+            <TouchableOpacity onPress={() => sortTable('prog')}><Text style={styles.thShort}>Prog{sortMark('prog')}</Text></TouchableOpacity>
+            <TouchableOpacity onPress={() => sortTable('pace')}><Text style={styles.thShort}>Pace{sortMark('pace')}</Text></TouchableOpacity>
+            <Text style={styles.thShort}>Plan</Text>
+            <Text style={styles.thShort}>Del</Text>
           </View>
+        </>
+      )}
+    </>
+  );
+  const rosterShown = tableQuery.trim() ? roster.filter((p) => p.name.toLowerCase().includes(tableQuery.trim().toLowerCase())) : roster;
+  const associatesFooter = (
+    <>
+      {deletedRows.length > 0 && (
+        <View style={styles.card}>
+          <Text style={styles.cardTitle}>Removed this month</Text>
+          {deletedRows.map((a) => (
+            <View key={a.id} style={styles.rowBetween}>
+              <View style={{ flex: 1 }}>
+                <Text>{a.name}</Text>
+                <Text style={{ color: '#6b7280', fontSize: 12 }}>by {a.deletedBy || '?'} • {String(a.deletedAt || '').slice(0, 16).replace('T', ' ')}</Text>
+              </View>
+              <TouchableOpacity onPress={() => restoreAssociate(a.id)}><Text style={{ color: '#3b82f6' }}>Restore</Text></TouchableOpacity>
+            </View>
+          ))}
+        </View>
+      )}
 
-          {/* Tabs */}
-          <View style={{ flexDirection: 'row', marginTop: 16 }}>
-            <TabButton id="team" label="Team" />
-            <TabButton id="associates" label="Associates" />
-            <TabButton id="settings" label="Settings" />
-            <TabButton id="tests" label="Tests" />
-          </View>
+      <View style={styles.card}>
+        <Text style={styles.cardTitle}>Roster{rosterShown.length < roster.length ? ` – ${rosterShown.length} matching "${tableQuery.trim()}"` : ''}</Text>
+        {roster.length === 0 ? (
+          <Text style={{ color: '#6b7280', marginTop: 6 }}>Everyone you add is kept here and carried into each new month while active.</Text>
+        ) : (
+          rosterShown.map((p) => (
+            <TouchableOpacity key={p.id} onPress={() => setProfileId(p.id)} style={[styles.rowBetween, { paddingVertical: 6 }]}>
+              <Text style={{ fontWeight: '600', color: p.status === 'departed' ? '#9ca3af' : '#111827' }}>{p.name}</Text>
+              <Text style={{ color: '#6b7280', fontSize: 12 }}>{ROSTER_STATUSES.find((x) => x.key === p.status)?.label}{org.teams.find((t) => t.id === p.teamId) ? ` • ${org.teams.find((t) => t.id === p.teamId).name}` : ''} • since {p.startDate || '—'}{rows.some((r) => r.id === p.id) ? '' : ' • not in this month'}</Text>
+            </TouchableOpacity>
+          ))
+        )}
+      </View>
+      {screenFooter}
+    </>
+  );
 
-          {activeTab === 'team' && (
-            <View style={{ marginTop: 12 }}>
-              <View style={styles.card}>
-                <Text style={styles.cardTitle}>Team vs Target</Text>
-                <BarChart data={chartData} />
-                <Text style={{ marginTop: 6, color: '#6b7280' }}>Team target scales with headcount ({associates.length || 0}). Per-person target shown in Settings.</Text>
-              </View>
+  return (
+    <ErrorBoundary>
+      <SafeAreaView style={{ flex: 1 }}>
+        {shownTab === 'associates' ? (
+          <FlatList
+            data={tableRows}
+            keyExtractor={(r) => r.id}
+            renderItem={({ item }) => <AssociateRow row={item} kpis={visibleKpis} month={month} onAction={onRowAction} />}
+            initialNumToRender={15}
+            maxToRenderPerBatch={20}
+            windowSize={7}
+            removeClippedSubviews
+            keyboardShouldPersistTaps="handled"
+            contentContainerStyle={{ padding: 16 }}
+            ListHeaderComponent={associatesHeader}
+            ListEmptyComponent={associates.length === 0
+              ? <Text style={{ color: '#6b7280', marginTop: 8 }}>No associates this month. Add one, or add people from the roster below.</Text>
+              : <TouchableOpacity onPress={() => { setTableQuery(''); setTableFilter('all'); }} style={styles.tableRow}><Text style={{ color: '#6b7280' }}>No one matches. <Text style={{ color: '#3b82f6' }}>Show everyone</Text></Text></TouchableOpacity>}
+            ListFooterComponent={associatesFooter}
+          />
+        ) : (
+          <ScrollView contentContainerStyle={{ padding: 16 }}>
+            {screenHeader}
 
-              <View style={styles.card}>
-                <Text style={styles.cardTitle}>Leaderboard</Text>
-                {associates.length === 0 ? (
-                  <Text style={{ color: '#6b7280' }}>Add associates to see rankings.</Text>
+            {/* Associate mode: one person's own numbers and logging */}
+            {shownTab === 'self' && (
+              <View style={{ marginTop: 12 }}>
+                {selfAssociate ? (
+                  <View style={styles.card}>
+                    <View style={styles.rowBetween}>
+                      <Text style={styles.cardTitle}>{selfAssociate.name}</Text>
+                      {!access.selfId && <TouchableOpacity onPress={() => switchSelf(null)}><Text style={{ color: '#3b82f6' }}>Not you?</Text></TouchableOpacity>}
+                    </View>
+                    {visibleKpis.map((k) => {
+                      const actual = totalsById[selfAssociate.id][k.key]; const target = targetsById[selfAssociate.id][k.key];
+                      const p = pace(actual, target, progressById[selfAssociate.id]);
+                      return (
+                        <View key={k.key} style={[styles.rowBetween, { paddingVertical: 4 }]}>
+                          <Text>{k.label}</Text>
+                          <Text style={{ color: PACE_COLORS[p.status] }}>{actual} / {target} • {p.status === 'on pace' ? 'on pace' : `${p.status} ${Math.abs(p.diff)}`}</Text>
+                        </View>
+                      );
+                    })}
+                    <TouchableOpacity style={[styles.btn, { backgroundColor: '#10b981', marginTop: 8, alignSelf: 'flex-start' }]} onPress={() => openLog(selfAssociate.id)}><Text style={styles.btnText}>Log activity</Text></TouchableOpacity>
+                  </View>
+                ) : access.selfId ? (
+                  <Text style={{ color: '#6b7280' }}>{roster.find((p) => p.id === access.selfId)?.name || 'You'} isn't on {month}'s list – ask your manager.</Text>
                 ) : (
-                  leaderboard.map((l, i) => (
-                    <View key={l.id} style={styles.rowBetween}>
-                      <Text style={{ fontWeight: '600' }}>{i + 1}. {l.name}</Text>
-                      <Text>Listings {l.listings} • {Math.round(l.progress)}%</Text>
+                  <View style={styles.card}>
+                    <Text style={styles.cardTitle}>Who's logging?</Text>
+                    {associates.length === 0 && <Text style={{ color: '#6b7280' }}>Nobody is on {month}'s list yet – ask your manager.</Text>}
+                    <View style={[styles.row, { flexWrap: 'wrap' }]}>
+                      {associates.map((a) => (
+                        <TouchableOpacity key={a.id} onPress={() => switchSelf(a.id)} style={styles.chip}>
+                          <Text style={styles.chipText}>{a.name}</Text>
+                        </TouchableOpacity>
+                      ))}
                     </View>
-                  ))
+                  </View>
                 )}
+                {!!access.selfId && renderNotificationSettings()}
+                <TouchableOpacity style={[styles.btn, { backgroundColor: '#6b7280', marginTop: 12, alignSelf: 'flex-start' }]} onPress={unlockManager}><Text style={styles.btnText}>Manager</Text></TouchableOpacity>
               </View>
-            </View>
-          )}
+            )}
 
-          {activeTab === 'associates' && (
-            <View style={{ marginTop: 12 }}>
-              <View style={styles.row}>
-                <TextInput placeholder="Associate name" value={newName} onChangeText={setNewName} style={[styles.input, { flex: 1 }]} />
-                <TouchableOpacity style={styles.btn} onPress={addAssociate}><Text style={styles.btnText}>Add</Text></TouchableOpacity>
+            {shownTab === 'team' && (
+              <View style={{ marginTop: 12 }}>
+                <View style={styles.card}>
+                  <Text style={styles.cardTitle}>Team vs Target</Text>
+                  <BarChart data={chartData} />
+                  <Text style={{ marginTop: 6, color: '#6b7280' }}>Team target is the sum of each associate's effective target ({scoped.length || 0} associates{viewScope.type === 'all' ? '' : ` in ${scopeName(viewScope, org, roster)}`}). Standard targets are in Settings.</Text>
+                </View>
+
+                <View style={styles.card}>
+                  <Text style={styles.cardTitle}>Leaderboard</Text>
+                  {scoped.length === 0 ? (
+                    <Text style={{ color: '#6b7280' }}>Add associates to see rankings.</Text>
+                  ) : (
+                    leaderboard.entries.map((e) => (
+                      <View key={e.id} style={{ paddingVertical: 4 }}>
+                        <View style={styles.rowBetween}>
+                          <Text style={{ fontWeight: '600' }}>{e.rank}. {e.name} <Text style={{ fontWeight: '400', fontSize: 12, color: e.movement > 0 ? PACE_COLORS.ahead : e.movement < 0 ? PACE_COLORS.behind : '#9ca3af' }}>{movementLabel(e.movement)}</Text></Text>
+                          <Text>{leaderboard.headline} {e.headline} • <Text style={{ fontWeight: '600' }}>{e.score}%</Text></Text>
+                        </View>
+                        {(e.streak > 0 || e.badges.length > 0) && (
+                          <Text style={{ color: '#6b7280', fontSize: 12 }}>{[e.streak ? `🔥 ${streakLabel(e.streak, leaderboard.streakUnit)} on target` : '', ...e.badges.map((b) => `${b.icon} ${b.label}`)].filter(Boolean).join('  ')}</Text>
+                        )}
+                      </View>
+                    ))
+                  )}
+                  <Text style={{ color: '#6b7280', marginTop: 6, fontSize: 12 }}>Score is weighted % of target{leaderboard.uncapped ? ', uncapped' : ' (capped at 100% per KPI)'}; movement is since the same day last week. Scoring is set in Settings.</Text>
+                </View>
+
+                <View style={styles.card}>
+                  <Text style={styles.cardTitle}>Funnel</Text>
+                  {renderFunnel(reportScopeKey(viewScope) || 'team', scopedIds, teamTargets)}
+                </View>
               </View>
+            )}
+
+            {shownTab === 'trends' && (
+              <View style={{ marginTop: 12 }}>
+                <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                  {[{ id: 'team', name: 'Team' }, ...roster].map((p) => (
+                    <TouchableOpacity key={p.id} onPress={() => setTrendScope(p.id)} style={[styles.chip, trendScope === p.id && styles.chipActive]}>
+                      <Text style={[styles.chipText, trendScope === p.id && styles.chipTextActive]}>{p.name}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </ScrollView>
+                {trendHistory.length < 2 && <Text style={{ color: '#6b7280', marginTop: 8 }}>Trends fill in as months are recorded – only {trendHistory.length} so far.</Text>}
 
-              {associates.length === 0 ? (
-                <Text style={{ color: '#6b7280', marginTop: 8 }}>No associates yet. Add one to get started.</Text>
-              ) : (
-                <View style={[styles.card, { padding: 0, overflow: 'hidden' }]}> 
-                  <View style={[styles.rowBetween, styles.tableHeader]}>
-                    <Text style={styles.th}>Name</Text>
-                    {Object.keys(KPI_LABELS).map((k) => (<Text key={k} style={styles.thShort}>{KPI_LABELS[k]}</Text>))}
-                    <Text style={styles.thShort}>Prog</Text>
-                    <Text style={styles.thShort}>Del</Text>
+                {visibleKpis.map((k) => {
+                  const values = trendHistory.map((h) => (h.actual ? h.actual[k.key] : null));
+                  const avg = rollingAverage(values);
+                  const points = trendHistory.map((h, i) => ({ label: shortMonthLabel(h.month), value: values[i], avg: avg[i], attained: h.actual ? attainedPct(h.actual[k.key], h.target[k.key]) : null }));
+                  const last = points[points.length - 1];
+                  return (
+                    <View key={k.key} style={styles.card}>
+                      <View style={styles.rowBetween}>
+                        <Text style={styles.cardTitle}>{k.label}</Text>
+                        <Text style={{ color: '#6b7280', fontSize: 12 }}>{last?.value ?? '–'} • 3-mo avg {last?.avg ?? '–'} • {last?.attained ?? '–'}%</Text>
+                      </View>
+                      <LineChart points={points} />
+                    </View>
+                  );
+                })}
+                <Text style={{ color: '#6b7280', fontSize: 12, marginTop: 6 }}>
+                  <Text style={{ color: CHART_COLORS.actual }}>━</Text> actual  <Text style={{ color: CHART_COLORS.average }}>╌</Text> rolling 3-month average  <Text style={{ color: CHART_COLORS.attained }}>━</Text> % of target (own scale, dotted line = 100%)
+                </Text>
+
+                <View style={styles.card}>
+                  <View style={styles.rowBetween}>
+                    <Text style={styles.cardTitle}>Roll-ups</Text>
+                    <View style={{ flexDirection: 'row' }}>
+                      {[{ key: 'quarter', label: 'Quarter' }, { key: 'fy', label: 'Financial year' }].map((p) => (
+                        <TouchableOpacity key={p.key} onPress={() => setTrendPeriod(p.key)} style={[styles.chip, trendPeriod === p.key && styles.chipActive]}>
+                          <Text style={[styles.chipText, trendPeriod === p.key && styles.chipTextActive]}>{p.label}</Text>
+                        </TouchableOpacity>
+                      ))}
+                    </View>
                   </View>
-                  <FlatList
-                    data={associates}
-                    keyExtractor={(a) => a.id}
-                    renderItem={({ item: a }) => {
-                      const prog = Math.round((Object.keys(KPI_LABELS).reduce((acc, k) => acc + pct(a.metrics[k] || 0, targets[k]), 0) / Object.keys(KPI_LABELS).length));
-                      return (
-                        <View style={[styles.rowBetween, styles.tableRow]}>
-                          <Text style={[styles.td, { flex: 1 }]}>{a.name}</Text>
-                          {Object.keys(KPI_LABELS).map((k) => (
-                            <TextInput key={k} keyboardType="number-pad" value={String(a.metrics[k] ?? 0)} onChangeText={(txt) => updateMetric(a.id, k, txt)} style={[styles.input, styles.inputTd]} />
+                  {trendRollup.length === 0 && <Text style={{ color: '#6b7280', marginTop: 8 }}>No recorded months yet.</Text>}
+                  {trendRollup.map((g) => (
+                    <View key={g.key} style={{ paddingVertical: 6, borderBottomWidth: 1, borderColor: '#f3f4f6' }}>
+                      <View style={styles.rowBetween}>
+                        <Text style={{ fontWeight: '600' }}>{g.key}</Text>
+                        <Text style={{ color: '#6b7280', fontSize: 12 }}>{g.months.length} month(s) recorded</Text>
+                      </View>
+                      {visibleKpis.map((k) => {
+                        const att = attainedPct(g.actual[k.key], g.target[k.key]);
+                        return (
+                          <View key={k.key} style={styles.rowBetween}>
+                            <Text>{k.label}</Text>
+                            <Text style={{ color: att >= 100 ? PACE_COLORS.ahead : '#111827' }}>{g.actual[k.key]} / {g.target[k.key]}{att == null ? '' : ` (${att}%)`}</Text>
+                          </View>
+                        );
+                      })}
+                    </View>
+                  ))}
+                  <Text style={{ color: '#6b7280', fontSize: 12, marginTop: 6 }}>Financial years run July–June (FY26 = Jul 2025 – Jun 2026); quarters count from July.</Text>
+                </View>
+              </View>
+            )}
+
+            {shownTab === 'settings' && (
+              <View style={{ marginTop: 12 }}>
+                <View style={styles.card}>
+                  <Text style={styles.cardTitle}>Manager Lock</Text>
+                  {!access.pinHash ? (
+                    <>
+                      <Text style={{ color: '#6b7280' }}>Anyone holding this phone can change everything. With a PIN, the phone opens in associate mode: people see and log only their own activity, and Settings, targets, deletes, imports and resets need the manager.</Text>
+                      <TouchableOpacity style={[styles.btn, { marginTop: 8, alignSelf: 'flex-start' }]} onPress={() => setPinEntry({ purpose: 'set', pin: '', confirm: '', error: null })}><Text style={styles.btnText}>Set manager PIN</Text></TouchableOpacity>
+                    </>
+                  ) : (
+                    <>
+                      <Text style={{ marginTop: 4, fontWeight: '600' }}>This phone belongs to</Text>
+                      <View style={[styles.row, { flexWrap: 'wrap' }]}>
+                        {[{ id: null, name: 'Shared – pick a name' }, ...roster.filter((p) => p.status !== 'departed')].map((p) => (
+                          <TouchableOpacity key={p.id || 'shared'} onPress={() => updateAccess({ selfId: p.id })} style={[styles.chip, access.selfId === p.id && styles.chipActive]}>
+                            <Text style={[styles.chipText, access.selfId === p.id && styles.chipTextActive]}>{p.name}</Text>
+                          </TouchableOpacity>
+                        ))}
+                      </View>
+                      {bioAvailable && (
+                        <View style={[styles.row, { flexWrap: 'wrap' }]}>
+                          {[{ key: false, label: 'PIN only' }, { key: true, label: 'Face / fingerprint, then PIN' }].map((o) => (
+                            <TouchableOpacity key={o.label} onPress={() => updateAccess({ biometrics: o.key })} style={[styles.chip, !!access.biometrics === o.key && styles.chipActive]}>
+                              <Text style={[styles.chipText, !!access.biometrics === o.key && styles.chipTextActive]}>{o.label}</Text>
+                            </TouchableOpacity>
                           ))}
-                          <Text style={styles.tdShort}>{prog}%</Text>
-                          <TouchableOpacity onPress={() => deleteAssociate(a.id)}><Text style={[styles.tdShort, { color: '#ef4444' }]}>X</Text></TouchableOpacity>
                         </View>
-                      );
-                    }}
-                  />
+                      )}
+                      <View style={[styles.row, { justifyContent: 'flex-start', gap: 8 }]}>
+                        <TouchableOpacity style={styles.btn} onPress={lockManager}><Text style={styles.btnText}>Lock now</Text></TouchableOpacity>
+                        <TouchableOpacity style={[styles.btn, { backgroundColor: '#6b7280' }]} onPress={() => setPinEntry({ purpose: 'set', pin: '', confirm: '', error: null })}><Text style={styles.btnText}>Change PIN</Text></TouchableOpacity>
+                        <TouchableOpacity style={[styles.btn, { backgroundColor: '#ef4444' }]} onPress={removePin}><Text style={styles.btnText}>Remove PIN</Text></TouchableOpacity>
+                      </View>
+                      <Text style={{ color: '#6b7280', marginTop: 6 }}>Manager mode locks again when you tap Lock, or after the app has been in the background for a couple of minutes.</Text>
+                    </>
+                  )}
+                  <Text style={{ marginTop: 12 }}>Name in the audit trail</Text>
+                  <TextInput value={access.managerName} onChangeText={(txt) => updateAccess({ managerName: txt })} placeholder="Manager" style={styles.input} />
                 </View>
-              )}
-            </View>
-          )}
 
-          {activeTab === 'settings' && (
-            <View style={{ marginTop: 12 }}>
-              <View style={styles.card}>
-                <Text style={styles.cardTitle}>Per-Person Monthly Targets</Text>
-                {Object.keys(KPI_LABELS).map((k) => (
-                  <View key={k} style={styles.row}> 
-                    <Text style={{ width: 160 }}>{KPI_LABELS[k]}</Text>
-                    <TextInput keyboardType="number-pad" value={String(targets[k])} onChangeText={(txt) => setTargets((t) => ({ ...t, [k]: Number(txt) }))} style={[styles.input, { flex: 1 }]} />
+                <View style={styles.card}>
+                  <Text style={styles.cardTitle}>Audit Trail</Text>
+                  <Text style={{ color: '#6b7280', marginBottom: 6 }}>Every change to activity, targets and who is in a month, with who made it and the old and new value. {audit.length} entr{audit.length === 1 ? 'y' : 'ies'} kept.</Text>
+                  {audit.length === 0 && <Text style={{ color: '#6b7280' }}>Nothing recorded yet.</Text>}
+                  {audit.slice(0, 30).map((e) => <Text key={e.id} style={{ fontSize: 12, marginTop: 2 }}>{auditLine(e, kpis)}</Text>)}
+                  <View style={[styles.row, { justifyContent: 'flex-start', gap: 8 }]}>
+                    <TouchableOpacity style={styles.btn} onPress={exportAuditCSV}><Text style={styles.btnText}>Export CSV</Text></TouchableOpacity>
+                    <TouchableOpacity style={[styles.btn, { backgroundColor: '#6b7280' }]} onPress={exportAuditJSON}><Text style={styles.btnText}>Export JSON</Text></TouchableOpacity>
                   </View>
-                ))}
-                <Text style={{ color: '#6b7280', marginTop: 6 }}>These targets apply to each associate. Team targets scale automatically with headcount.</Text>
-              </View>
+                </View>
 
-              <View style={styles.card}>
-                <Text style={styles.cardTitle}>Daily Email Settings</Text>
-                <View style={styles.row}><Text style={{ width: 120 }}>Send to</Text><TextInput value={emailTo} onChangeText={setEmailTo} autoCapitalize='none' keyboardType='email-address' style={[styles.input, { flex: 1 }]} /></View>
-                <View style={styles.row}><Text style={{ width: 120 }}>Send hour</Text><TextInput value={String(sendHour)} onChangeText={setSendHour} keyboardType='number-pad' style={[styles.input, { width: 100 }]} /><Text style={{ marginLeft: 8 }}>(0-23, local time)</Text></View>
-                <View style={styles.row}><Text style={{ width: 120 }}>Webhook URL</Text><TextInput value={emailWebhook} onChangeText={setEmailWebhook} autoCapitalize='none' placeholder='https://your-api.example/send' style={[styles.input, { flex: 1 }]} /></View>
-                <View style={[styles.row, { justifyContent: 'flex-start', gap: 8 }]}>
-                  <TouchableOpacity style={[styles.btn, { backgroundColor: '#10b981' }]} onPress={sendDailyEmailNow}><Text style={styles.btnText}>Send test email now</Text></TouchableOpacity>
+                <View style={styles.card}>
+                  <Text style={styles.cardTitle}>Per-Person Monthly Targets</Text>
+                  {visibleKpis.map((k) => (
+                    <View key={k.key} style={styles.row}> 
+                      <Text style={{ width: 160 }}>{k.label}</Text>
+                      <TextInput keyboardType="number-pad" value={String(targets[k.key] ?? 0)} onChangeText={(txt) => setTarget(k.key, txt)} style={[styles.input, { flex: 1 }]} />
+                    </View>
+                  ))}
+                  <Text style={{ color: '#6b7280', marginTop: 6 }}>Standard targets for a full-time associate. Part-time percentages, ramp plans and explicit overrides are set per associate from the Plan column on the Associates tab; team targets add up each person's effective target.</Text>
+                </View>
+
+                <View style={styles.card}>
+                  <Text style={styles.cardTitle}>KPIs</Text>
+                  {kpis.map((k, i) => (
+                    <View key={k.key} style={k.archived && { opacity: 0.5 }}>
+                    <View style={styles.row}>
+                      <TextInput value={k.label} editable={kpisEditable} onChangeText={(txt) => editKpi(k.key, { label: txt })} style={[styles.input, { flex: 1 }]} />
+                      <TextInput value={k.unit || ''} placeholder="unit" autoCapitalize="none" editable={kpisEditable} onChangeText={(txt) => editKpi(k.key, { unit: txt })} style={[styles.input, { width: 80 }]} />
+                      <TextInput value={weightDrafts[k.key] ?? String(k.weight ?? 1)} placeholder="1" keyboardType="decimal-pad" editable={kpisEditable} onChangeText={(txt) => setWeightDrafts((prev) => ({ ...prev, [k.key]: txt }))} onEndEditing={() => commitKpiWeight(k.key)} style={[styles.input, { width: 44, textAlign: 'right' }]} />
+                      <TouchableOpacity disabled={!kpisEditable || i === 0} onPress={() => moveKpi(k.key, -1)}><Text style={{ color: !kpisEditable || i === 0 ? '#d1d5db' : '#111827' }}>▲</Text></TouchableOpacity>
+                      <TouchableOpacity disabled={!kpisEditable || i === kpis.length - 1} onPress={() => moveKpi(k.key, 1)}><Text style={{ color: !kpisEditable || i === kpis.length - 1 ? '#d1d5db' : '#111827' }}>▼</Text></TouchableOpacity>
+                      <TouchableOpacity disabled={!kpisEditable} onPress={() => editKpi(k.key, { archived: !k.archived })}><Text style={{ color: k.archived ? '#10b981' : '#ef4444' }}>{k.archived ? 'Restore' : 'Archive'}</Text></TouchableOpacity>
+                    </View>
+                    <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={{ alignItems: 'center' }} style={{ marginTop: 4 }}>
+                      <Text style={{ color: '#6b7280', fontSize: 12, marginRight: 6 }}>Converts from</Text>
+                      {[null, ...activeKpis(kpis).filter((x) => x.key !== k.key)].map((x) => (
+                        <TouchableOpacity key={x?.key || 'none'} disabled={!kpisEditable} onPress={() => editKpi(k.key, { from: x?.key || null })} style={[styles.chip, funnelSource(k) === (x?.key || null) && styles.chipActive]}>
+                          <Text style={[styles.chipText, { fontSize: 12 }, funnelSource(k) === (x?.key || null) && styles.chipTextActive]}>{x?.label || '—'}</Text>
+                        </TouchableOpacity>
+                      ))}
+                    </ScrollView>
+                    </View>
+                  ))}
+                  {kpisEditable ? (
+                    <View style={styles.row}>
+                      <TextInput placeholder="New KPI (e.g. Vendor Calls)" value={newKpiLabel} onChangeText={setNewKpiLabel} style={[styles.input, { flex: 1 }]} />
+                      <TouchableOpacity style={styles.btn} onPress={addKpi}><Text style={styles.btnText}>Add</Text></TouchableOpacity>
+                    </View>
+                  ) : (
+                    <Text style={{ color: '#6b7280', marginTop: 6 }}>This month is over; it keeps the KPIs it was recorded with. Pick the current month to change them.</Text>
+                  )}
+                  <Text style={{ color: '#6b7280', marginTop: 6 }}>Label, unit and weight per KPI. "Converts from" links KPIs into the funnel (connects → appraisals → listings) for conversion rates. Archived KPIs keep their logged activity but are hidden from entry, charts and reports. Changes made in the current month become the default for new months; past months keep the KPIs they were recorded with.</Text>
+                </View>
+
+                <View style={styles.card}>
+                  <Text style={styles.cardTitle}>Leaderboard Scoring</Text>
+                  {visibleKpis.map((k) => (
+                    <View key={k.key} style={styles.row}>
+                      <Text style={{ width: 160 }}>{k.label}</Text>
+                      <TextInput keyboardType="decimal-pad" value={scoring.weights?.[k.key] == null ? '' : String(scoring.weights[k.key])} placeholder={String(kpiWeight(k))} onChangeText={(txt) => setScoringWeight(k.key, txt)} style={[styles.input, styles.inputTd]} />
+                    </View>
+                  ))}
+                  <View style={[styles.row, { flexWrap: 'wrap' }]}>
+                    {[{ key: false, label: 'Cap at 100%' }, { key: true, label: 'Uncapped' }].map((o) => (
+                      <TouchableOpacity key={o.label} onPress={() => updateScoring({ uncapped: o.key })} style={[styles.chip, !!scoring.uncapped === o.key && styles.chipActive]}>
+                        <Text style={[styles.chipText, !!scoring.uncapped === o.key && styles.chipTextActive]}>{o.label}</Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                  <View style={[styles.row, { flexWrap: 'wrap' }]}>
+                    <Text style={{ marginRight: 6 }}>Streaks in</Text>
+                    {STREAK_UNITS.map((u) => (
+                      <TouchableOpacity key={u.key} onPress={() => updateScoring({ streakUnit: u.key })} style={[styles.chip, scoring.streakUnit === u.key && styles.chipActive]}>
+                        <Text style={[styles.chipText, scoring.streakUnit === u.key && styles.chipTextActive]}>{u.label}</Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                  <Text style={{ color: '#6b7280', marginTop: 6 }}>Weights for the leaderboard score; blank uses the KPI's own weight and 0 leaves a KPI out. Uncapped lets over-performance on one KPI lift the score. A streak counts working days at or ahead of pace, or months on target, on every weighted KPI.</Text>
+                </View>
+
+                <View style={styles.card}>
+                  <Text style={styles.cardTitle}>Offices & Teams</Text>
+                  {org.offices.map((o) => (
+                    <TouchableOpacity key={o.id} onPress={() => setOrgEdit({ kind: 'office', id: o.id })} style={[styles.rowBetween, { paddingVertical: 6 }]}>
+                      <Text style={{ fontWeight: '600' }}>{o.name}</Text>
+                      <Text style={{ color: '#6b7280', fontSize: 12 }}>{org.teams.filter((t) => t.officeId === o.id).length} team(s)</Text>
+                    </TouchableOpacity>
+                  ))}
+                  <View style={styles.row}>
+                    <TextInput placeholder="New office" value={newOfficeName} onChangeText={setNewOfficeName} style={[styles.input, { flex: 1 }]} />
+                    <TouchableOpacity style={styles.btn} onPress={addOffice}><Text style={styles.btnText}>Add</Text></TouchableOpacity>
+                  </View>
+                  {org.teams.map((t) => (
+                    <TouchableOpacity key={t.id} onPress={() => setOrgEdit({ kind: 'team', id: t.id })} style={[styles.rowBetween, { paddingVertical: 6 }]}>
+                      <Text style={{ fontWeight: '600' }}>{t.name}{t.leader ? ` – ${t.leader}` : ''}</Text>
+                      <Text style={{ color: '#6b7280', fontSize: 12 }}>{org.offices.find((o) => o.id === t.officeId)?.name || 'No office'} • {roster.filter((p) => p.teamId === t.id && p.status !== 'departed').length} people</Text>
+                    </TouchableOpacity>
+                  ))}
+                  <View style={styles.row}>
+                    <TextInput placeholder="New team" value={newTeamName} onChangeText={setNewTeamName} style={[styles.input, { flex: 1 }]} />
+                    <TouchableOpacity style={styles.btn} onPress={addTeam}><Text style={styles.btnText}>Add</Text></TouchableOpacity>
+                  </View>
+                  <Text style={{ color: '#6b7280', marginTop: 6 }}>Assign people to a team from their roster profile. Each team or office can have its own recipients and send hour; it gets a daily roll-up once a destination is set to receive it.</Text>
+                </View>
+
+                <View style={styles.card}>
+                  <Text style={styles.cardTitle}>Working Calendar</Text>
+                  <View style={[styles.row, { flexWrap: 'wrap' }]}>
+                    {[1, 2, 3, 4, 5, 6, 0].map((d) => (
+                      <TouchableOpacity key={d} onPress={() => toggleWorkday(d)} style={[styles.chip, calendar.weekdays.includes(d) && styles.chipActive]}>
+                        <Text style={[styles.chipText, calendar.weekdays.includes(d) && styles.chipTextActive]}>{WEEKDAYS[d].slice(0, 3)}</Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                  <View style={styles.row}><Text style={{ width: 120 }}>Time zone</Text><TextInput value={calendar.timeZone} placeholder={Intl.DateTimeFormat().resolvedOptions().timeZone || 'Australia/Sydney'} autoCapitalize="none" autoCorrect={false} onChangeText={(txt) => updateCalendar({ timeZone: txt.trim() })} style={[styles.input, { flex: 1 }]} /></View>
+                  {!validTimeZone(calendar.timeZone) && <Text style={{ color: '#ef4444' }}>Unknown time zone – use a name like Australia/Sydney. Until then the phone's own is used.</Text>}
+                  <View style={[styles.row, { flexWrap: 'wrap' }]}>
+                    <Text style={{ marginRight: 6 }}>Reports on non-working days</Text>
+                    {[{ key: false, label: 'Send' }, { key: true, label: 'Skip' }].map((o) => (
+                      <TouchableOpacity key={o.label} onPress={() => updateCalendar({ skipNonWorking: o.key })} style={[styles.chip, !!calendar.skipNonWorking === o.key && styles.chipActive]}>
+                        <Text style={[styles.chipText, !!calendar.skipNonWorking === o.key && styles.chipTextActive]}>{o.label}</Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                  <Text style={{ marginTop: 12, fontWeight: '600' }}>Holidays in {month.slice(0, 4)}</Text>
+                  {calendar.holidays.filter((h) => h.date.startsWith(month.slice(0, 4))).map((h) => (
+                    <View key={h.date} style={[styles.rowBetween, { paddingVertical: 4 }]}>
+                      <Text>{h.date} {h.name}</Text>
+                      <TouchableOpacity onPress={() => removeHoliday(h.date)}><Text style={{ color: '#ef4444' }}>Remove</Text></TouchableOpacity>
+                    </View>
+                  ))}
+                  {calendar.holidays.length > 0 && !calendar.holidays.some((h) => h.date.startsWith(month.slice(0, 4))) && <Text style={{ color: '#6b7280' }}>None this year ({calendar.holidays.length} in other years).</Text>}
+                  <View style={styles.row}>
+                    <TextInput placeholder="YYYY-MM-DD" value={holidayDraft.date} autoCapitalize="none" onChangeText={(txt) => setHolidayDraft((d) => ({ ...d, date: txt }))} style={[styles.input, { width: 120 }]} />
+                    <TextInput placeholder="Name" value={holidayDraft.name} onChangeText={(txt) => setHolidayDraft((d) => ({ ...d, name: txt }))} style={[styles.input, { flex: 1, marginLeft: 8 }]} />
+                    <TouchableOpacity style={styles.btn} onPress={addHoliday}><Text style={styles.btnText}>Add</Text></TouchableOpacity>
+                  </View>
+                  <TouchableOpacity style={[styles.btn, { marginTop: 8, alignSelf: 'flex-start' }]} onPress={importHolidays}><Text style={styles.btnText}>Import holidays (.ics or list)</Text></TouchableOpacity>
+                  <Text style={{ color: '#6b7280', marginTop: 6 }}>Pace, targets, streaks and reminders count working days: the ticked weekdays less holidays, and less each person's leave (set in their roster profile), which also scales their target down. Send hours are read in this time zone; blank uses each phone's own. Skipping sends no report for weekends and holidays.</Text>
+                </View>
+
+                <View style={styles.card}>
+                  <Text style={styles.cardTitle}>Daily Email Settings</Text>
+                  <View style={styles.row}><Text style={{ width: 120 }}>Send to</Text><TextInput value={emailTo} onChangeText={setEmailTo} autoCapitalize='none' keyboardType='email-address' style={[styles.input, { flex: 1 }]} /></View>
+                  <View style={styles.row}><Text style={{ width: 120 }}>Send hour</Text><TextInput value={String(sendHour)} onChangeText={setSendHour} keyboardType='number-pad' style={[styles.input, { width: 100 }]} /><Text style={{ marginLeft: 8 }}>(0-23, {calendar.timeZone && validTimeZone(calendar.timeZone) ? calendar.timeZone : 'local time'})</Text></View>
+                  <Text style={{ marginTop: 12, fontWeight: '600' }}>Destinations</Text>
+                  {destinations.length === 0 && <Text style={{ color: '#6b7280', marginTop: 4 }}>No destinations yet – reports can only be sent from your mail app.</Text>}
+                  {destinations.map((d) => (
+                    <TouchableOpacity key={d.id} onPress={() => setDestinationId(d.id)} style={[styles.rowBetween, { paddingVertical: 6 }]}>
+                      <Text style={{ fontWeight: '600', color: d.enabled === false ? '#9ca3af' : '#111827' }}>{d.name}</Text>
+                      <Text style={{ color: '#6b7280', fontSize: 12 }}>{DESTINATION_TYPES.find((t) => t.key === d.type)?.label}{destinationReports(d).some((r) => r) ? ` • ${destinationReports(d).length} report(s)` : ''}{d.signingSecret ? ' • signed' : ''}{d.enabled === false ? ' • off' : ''}</Text>
+                    </TouchableOpacity>
+                  ))}
+                  <TouchableOpacity style={[styles.btn, { marginTop: 8, alignSelf: 'flex-start' }]} onPress={addDestination}><Text style={styles.btnText}>Add destination</Text></TouchableOpacity>
+                  <View style={[styles.row, { justifyContent: 'flex-start', gap: 8 }]}>
+                    <TouchableOpacity style={[styles.btn, { backgroundColor: '#10b981' }]} onPress={sendDailyEmailNow}><Text style={styles.btnText}>Send test email now</Text></TouchableOpacity>
+                    <TouchableOpacity style={[styles.btn, { backgroundColor: '#6b7280' }]} onPress={openDeliveryLog}><Text style={styles.btnText}>Delivery Log</Text></TouchableOpacity>
+                  </View>
+                  <Text style={{ color: '#6b7280', marginTop: 6 }}>One report goes out per day once the send hour has passed. Missed or failed reports are retried with backoff the next time the app opens or background fetch runs. Note: iOS/Android may throttle background fetch. For guaranteed delivery, use a server-side schedule and let the app push data to it.</Text>
+                </View>
+
+                <View style={styles.card}>
+                  <Text style={styles.cardTitle}>Sync</Text>
+                  <View style={styles.row}><Text style={{ width: 120 }}>Server URL</Text><TextInput value={syncConfig.url} onChangeText={(url) => updateSyncConfig({ url: url.trim() })} autoCapitalize="none" keyboardType="url" placeholder="https://sync.example.com" style={[styles.input, { flex: 1 }]} /></View>
+                  <View style={styles.row}><Text style={{ width: 120 }}>Token</Text><TextInput value={syncConfig.token} onChangeText={(token) => updateSyncConfig({ token })} secureTextEntry autoCapitalize="none" placeholder="optional" style={[styles.input, { flex: 1 }]} /></View>
+                  <View style={[styles.row, { flexWrap: 'wrap' }]}>
+                    {[{ key: false, label: 'Off' }, { key: true, label: 'Sync this device' }].map((o) => (
+                      <TouchableOpacity key={o.label} onPress={() => updateSyncConfig({ enabled: o.key })} style={[styles.chip, !!syncConfig.enabled === o.key && styles.chipActive]}>
+                        <Text style={[styles.chipText, !!syncConfig.enabled === o.key && styles.chipTextActive]}>{o.label}</Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                  {syncStatus.enabled && <Text style={{ color: '#6b7280', marginTop: 4 }}>{syncStatusLabel(syncStatus)}{syncStatus.superseded ? ` • ${syncStatus.superseded} edit(s) replaced by newer ones from another device` : ''}{syncStatus.lastError && syncStatus.phase !== 'idle' ? `\n${syncStatus.lastError}` : ''}</Text>}
+                  <TouchableOpacity style={[styles.btn, { marginTop: 8, alignSelf: 'flex-start' }]} onPress={syncNow} disabled={!syncConfig.enabled || !syncConfig.url}><Text style={styles.btnText}>Sync now</Text></TouchableOpacity>
+                  <Text style={{ color: '#6b7280', marginTop: 6 }}>Shares months, activity, targets, the roster, KPIs, teams, leaderboard scoring and the working calendar with every device on the same server. Edits are saved here first and sent when online; if two devices change the same associate's KPI for the same day, the later edit wins. The first sync takes the server's copy of anything it already has. Report destinations and email settings stay on this device. Run your own server with "npm run sync:server".</Text>
+                </View>
+
+                {renderNotificationSettings()}
+
+                <View style={styles.card}>
+                  <Text style={styles.cardTitle}>Backup & Restore</Text>
+                  <Text style={{ color: '#6b7280', marginTop: 4 }}>Every month, the roster, KPIs and report settings in one file – use it to move to a new phone.</Text>
+                  <View style={styles.row}><Text style={{ width: 120 }}>Passphrase</Text><TextInput value={backupPassphrase} onChangeText={setBackupPassphrase} secureTextEntry autoCapitalize="none" placeholder="optional" style={[styles.input, { flex: 1 }]} /></View>
+                  <Text style={{ color: '#6b7280', marginTop: 4, fontSize: 12 }}>With a passphrase the backup is encrypted. Without one, anyone with the file can read it, including destination tokens and signing secrets.</Text>
+                  <View style={[styles.row, { justifyContent: 'flex-start', gap: 8 }]}>
+                    <TouchableOpacity style={styles.btn} onPress={createBackupFile}><Text style={styles.btnText}>Create Backup</Text></TouchableOpacity>
+                    <TouchableOpacity style={[styles.btn, { backgroundColor: '#10b981' }]} onPress={chooseBackupFile}><Text style={styles.btnText}>Restore Backup</Text></TouchableOpacity>
+                  </View>
+                </View>
+
+                <View style={styles.row}> 
+                  <TouchableOpacity style={[styles.btn, { backgroundColor: '#0ea5e9' }]} onPress={exportCSV}><Text style={styles.btnText}>Export CSV</Text></TouchableOpacity>
+                  <TouchableOpacity style={[styles.btn, { backgroundColor: '#0ea5e9' }]} onPress={exportJSON}><Text style={styles.btnText}>Export JSON</Text></TouchableOpacity>
+                  <TouchableOpacity style={[styles.btn, { backgroundColor: '#ef4444' }]} onPress={resetMonth}><Text style={styles.btnText}>Reset Month</Text></TouchableOpacity>
+                  <TouchableOpacity style={[styles.btn, { backgroundColor: '#10b981' }]} onPress={() => setImportVisible(true)}><Text style={styles.btnText}>Import</Text></TouchableOpacity>
                 </View>
-                <Text style={{ color: '#6b7280', marginTop: 6 }}>Note: iOS/Android may throttle background fetch. Keeping the app opened daily improves reliability. For guaranteed delivery, use a server-side schedule and let the app push data to it.</Text>
               </View>
+            )}
 
-              <View style={styles.row}> 
-                <TouchableOpacity style={[styles.btn, { backgroundColor: '#0ea5e9' }]} onPress={exportCSV}><Text style={styles.btnText}>Export CSV</Text></TouchableOpacity>
-                <TouchableOpacity style={[styles.btn, { backgroundColor: '#0ea5e9' }]} onPress={exportJSON}><Text style={styles.btnText}>Export JSON</Text></TouchableOpacity>
-                <TouchableOpacity style={[styles.btn, { backgroundColor: '#ef4444' }]} onPress={resetMonth}><Text style={styles.btnText}>Reset Month</Text></TouchableOpacity>
-                <TouchableOpacity style={[styles.btn, { backgroundColor: '#10b981' }]} onPress={() => setImportVisible(true)}><Text style={styles.btnText}>Import JSON</Text></TouchableOpacity>
+            {shownTab === 'tests' && (
+              <View style={{ marginTop: 12 }}>
+                <View style={styles.card}>
+                  <Text style={styles.cardTitle}>In-App Tests</Text>
+                  <TouchableOpacity style={styles.btn} onPress={runTests}><Text style={styles.btnText}>Run Tests</Text></TouchableOpacity>
+                  {tests.length === 0 ? (
+                    <Text style={{ color: '#6b7280', marginTop: 8 }}>No tests run yet.</Text>
+                  ) : (
+                    tests.map((r, idx) => (
+                      <View key={idx} style={[styles.rowBetween, { paddingVertical: 8, borderBottomWidth: 1, borderColor: '#eee' }]}> 
+                        <Text style={{ fontWeight: '600' }}>{r.name}</Text>
+                        <Text style={{ color: r.pass ? '#16a34a' : '#ef4444' }}>{r.pass ? 'PASS' : `FAIL: ${r.details}`}</Text>
+                      </View>
+                    ))
+                  )}
+                  <Text style={{ color: '#6b7280', fontSize: 12, marginTop: 8 }}>Note: On devices restricting storage, the persistence test may be inconclusive.</Text>
+                </View>
               </View>
+            )}
+
+            {screenFooter}
+          </ScrollView>
+        )}
+
+        {/* Import Modal */}
+        <Modal visible={importVisible} animationType="slide" transparent>
+          <View style={styles.modalBackdrop}>
+            <View style={[styles.modalCard, { maxHeight: '90%' }]}>
+              <ScrollView>
+                <Text style={{ fontWeight: '700', fontSize: 16, marginBottom: 8 }}>Import</Text>
+                {!importSource && (
+                  <>
+                    <TouchableOpacity style={[styles.btn, { backgroundColor: '#10b981', alignSelf: 'flex-start' }]} onPress={chooseImportFile}><Text style={styles.btnText}>Choose File</Text></TouchableOpacity>
+                    <Text style={{ color: '#6b7280', marginTop: 8 }}>A CSV (our export or a CRM spreadsheet) or a month JSON export – or paste one below.</Text>
+                    <TextInput style={[styles.input, { height: 140, textAlignVertical: 'top', marginTop: 8 }]} multiline placeholder={'Name,Connects,GeoData,…\nor {"month":"2025-08","targets":{...},"associates":[...]}'} value={importText} onChangeText={setImportText} />
+                    <View style={[styles.rowBetween, { marginTop: 12 }]}>
+                      <TouchableOpacity style={[styles.btn, { backgroundColor: '#6b7280' }]} onPress={closeImport}><Text style={styles.btnText}>Cancel</Text></TouchableOpacity>
+                      <TouchableOpacity style={[styles.btn, !importText.trim() && { opacity: 0.5 }]} disabled={!importText.trim()} onPress={() => loadImport('Pasted text', importText)}><Text style={styles.btnText}>Preview</Text></TouchableOpacity>
+                    </View>
+                  </>
+                )}
+
+                {importPlan && (
+                  <>
+                    <Text style={{ color: '#6b7280' }}>{importSource.name} • {importTable.rows.length} row(s) • into {month}</Text>
+                    <Text style={{ marginTop: 8, fontWeight: '600' }}>Columns</Text>
+                    {[{ id: 'name', label: 'Name', col: importMapping.name }, { id: 'date', label: 'Date (optional)', col: importMapping.date ?? -1 }, ...activeKpis(kpis).map((k) => ({ id: k.key, label: k.label, col: importMapping.kpis[k.key] ?? -1 }))].map((f) => (
+                      <View key={f.id} style={{ marginTop: 6 }}>
+                        <Text style={{ fontSize: 12, color: '#6b7280' }}>{f.label}</Text>
+                        <ScrollView horizontal showsHorizontalScrollIndicator={false} style={{ marginTop: 4 }}>
+                          {[-1, ...importTable.headers.map((_, i) => i)].map((col) => (
+                            <TouchableOpacity key={col} onPress={() => setImportColumn(f.id, col)} style={[styles.chip, f.col === col && styles.chipActive]}>
+                              <Text style={[styles.chipText, f.col === col && styles.chipTextActive]}>{col < 0 ? '—' : importTable.headers[col] || `Column ${col + 1}`}</Text>
+                            </TouchableOpacity>
+                          ))}
+                        </ScrollView>
+                      </View>
+                    ))}
+                    <Text style={{ color: '#6b7280', marginTop: 8, fontSize: 12 }}>{importMapping.date != null && importMapping.date >= 0 ? 'Each row sets that day’s activity.' : 'No date column: values are month totals and replace what is logged this month for those KPIs.'} Blank cells are left as they are.</Text>
+
+                    <Text style={{ marginTop: 12, fontWeight: '600' }}>Preview</Text>
+                    {importPlan.preview.length === 0 && <Text style={{ color: '#6b7280', marginTop: 4 }}>No changes.</Text>}
+                    {importPlan.preview.map((p) => (
+                      <View key={p.name} style={{ paddingVertical: 6, borderBottomWidth: 1, borderColor: '#f3f4f6' }}>
+                        <Text style={{ fontWeight: '600' }}>{p.name}{p.isNew ? ' (new)' : ''}</Text>
+                        <Text style={{ color: '#6b7280', fontSize: 12 }}>{activeKpis(kpis).filter((k) => p.before[k.key] !== p.after[k.key]).map((k) => `${k.label} ${p.before[k.key]} → ${p.after[k.key]}`).join(' • ') || 'No change'}</Text>
+                      </View>
+                    ))}
+                    {importPlan.errors.length > 0 && <Text style={{ marginTop: 12, fontWeight: '600', color: '#ef4444' }}>{importPlan.errors.length} problem(s) – these rows will be skipped</Text>}
+                    {importPlan.errors.map((e, i) => <Text key={i} style={{ color: '#ef4444', fontSize: 12, marginTop: 2 }}>{e.line > 1 ? `Line ${e.line}: ` : ''}{e.message}</Text>)}
+                  </>
+                )}
+
+                {importMonth && (importMonth.error ? (
+                  <Text style={{ color: '#ef4444' }}>{importMonth.error}</Text>
+                ) : (
+                  <Text>Replaces {importMonth.obj.month}{store[importMonth.obj.month] ? ' (its current data will be overwritten)' : ''} with {importMonth.obj.associates.length} associate(s), {importMonth.obj.associates.filter((a) => !roster.some((p) => p.id === a.id || sameName(p.name, a.name))).length} not yet on the roster.</Text>
+                ))}
+
+                {importSource && (
+                  <View style={[styles.rowBetween, { marginTop: 12 }]}>
+                    <TouchableOpacity style={[styles.btn, { backgroundColor: '#6b7280' }]} onPress={closeImport}><Text style={styles.btnText}>Cancel</Text></TouchableOpacity>
+                    <TouchableOpacity style={[styles.btn, { backgroundColor: '#6b7280' }]} onPress={() => setImportSource(null)}><Text style={styles.btnText}>Back</Text></TouchableOpacity>
+                    {importPlan ? (
+                      <TouchableOpacity style={[styles.btn, !importPlan.applied && { opacity: 0.5 }]} disabled={!importPlan.applied} onPress={importCSV}><Text style={styles.btnText}>Apply {importPlan.applied}</Text></TouchableOpacity>
+                    ) : (
+                      <TouchableOpacity style={[styles.btn, !!importMonth?.error && { opacity: 0.5 }]} disabled={!!importMonth?.error} onPress={importJSON}><Text style={styles.btnText}>Import</Text></TouchableOpacity>
+                    )}
+                  </View>
+                )}
+              </ScrollView>
             </View>
-          )}
+          </View>
+        </Modal>
+
+        {/* Restore Backup Modal */}
+        <Modal visible={!!restore} animationType="slide" transparent>
+          <View style={styles.modalBackdrop}>
+            {restore && (
+              <View style={[styles.modalCard, { maxHeight: '90%' }]}>
+                <ScrollView>
+                  <Text style={{ fontWeight: '700', fontSize: 16, marginBottom: 8 }}>Restore Backup</Text>
+                  <Text style={{ color: '#6b7280' }}>{restore.name} • made {String(restore.header.createdAt || '').slice(0, 16).replace('T', ' ')} • schema v{restore.header.schemaVersion}{restore.header.encrypted ? ' • encrypted' : ''}</Text>
+                  {restore.header.encrypted && !restore.diff && (
+                    <View style={styles.row}>
+                      <TextInput value={restore.passphrase} onChangeText={(txt) => setRestore((r) => ({ ...r, passphrase: txt }))} secureTextEntry autoCapitalize="none" placeholder="Passphrase" style={[styles.input, { flex: 1 }]} />
+                      <TouchableOpacity style={styles.btn} onPress={() => unlockBackup(restore.text, restore.passphrase)}><Text style={styles.btnText}>Unlock</Text></TouchableOpacity>
+                    </View>
+                  )}
+                  {restore.error && <Text style={{ color: '#ef4444', marginTop: 8 }}>{restore.error}</Text>}
+                  {restore.diff && (
+                    <>
+                      <Text style={{ marginTop: 12, fontWeight: '600' }}>Months</Text>
+                      {restore.diff.months.map((d) => (
+                        <View key={d.month} style={[styles.rowBetween, { paddingVertical: 4 }]}>
+                          <Text>{d.month}</Text>
+                          <Text style={{ color: d.status === 'unchanged' ? '#6b7280' : '#111827', fontSize: 12 }}>{d.status} • {d.deviceAssociates} → {d.backupAssociates} people • {d.deviceDays} → {d.backupDays} days logged</Text>
+                        </View>
+                      ))}
+                      <Text style={{ marginTop: 8 }}>{restore.diff.newPeople.length ? `New to the roster: ${restore.diff.newPeople.map((p) => p.name).join(', ')}` : 'No new people on the roster.'}</Text>
+                      <Text style={{ marginTop: 4 }}>{restore.diff.settings.length ? `Settings that differ: ${restore.diff.settings.join(', ')}` : 'Settings match.'}</Text>
+                      <Text style={{ color: '#6b7280', fontSize: 12, marginTop: 8 }}>Merge adds what this device is missing and keeps its own values where both have one. Replace makes this device match the backup, removing months that are only here.</Text>
+                    </>
+                  )}
+                  <View style={[styles.rowBetween, { marginTop: 12 }]}>
+                    <TouchableOpacity style={[styles.btn, { backgroundColor: '#6b7280' }]} onPress={() => setRestore(null)}><Text style={styles.btnText}>Cancel</Text></TouchableOpacity>
+                    {restore.diff && <TouchableOpacity style={styles.btn} onPress={() => applyRestore('merge')}><Text style={styles.btnText}>Merge</Text></TouchableOpacity>}
+                    {restore.diff && <TouchableOpacity style={[styles.btn, { backgroundColor: '#ef4444' }]} onPress={() => applyRestore('replace')}><Text style={styles.btnText}>Replace</Text></TouchableOpacity>}
+                  </View>
+                </ScrollView>
+              </View>
+            )}
+          </View>
+        </Modal>
+
+        {/* Associate Target Plan Modal */}
+        <Modal visible={!!planAssociate} animationType="slide" transparent>
+          <View style={styles.modalBackdrop}>
+            {planAssociate && (
+              <View style={styles.modalCard}>
+                <Text style={{ fontWeight: '700', fontSize: 16, marginBottom: 8 }}>Targets – {planAssociate.name}</Text>
+                <View style={styles.row}>
+                  <Text style={{ width: 140 }}>% of standard</Text>
+                  <TextInput keyboardType="number-pad" value={planAssociate.targetPlan?.percent == null ? '' : String(planAssociate.targetPlan.percent)} placeholder="100" onChangeText={(txt) => updatePlan(planAssociate.id, { percent: txt === '' ? null : Number(txt) || 0 })} style={[styles.input, { flex: 1 }]} />
+                </View>
+                <Text style={{ marginTop: 8, fontWeight: '600' }}>Ramp plan</Text>
+                <View style={[styles.row, { flexWrap: 'wrap' }]}>
+                  {RAMP_PRESETS.map((r) => {
+                    const active = (planAssociate.targetPlan?.ramp || []).join('/') === r.join('/');
+                    return (
+                      <TouchableOpacity key={r.join('/') || 'none'} onPress={() => updatePlan(planAssociate.id, { ramp: r })} style={[styles.chip, active && styles.chipActive]}>
+                        <Text style={[styles.chipText, active && styles.chipTextActive]}>{r.length ? r.map((x) => `${x}%`).join(' / ') : 'None'}</Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+                {(planAssociate.targetPlan?.ramp || []).length > 0 && (
+                  <View style={styles.row}>
+                    <Text style={{ width: 140 }}>First month</Text>
+                    <TextInput value={planAssociate.targetPlan?.startMonth || ''} placeholder={planAssociate.startDate?.slice(0, 7) || 'YYYY-MM'} autoCapitalize="none" onChangeText={(txt) => updatePlan(planAssociate.id, { startMonth: txt })} style={[styles.input, { flex: 1 }]} />
+                  </View>
+                )}
+                <Text style={{ marginTop: 8, fontWeight: '600' }}>Per-KPI overrides</Text>
+                {visibleKpis.map((k) => (
+                  <View key={k.key} style={styles.row}>
+                    <Text style={{ width: 140 }}>{k.label}</Text>
+                    <TextInput keyboardType="number-pad" value={planAssociate.targetPlan?.overrides?.[k.key] == null ? '' : String(planAssociate.targetPlan.overrides[k.key])} placeholder={String(targetsById[planAssociate.id]?.[k.key] ?? 0)} onChangeText={(txt) => updatePlanOverride(planAssociate.id, k.key, txt)} style={[styles.input, { flex: 1 }]} />
+                  </View>
+                ))}
+                <Text style={{ color: '#6b7280', marginTop: 6 }}>This month: {Math.round(targetFactor(planFor(planAssociate), month) * 100)}% of standard. Leave an override blank to use the scaled standard target.</Text>
+                <TouchableOpacity style={[styles.btn, { marginTop: 12, alignSelf: 'flex-end' }]} onPress={() => setPlanAssociateId(null)}><Text style={styles.btnText}>Done</Text></TouchableOpacity>
+              </View>
+            )}
+          </View>
+        </Modal>
 
-          {activeTab === 'tests' && (
-            <View style={{ marginTop: 12 }}>
-              <View style={styles.card}>
-                <Text style={styles.cardTitle}>In-App Tests</Text>
-                <TouchableOpacity style={styles.btn} onPress={runTests}><Text style={styles.btnText}>Run Tests</Text></TouchableOpacity>
-                {tests.length === 0 ? (
-                  <Text style={{ color: '#6b7280', marginTop: 8 }}>No tests run yet.</Text>
+        {/* Delivery Log Modal */}
+        <Modal visible={deliveryVisible} animationType="slide" transparent>
+          <View style={styles.modalBackdrop}>
+            <View style={[styles.modalCard, { maxHeight: '85%' }]}>
+              <Text style={{ fontWeight: '700', fontSize: 16, marginBottom: 8 }}>Delivery Log</Text>
+              <ScrollView>
+                {Object.values(delivery.reports || {}).filter((r) => r.status !== 'sent' && r.status !== 'superseded').map((r) => (
+                  <Text key={`${r.scope || ''}${r.day}`} style={{ color: '#b45309', marginBottom: 4 }}>{r.day}{r.scope ? ` ${scopeName(parseReportScope(r.scope), org, roster)}` : ''}: {r.status}{r.nextAttemptAt ? ` – retry after ${new Date(r.nextAttemptAt).toLocaleTimeString()}` : ''}</Text>
+                ))}
+                {(delivery.log || []).length === 0 ? (
+                  <Text style={{ color: '#6b7280' }}>No delivery attempts yet.</Text>
                 ) : (
-                  tests.map((r, idx) => (
-                    <View key={idx} style={[styles.rowBetween, { paddingVertical: 8, borderBottomWidth: 1, borderColor: '#eee' }]}> 
-                      <Text style={{ fontWeight: '600' }}>{r.name}</Text>
-                      <Text style={{ color: r.pass ? '#16a34a' : '#ef4444' }}>{r.pass ? 'PASS' : `FAIL: ${r.details}`}</Text>
+                  delivery.log.map((l, idx) => (
+                    <View key={idx} style={{ paddingVertical: 6, borderBottomWidth: 1, borderColor: '#eee' }}>
+                      <View style={styles.rowBetween}>
+                        <Text style={{ fontWeight: '600' }}>{l.kind === 'test' ? 'Test' : `Report ${l.day}`}{l.scope ? ` – ${scopeName(parseReportScope(l.scope), org, roster)}` : ''}{l.attempt > 1 ? ` (attempt ${l.attempt})` : ''}</Text>
+                        <Text style={{ color: l.ok ? '#16a34a' : '#ef4444' }}>{l.ok ? 'SENT' : 'FAILED'}{l.status ? ` ${l.status}` : ''}</Text>
+                      </View>
+                      <Text style={{ color: '#6b7280', fontSize: 12 }}>{new Date(l.at).toLocaleString()}</Text>
+                      {(l.results || []).map((r) => (
+                        <Text key={r.id} style={{ color: r.ok ? '#6b7280' : '#ef4444', fontSize: 12 }}>{r.name}: {r.ok ? 'OK' : 'FAILED'}{r.status ? ` ${r.status}` : ''}{r.error ? ` – ${r.error}` : ''}</Text>
+                      ))}
+                      {!!l.error && !(l.results || []).length && <Text style={{ color: '#ef4444', fontSize: 12 }}>{l.error}</Text>}
                     </View>
                   ))
                 )}
-                <Text style={{ color: '#6b7280', fontSize: 12, marginTop: 8 }}>Note: On devices restricting storage, the persistence test may be inconclusive.</Text>
-              </View>
+              </ScrollView>
+              <TouchableOpacity style={[styles.btn, { marginTop: 12, alignSelf: 'flex-end' }]} onPress={() => setDeliveryVisible(false)}><Text style={styles.btnText}>Done</Text></TouchableOpacity>
             </View>
-          )}
+          </View>
+        </Modal>
+
+        {/* Destination Modal */}
+        <Modal visible={!!destination} animationType="slide" transparent>
+          <View style={styles.modalBackdrop}>
+            {destination && (
+              <View style={[styles.modalCard, { maxHeight: '90%' }]}>
+                <ScrollView>
+                  <Text style={{ fontWeight: '700', fontSize: 16, marginBottom: 8 }}>Destination</Text>
+                  <View style={styles.row}><Text style={{ width: 100 }}>Name</Text><TextInput value={destination.name} onChangeText={(txt) => editDestination(destination.id, { name: txt })} style={[styles.input, { flex: 1 }]} /></View>
+                  <View style={[styles.row, { flexWrap: 'wrap' }]}>
+                    {DESTINATION_TYPES.map((t) => (
+                      <TouchableOpacity key={t.key} onPress={() => editDestination(destination.id, { type: t.key })} style={[styles.chip, destination.type === t.key && styles.chipActive]}>
+                        <Text style={[styles.chipText, destination.type === t.key && styles.chipTextActive]}>{t.label}</Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                  <View style={styles.row}><Text style={{ width: 100 }}>URL</Text><TextInput value={destination.url} onChangeText={(txt) => editDestination(destination.id, { url: txt.trim() })} autoCapitalize="none" placeholder="https://hooks.example/…" style={[styles.input, { flex: 1 }]} /></View>
+                  <View style={styles.row}><Text style={{ width: 100 }}>Bearer token</Text><TextInput value={destination.bearerToken} onChangeText={(txt) => editDestination(destination.id, { bearerToken: txt })} autoCapitalize="none" secureTextEntry style={[styles.input, { flex: 1 }]} /></View>
+                  <View style={styles.row}><Text style={{ width: 100 }}>Signing secret</Text><TextInput value={destination.signingSecret} onChangeText={(txt) => editDestination(destination.id, { signingSecret: txt })} autoCapitalize="none" secureTextEntry style={[styles.input, { flex: 1 }]} /></View>
+                  <Text style={{ marginTop: 8 }}>Receives</Text>
+                  <View style={[styles.row, { flexWrap: 'wrap', marginTop: 4 }]}>
+                    {[{ key: '', name: 'Main report' }, ...org.offices.map((o) => ({ key: reportScopeKey({ type: 'office', id: o.id }), name: o.name })), ...org.teams.map((t) => ({ key: reportScopeKey({ type: 'team', id: t.id }), name: t.name }))].map((r) => {
+                      const on = destinationReports(destination).includes(r.key);
+                      return (
+                        <TouchableOpacity key={r.key || 'main'} onPress={() => toggleDestinationReport(destination.id, r.key)} style={[styles.chip, on && styles.chipActive]}>
+                          <Text style={[styles.chipText, on && styles.chipTextActive]}>{r.name}</Text>
+                        </TouchableOpacity>
+                      );
+                    })}
+                  </View>
+                  <Text style={{ marginTop: 8 }}>Custom headers (one "Name: value" per line)</Text>
+                  <TextInput value={destination.headers} onChangeText={(txt) => editDestination(destination.id, { headers: txt })} autoCapitalize="none" multiline style={[styles.input, { height: 80, textAlignVertical: 'top', marginTop: 4 }]} />
+                  <Text style={{ color: '#6b7280', marginTop: 6, fontSize: 12 }}>With a signing secret each request carries x-signature-timestamp and x-signature: sha256=HMAC(secret, "timestamp.body"). Receivers should recompute it and reject old timestamps.</Text>
+                  <View style={[styles.rowBetween, { marginTop: 12 }]}>
+                    <TouchableOpacity style={[styles.btn, { backgroundColor: '#ef4444' }]} onPress={() => removeDestination(destination.id)}><Text style={styles.btnText}>Remove</Text></TouchableOpacity>
+                    <TouchableOpacity style={[styles.btn, { backgroundColor: destination.enabled === false ? '#10b981' : '#6b7280' }]} onPress={() => editDestination(destination.id, { enabled: destination.enabled === false })}><Text style={styles.btnText}>{destination.enabled === false ? 'Enable' : 'Disable'}</Text></TouchableOpacity>
+                    <TouchableOpacity style={styles.btn} onPress={() => setDestinationId(null)}><Text style={styles.btnText}>Done</Text></TouchableOpacity>
+                  </View>
+                </ScrollView>
+              </View>
+            )}
+          </View>
+        </Modal>
 
-          {/* Import Modal */}
-          <Modal visible={importVisible} animationType="slide" transparent>
-            <View style={styles.modalBackdrop}>
+        {/* Office / Team Modal */}
+        <Modal visible={!!orgUnit} animationType="slide" transparent>
+          <View style={styles.modalBackdrop}>
+            {orgUnit && (
+              <View style={[styles.modalCard, { maxHeight: '90%' }]}>
+                <ScrollView>
+                  <Text style={{ fontWeight: '700', fontSize: 16, marginBottom: 8 }}>{orgEdit.kind === 'office' ? 'Office' : 'Team'}</Text>
+                  <View style={styles.row}><Text style={{ width: 100 }}>Name</Text><TextInput value={orgUnit.name} onChangeText={(txt) => editOrgUnit(orgEdit.kind, orgUnit.id, { name: txt })} style={[styles.input, { flex: 1 }]} /></View>
+                  {orgEdit.kind === 'team' && (
+                    <>
+                      <View style={styles.row}><Text style={{ width: 100 }}>Team leader</Text><TextInput value={orgUnit.leader || ''} onChangeText={(txt) => editOrgUnit('team', orgUnit.id, { leader: txt })} style={[styles.input, { flex: 1 }]} /></View>
+                      <View style={[styles.row, { flexWrap: 'wrap' }]}>
+                        <Text style={{ width: 100 }}>Office</Text>
+                        {[{ id: null, name: 'None' }, ...org.offices].map((o) => (
+                          <TouchableOpacity key={o.id || 'none'} onPress={() => editOrgUnit('team', orgUnit.id, { officeId: o.id })} style={[styles.chip, (orgUnit.officeId || null) === o.id && styles.chipActive]}>
+                            <Text style={[styles.chipText, (orgUnit.officeId || null) === o.id && styles.chipTextActive]}>{o.name}</Text>
+                          </TouchableOpacity>
+                        ))}
+                      </View>
+                      <Text style={{ color: '#6b7280', marginTop: 6 }}>{roster.filter((p) => p.teamId === orgUnit.id && p.status !== 'departed').map((p) => p.name).join(', ') || 'Nobody assigned yet.'}</Text>
+                    </>
+                  )}
+                  <Text style={{ marginTop: 12, fontWeight: '600' }}>Daily roll-up</Text>
+                  <View style={styles.row}><Text style={{ width: 100 }}>Send to</Text><TextInput value={orgUnit.emailTo || ''} placeholder={emailTo} onChangeText={(txt) => editOrgUnit(orgEdit.kind, orgUnit.id, { emailTo: txt.trim() })} autoCapitalize="none" keyboardType="email-address" style={[styles.input, { flex: 1 }]} /></View>
+                  <View style={styles.row}><Text style={{ width: 100 }}>Send hour</Text><TextInput value={String(orgUnit.sendHour ?? '')} placeholder={String(sendHour)} onChangeText={(txt) => editOrgUnit(orgEdit.kind, orgUnit.id, { sendHour: txt })} keyboardType="number-pad" style={[styles.input, { width: 100 }]} /></View>
+                  <Text style={{ color: '#6b7280', marginTop: 6, fontSize: 12 }}>
+                    {destinations.filter((d) => destinationReports(d).includes(reportScopeKey({ type: orgEdit.kind, id: orgUnit.id }))).map((d) => d.name).join(', ') || 'No destination receives this roll-up yet – pick it under "Receives" on a destination.'}
+                  </Text>
+                  <View style={[styles.rowBetween, { marginTop: 12 }]}>
+                    <TouchableOpacity style={[styles.btn, { backgroundColor: '#ef4444' }]} onPress={() => removeOrgUnit(orgEdit.kind, orgUnit.id)}><Text style={styles.btnText}>Remove</Text></TouchableOpacity>
+                    <TouchableOpacity style={[styles.btn, { backgroundColor: '#10b981' }]} onPress={() => sendScopeTest(reportScopeKey({ type: orgEdit.kind, id: orgUnit.id }))}><Text style={styles.btnText}>Send test</Text></TouchableOpacity>
+                    <TouchableOpacity style={styles.btn} onPress={() => setOrgEdit(null)}><Text style={styles.btnText}>Done</Text></TouchableOpacity>
+                  </View>
+                </ScrollView>
+              </View>
+            )}
+          </View>
+        </Modal>
+
+        {/* Roster Profile Modal */}
+        <Modal visible={!!profile} animationType="slide" transparent>
+          <View style={styles.modalBackdrop}>
+            {profile && (
               <View style={styles.modalCard}>
-                <Text style={{ fontWeight: '700', fontSize: 16, marginBottom: 8 }}>Import Month JSON</Text>
-                <TextInput style={[styles.input, { height: 140, textAlignVertical: 'top' }]} multiline placeholder='{"month":"2025-08","targets":{...},"associates":[...]}' value={importText} onChangeText={setImportText} />
-                <View style={styles.rowBetween}>
-                  <TouchableOpacity style={[styles.btn, { backgroundColor: '#6b7280' }]} onPress={() => setImportVisible(false)}><Text style={styles.btnText}>Cancel</Text></TouchableOpacity>
-                  <TouchableOpacity style={styles.btn} onPress={importJSON}><Text style={styles.btnText}>Import</Text></TouchableOpacity>
+                <Text style={{ fontWeight: '700', fontSize: 16, marginBottom: 8 }}>{profile.name}</Text>
+                <View style={styles.row}><Text style={{ width: 100 }}>Name</Text><TextInput value={profile.name} onChangeText={(txt) => updateProfile(profile.id, { name: txt })} style={[styles.input, { flex: 1 }]} /></View>
+                <View style={styles.row}><Text style={{ width: 100 }}>Start date</Text><TextInput value={profile.startDate || ''} placeholder="YYYY-MM-DD" autoCapitalize="none" onChangeText={(txt) => updateProfile(profile.id, { startDate: txt })} style={[styles.input, { flex: 1 }]} /></View>
+                <View style={styles.row}><Text style={{ width: 100 }}>Email</Text><TextInput value={profile.email || ''} autoCapitalize="none" keyboardType="email-address" onChangeText={(txt) => updateProfile(profile.id, { email: txt })} style={[styles.input, { flex: 1 }]} /></View>
+                <View style={styles.row}><Text style={{ width: 100 }}>Phone</Text><TextInput value={profile.phone || ''} keyboardType="phone-pad" onChangeText={(txt) => updateProfile(profile.id, { phone: txt })} style={[styles.input, { flex: 1 }]} /></View>
+                <View style={[styles.row, { flexWrap: 'wrap' }]}>
+                  {ROSTER_STATUSES.map((st) => (
+                    <TouchableOpacity key={st.key} onPress={() => setStatus(profile.id, st.key)} style={[styles.chip, profile.status === st.key && styles.chipActive]}>
+                      <Text style={[styles.chipText, profile.status === st.key && styles.chipTextActive]}>{st.label}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                {org.teams.length > 0 && (
+                  <View style={[styles.row, { flexWrap: 'wrap' }]}>
+                    <Text style={{ width: 100 }}>Team</Text>
+                    {[{ id: null, name: 'None' }, ...org.teams].map((t) => (
+                      <TouchableOpacity key={t.id || 'none'} onPress={() => updateProfile(profile.id, { teamId: t.id })} style={[styles.chip, (profile.teamId || null) === t.id && styles.chipActive]}>
+                        <Text style={[styles.chipText, (profile.teamId || null) === t.id && styles.chipTextActive]}>{t.name}</Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                )}
+                {profile.status === 'departed' && <Text style={{ color: '#6b7280', marginTop: 6 }}>Departed {profile.departedOn || ''}. Past months keep their history; new months leave them out.</Text>}
+                <Text style={{ marginTop: 12, fontWeight: '600' }}>Leave</Text>
+                {(profile.leave || []).map((l, i) => (
+                  <View key={`${l.from}-${i}`} style={[styles.rowBetween, { paddingVertical: 4 }]}>
+                    <Text>{l.from === l.to ? l.from : `${l.from} – ${l.to}`}{l.note ? ` • ${l.note}` : ''}</Text>
+                    <TouchableOpacity onPress={() => removeProfileLeave(i)}><Text style={{ color: '#ef4444' }}>Remove</Text></TouchableOpacity>
+                  </View>
+                ))}
+                <View style={styles.row}>
+                  <TextInput placeholder="From" value={leaveDraft.from} autoCapitalize="none" onChangeText={(txt) => setLeaveDraft((d) => ({ ...d, from: txt }))} style={[styles.input, { width: 104 }]} />
+                  <TextInput placeholder="To" value={leaveDraft.to} autoCapitalize="none" onChangeText={(txt) => setLeaveDraft((d) => ({ ...d, to: txt }))} style={[styles.input, { width: 104, marginLeft: 6 }]} />
+                  <TextInput placeholder="Note" value={leaveDraft.note} onChangeText={(txt) => setLeaveDraft((d) => ({ ...d, note: txt }))} style={[styles.input, { flex: 1, marginLeft: 6 }]} />
+                  <TouchableOpacity style={styles.btn} onPress={addProfileLeave}><Text style={styles.btnText}>Add</Text></TouchableOpacity>
+                </View>
+                <Text style={{ marginTop: 12, fontWeight: '600' }}>Funnel</Text>
+                {renderFunnel(profile.id, [profile.id], targetsById[profile.id] || effectiveTargets(profile, targets, kpis, month, calendar))}
+                <Text style={{ marginTop: 12, fontWeight: '600' }}>History</Text>
+                {profileHistory.length === 0 && <Text style={{ color: '#6b7280' }}>No recorded changes yet.</Text>}
+                <ScrollView style={{ maxHeight: 160 }}>
+                  {profileHistory.slice(0, 50).map((h, i) => <Text key={i} style={{ fontSize: 12, marginTop: 2 }}>{h.at.slice(0, 16).replace('T', ' ')} {h.actor}: {changeLine(h.change, kpis)}</Text>)}
+                </ScrollView>
+                <View style={[styles.rowBetween, { marginTop: 12 }]}>
+                  {rows.some((r) => r.id === profile.id) ? <View /> : (
+                    <TouchableOpacity style={[styles.btn, { backgroundColor: '#10b981' }]} onPress={() => addToMonth(profile)}><Text style={styles.btnText}>Add to this month</Text></TouchableOpacity>
+                  )}
+                  <TouchableOpacity style={styles.btn} onPress={() => setProfileId(null)}><Text style={styles.btnText}>Done</Text></TouchableOpacity>
                 </View>
               </View>
+            )}
+          </View>
+        </Modal>
+
+        {/* Manager PIN Modal */}
+        <Modal visible={!!pinEntry} animationType="fade" transparent>
+          <View style={styles.modalBackdrop}>
+            {pinEntry && (
+              <View style={styles.modalCard}>
+                <Text style={{ fontWeight: '700', fontSize: 16, marginBottom: 8 }}>{pinEntry.purpose === 'set' ? 'New manager PIN' : 'Manager PIN'}</Text>
+                <TextInput value={pinEntry.pin} onChangeText={(pin) => setPinEntry((e) => ({ ...e, pin: pin.replace(/\D/g, ''), error: null }))} keyboardType="number-pad" secureTextEntry maxLength={8} autoFocus placeholder="4–8 digits" style={styles.input} />
+                {pinEntry.purpose === 'set' && <TextInput value={pinEntry.confirm} onChangeText={(confirm) => setPinEntry((e) => ({ ...e, confirm: confirm.replace(/\D/g, ''), error: null }))} keyboardType="number-pad" secureTextEntry maxLength={8} placeholder="Repeat PIN" style={[styles.input, { marginTop: 8 }]} />}
+                {pinEntry.error && <Text style={{ color: '#ef4444', marginTop: 6 }}>{pinEntry.error}</Text>}
+                <View style={[styles.row, { justifyContent: 'flex-end', gap: 8 }]}>
+                  <TouchableOpacity style={[styles.btn, { backgroundColor: '#6b7280' }]} onPress={() => setPinEntry(null)}><Text style={styles.btnText}>Cancel</Text></TouchableOpacity>
+                  <TouchableOpacity style={styles.btn} onPress={submitPin}><Text style={styles.btnText}>{pinEntry.purpose === 'set' ? 'Save' : 'Unlock'}</Text></TouchableOpacity>
+                </View>
+              </View>
+            )}
+          </View>
+        </Modal>
+
+        {/* Bulk Entry Modal */}
+        <Modal visible={!!bulk} animationType="slide" transparent>
+          <View style={styles.modalBackdrop}>
+            <View style={styles.modalCard}>
+              <Text style={{ fontWeight: '700', fontSize: 16, marginBottom: 8 }}>Bulk Entry</Text>
+              {bulk && (
+                <>
+                  <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                    {visibleKpis.map((k) => (
+                      <TouchableOpacity key={k.key} onPress={() => updateBulk({ kpi: k.key })} style={[styles.chip, bulk.kpi === k.key && styles.chipActive]}>
+                        <Text style={[styles.chipText, bulk.kpi === k.key && styles.chipTextActive]}>{k.label}</Text>
+                      </TouchableOpacity>
+                    ))}
+                  </ScrollView>
+                  <View style={[styles.rowBetween, { marginTop: 8 }]}>
+                    <TouchableOpacity disabled={!shiftDay(bulk.date, -1).startsWith(month)} onPress={() => updateBulk({ date: shiftDay(bulk.date, -1) })}><Text style={{ fontSize: 18, paddingHorizontal: 8 }}>‹</Text></TouchableOpacity>
+                    <Text style={{ fontWeight: '600' }}>{bulk.date === dayKey() ? `Today (${bulk.date})` : bulk.date}</Text>
+                    <TouchableOpacity disabled={!shiftDay(bulk.date, 1).startsWith(month)} onPress={() => updateBulk({ date: shiftDay(bulk.date, 1) })}><Text style={{ fontSize: 18, paddingHorizontal: 8 }}>›</Text></TouchableOpacity>
+                  </View>
+                  <View style={[styles.row, { flexWrap: 'wrap' }]}>
+                    {[{ key: 'paste', label: 'Paste a column' }, { key: 'step', label: 'One by one' }].map((m) => (
+                      <TouchableOpacity key={m.key} onPress={() => updateBulk({ mode: m.key })} style={[styles.chip, bulk.mode === m.key && styles.chipActive]}>
+                        <Text style={[styles.chipText, bulk.mode === m.key && styles.chipTextActive]}>{m.label}</Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                  {bulk.mode === 'paste' ? (
+                    <>
+                      <Text style={{ color: '#6b7280', marginTop: 8 }}>One value per line in the table's order ({bulk.people.length} {bulk.people.length === 1 ? 'person' : 'people'}), or a name and a value on each line. A blank line leaves that person as they are.</Text>
+                      <TextInput multiline value={bulk.text} onChangeText={(txt) => updateBulk({ text: txt })} placeholder={'12\n8\n\nJane Doe\t15'} autoCorrect={false} style={[styles.input, { height: 160, marginTop: 8, textAlignVertical: 'top' }]} />
+                    </>
+                  ) : bulkPerson && (
+                    <>
+                      <Text style={{ marginTop: 8, fontWeight: '600' }}>{bulkPerson.name} ({bulk.index + 1} of {bulk.people.length})</Text>
+                      <TextInput key={bulkPerson.id} autoFocus keyboardType="number-pad" returnKeyType="next" blurOnSubmit={false} value={bulk.entries[bulkPerson.id] ?? ''} placeholder={`Now ${rows.find((a) => a.id === bulkPerson.id)?.activity?.[bulk.date]?.[bulk.kpi] ?? 0}`} onChangeText={(txt) => updateBulk({ entries: { ...bulk.entries, [bulkPerson.id]: txt } })} onSubmitEditing={() => stepBulk(1)} style={[styles.input, { marginTop: 8 }]} />
+                      <View style={[styles.rowBetween, { marginTop: 8 }]}>
+                        <TouchableOpacity disabled={bulk.index === 0} onPress={() => stepBulk(-1)}><Text style={{ color: bulk.index === 0 ? '#9ca3af' : '#3b82f6' }}>‹ Previous</Text></TouchableOpacity>
+                        <TouchableOpacity disabled={bulk.index === bulk.people.length - 1} onPress={() => stepBulk(1)}><Text style={{ color: bulk.index === bulk.people.length - 1 ? '#9ca3af' : '#3b82f6' }}>Next ›</Text></TouchableOpacity>
+                      </View>
+                    </>
+                  )}
+                  <Text style={{ marginTop: 8 }}>{Object.keys(bulkResult.values).length} to set</Text>
+                  {bulkResult.errors.length > 0 && (
+                    <ScrollView style={{ maxHeight: 100 }}>
+                      {bulkResult.errors.map((e) => <Text key={e.line} style={{ color: '#ef4444', fontSize: 12 }}>{bulk.mode === 'paste' ? `Line ${e.line}` : bulk.people[e.line - 1]?.name}: {e.message}</Text>)}
+                    </ScrollView>
+                  )}
+                  <View style={[styles.row, { justifyContent: 'flex-end' }]}>
+                    <TouchableOpacity style={[styles.btn, { backgroundColor: '#6b7280' }]} onPress={() => setBulk(null)}><Text style={styles.btnText}>Cancel</Text></TouchableOpacity>
+                    <TouchableOpacity style={[styles.btn, !Object.keys(bulkResult.values).length && { opacity: 0.4 }]} disabled={!Object.keys(bulkResult.values).length} onPress={applyBulk}><Text style={styles.btnText}>Apply</Text></TouchableOpacity>
+                  </View>
+                </>
+              )}
             </View>
-          </Modal>
+          </View>
+        </Modal>
 
-          <Text style={{ textAlign: 'center', color: '#6b7280', marginTop: 16, marginBottom: 24 }}>
-            Built for monthly targets: Connects 800 • Geo Data 50 • Buyer Appointments 20 • Market Appraisals 25 • Listings Generated 1
-          </Text>
-        </ScrollView>
+        {/* Log Activity Modal */}
+        <Modal visible={logVisible} animationType="slide" transparent>
+          <View style={styles.modalBackdrop}>
+            <View style={styles.modalCard}>
+              <Text style={{ fontWeight: '700', fontSize: 16, marginBottom: 8 }}>Log Activity</Text>
+              <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+                {(canManage ? associates : associates.filter((a) => a.id === selfId)).map((a) => (
+                  <TouchableOpacity key={a.id} onPress={() => setLogAssociateId(a.id)} style={[styles.chip, logAssociateId === a.id && styles.chipActive]}>
+                    <Text style={[styles.chipText, logAssociateId === a.id && styles.chipTextActive]}>{a.name}</Text>
+                  </TouchableOpacity>
+                ))}
+              </ScrollView>
+              <View style={[styles.rowBetween, { marginTop: 8 }]}>
+                <TouchableOpacity disabled={!shiftDay(logDate, -1).startsWith(month)} onPress={() => setLogDate((d) => shiftDay(d, -1))}><Text style={{ fontSize: 18, paddingHorizontal: 8 }}>‹</Text></TouchableOpacity>
+                <Text style={{ fontWeight: '600' }}>{logDate === dayKey() ? `Today (${logDate})` : logDate}</Text>
+                <TouchableOpacity disabled={!shiftDay(logDate, 1).startsWith(month)} onPress={() => setLogDate((d) => shiftDay(d, 1))}><Text style={{ fontSize: 18, paddingHorizontal: 8 }}>›</Text></TouchableOpacity>
+              </View>
+              {logAssociate && visibleKpis.map((k) => (
+                <View key={k.key} style={styles.row}>
+                  <Text style={{ width: 160 }}>{k.label}</Text>
+                  <TextInput keyboardType="number-pad" value={String(logAssociate.activity?.[logDate]?.[k.key] ?? '')} placeholder={k.unit || '0'} onChangeText={(txt) => updateMetric(logAssociate.id, k.key, txt, logDate)} style={[styles.input, { flex: 1 }]} />
+                </View>
+              ))}
+              {logAssociate && Object.keys(logAssociate.activity || {}).length > 0 && (
+                <View style={{ marginTop: 12 }}>
+                  <Text style={{ color: '#6b7280', marginBottom: 4 }}>Logged this month</Text>
+                  {Object.keys(logAssociate.activity).sort().reverse().map((d) => (
+                    <TouchableOpacity key={d} onPress={() => setLogDate(d)} style={[styles.rowBetween, { paddingVertical: 4 }]}>
+                      <Text style={{ fontWeight: d === logDate ? '700' : '400' }}>{d}</Text>
+                      <Text style={{ color: '#6b7280', fontSize: 12 }}>{Object.keys(logAssociate.activity[d]).map((k) => `${kpis.find((x) => x.key === k)?.label || k} ${logAssociate.activity[d][k]}`).join(' • ')}</Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              )}
+              <TouchableOpacity style={[styles.btn, { marginTop: 12, alignSelf: 'flex-end' }]} onPress={() => setLogVisible(false)}><Text style={styles.btnText}>Done</Text></TouchableOpacity>
+            </View>
+          </View>
+        </Modal>
       </SafeAreaView>
     </ErrorBoundary>
   );
@@ -534,6 +2102,7 @@ const styles = StyleSheet.create({
   cardTitle: { fontWeight: '700', fontSize: 16 },
   progressOuter: { height: 8, backgroundColor: '#e5e7eb', borderRadius: 999, marginTop: 8 },
   progressInner: { height: 8, backgroundColor: '#3b82f6', borderRadius: 999 },
+  paceMarker: { position: 'absolute', top: -2, width: 2, height: 12, marginLeft: -1, backgroundColor: '#111827' },
   tabBtn: { paddingVertical: 8, paddingHorizontal: 12, borderWidth: 1, borderColor: '#e5e7eb', borderTopLeftRadius: 12, borderTopRightRadius: 12, marginRight: 8, backgroundColor: '#f9fafb' },
   tabBtnActive: { backgroundColor: '#fff', borderBottomColor: '#fff' },
   tabText: { color: '#6b7280', fontWeight: '600' },
@@ -545,10 +2114,10 @@ const styles = StyleSheet.create({
   input: { borderWidth: 1, borderColor: '#e5e7eb', borderRadius: 10, paddingHorizontal: 10, paddingVertical: 8, backgroundColor: '#fff' },
   row: { flexDirection: 'row', alignItems: 'center', gap: 8, marginTop: 8 },
   rowBetween: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', gap: 8 },
-  tableHeader: { backgroundColor: '#f9fafb', paddingHorizontal: 12, paddingVertical: 10 },
-  tableRow: { paddingHorizontal: 12, paddingVertical: 8, borderTopWidth: 1, borderColor: '#f3f4f6' },
+  tableHeader: { backgroundColor: '#f9fafb', paddingHorizontal: 12, paddingVertical: 10, marginTop: 12, borderTopLeftRadius: 16, borderTopRightRadius: 16 },
+  tableRow: { paddingHorizontal: 12, paddingVertical: 8, borderTopWidth: 1, borderColor: '#f3f4f6', backgroundColor: '#fff' },
   th: { width: 120, fontWeight: '700' },
-  thShort: { width: 80, textAlign: 'right', fontWeight: '700' },
+  thShort: { width: 60, textAlign: 'right', fontWeight: '700' },
   td: { fontSize: 14 },
   tdShort: { width: 60, textAlign: 'right' },
   inputTd: { width: 80, textAlign: 'right', paddingVertical: 6 },
@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+// Builds the daily report from a backup or a month export, with the app's own code (src/report.js), so
+// a cron job on a server sends exactly what the phone would.
+//
+//   node scripts/report.mjs <backup-or-month.json> [--day 2025-08-15] [--scope team:<id>|office:<id>]
+//        [--format text|csv|html|json] [--out report.txt] [--passphrase …]
+//        [--send] [--webhook https://… [--token abc]] [--to someone@example.com]
+//
+// Without --day the report is for the latest day that is due: today once the backup's send hour has
+// passed, otherwise yesterday (or the last day of the file's latest month, if that's earlier). "Today"
+// is in the working calendar's time zone, or the machine's (TZ) if the calendar has none. When the
+// calendar skips non-working days, --send on a weekend or holiday sends nothing.
+//
+// --send posts it to the backup's enabled destinations that take this report, like the app does.
+// --webhook sends to that one email relay instead (month exports carry no destinations).
+// --list-scopes prints the team and office report keys in the file.
+import crypto from 'crypto';
+import fs from 'fs';
+import { dayKey, wallClock } from '../src/calendar.js';
+import { reportScopeKey, destinationReports } from '../src/teams.js';
+import { reportDueDay, buildReport, stateFromFile } from '../src/report.js';
+import { newDestination, deliverToDestinations } from '../src/destinations.js';
+
+const FORMATS = ['text', 'csv', 'html', 'json'];
+// Node's own hashing opens a backup in a fraction of the time the app's plain-JS fallback takes
+const BACKUP_PRIMITIVES = {
+  sha256Hex: (text) => crypto.createHash('sha256').update(text).digest('hex'),
+  pbkdf2: (password, salt, iterations, length) => crypto.pbkdf2Sync(Buffer.from(password), Buffer.from(salt), iterations, length, 'sha256'),
+};
+
+function parseArgs(argv) {
+  const opts = { file: null, format: 'text', scope: '', passphrase: process.env.BACKUP_PASSPHRASE || '' };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith('--')) { opts.file = a; continue; }
+    const name = a.slice(2);
+    if (['send', 'list-scopes', 'help'].includes(name)) opts[name] = true;
+    else opts[name] = argv[++i];
+  }
+  return opts;
+}
+
+// The due day, or the last day of the file's latest month when that's already over (an old export, say)
+function defaultDay(state, due) {
+  const latest = Object.keys(state.months).sort().pop();
+  if (!latest || due.slice(0, 7) <= latest) return due;
+  const [y, m] = latest.split('-').map(Number);
+  return dayKey(new Date(y, m, 0));
+}
+
+function fail(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.help || !opts.file) {
+    console.log('Usage: node scripts/report.mjs <backup-or-month.json> [--day YYYY-MM-DD] [--scope team:<id>|office:<id>] [--format text|csv|html|json] [--out file] [--passphrase …] [--send] [--webhook url [--token t]] [--to email] [--list-scopes]');
+    process.exit(opts.help ? 0 : 1);
+  }
+  if (!FORMATS.includes(opts.format)) fail(`--format must be one of ${FORMATS.join(', ')}`);
+  if (opts.day && !/^\d{4}-\d{2}-\d{2}$/.test(opts.day)) fail('--day must be YYYY-MM-DD');
+
+  const state = await stateFromFile(fs.readFileSync(opts.file, 'utf8'), { passphrase: opts.passphrase, primitives: BACKUP_PRIMITIVES });
+  if (opts['list-scopes']) {
+    state.org.offices.forEach((o) => console.log(`${reportScopeKey({ type: 'office', id: o.id })}\t${o.name}`));
+    state.org.teams.forEach((t) => console.log(`${reportScopeKey({ type: 'team', id: t.id })}\t${t.name}`));
+    return;
+  }
+
+  const now = wallClock(new Date(), state.calendar.timeZone);
+  const due = reportDueDay(now, Number(state.sendHour), state.calendar);
+  if (!opts.day && (opts.send || opts.webhook) && due !== reportDueDay(now, Number(state.sendHour))) {
+    console.error(`${reportDueDay(now, Number(state.sendHour))} is not a working day; nothing to send`);
+    return;
+  }
+  const day = opts.day || defaultDay(state, due);
+  const report = buildReport(state, day, { scope: opts.scope });
+  if (opts.to) report.to = opts.to;
+
+  const output = opts.format === 'json' ? JSON.stringify(report, null, 2) : report[opts.format];
+  if (opts.out) fs.writeFileSync(opts.out, output);
+  else if (!opts.send && !opts.webhook) process.stdout.write(`${output}\n`);
+
+  if (opts.send || opts.webhook) {
+    const destinations = opts.webhook
+      ? [newDestination({ name: 'Webhook', url: opts.webhook, bearerToken: opts.token || '' })]
+      : state.destinations.filter((d) => destinationReports(d).includes(report.scope || ''));
+    if (!destinations.some((d) => d.enabled !== false && d.url)) fail(`No destination in ${opts.file} takes ${report.scope ? `the ${report.scope} report` : 'the main report'}; use --webhook`);
+    const result = await deliverToDestinations(destinations, report);
+    (result.results || []).forEach((r) => console.error(`${r.ok ? 'sent' : 'FAILED'} ${r.name || r.id}${r.status ? ` (HTTP ${r.status})` : ''}${r.error ? `: ${r.error}` : ''}`));
+    if (!result.ok) fail(result.error || 'Delivery failed');
+    console.error(`${report.subject} (${day}) delivered to ${result.delivered.length} destination(s)`);
+  }
+}
+
+main().catch((e) => fail(String(e?.message || e)));
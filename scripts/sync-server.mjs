@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+// Reference sync server for the app's local-first sync. One workspace per server, kept in a JSON file.
+//
+//   node scripts/sync-server.mjs [--port 8788] [--data ./sync-data.json] [--token abc]
+//
+// Every record is { k, v, at, dev }: a key, its JSON value (null once deleted), the writer's clock
+// stamp in ms and its device id. The server keeps the winning version of each key – later `at`, then
+// the larger device id, exactly as the app decides – and numbers every accepted write with a
+// sequence so devices can pull what changed since they last looked. The merge itself is the app's
+// (src/syncStore.js), so the self-tests exercise the same rules.
+//
+//   GET  /v1/health                   -> { ok, seq }
+//   POST /v1/changes { device, changes: [{ k, v, at, dev }] }
+//                                     -> { ok, seq, accepted, stale: [keys that lost to a newer version] }
+//   GET  /v1/changes?since=N&limit=M  -> { changes: [{ k, v, at, dev, seq }], seq, more }
+//
+// With --token (or SYNC_TOKEN) every request needs "Authorization: Bearer <token>".
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { validChange, createSyncStore } from '../src/syncStore.js';
+
+const args = process.argv.slice(2);
+const opt = (name, fallback) => { const i = args.indexOf(`--${name}`); return i >= 0 ? args[i + 1] : fallback; };
+const port = Number(opt('port', process.env.PORT || 8788));
+const dataFile = path.resolve(opt('data', process.env.SYNC_DATA || 'sync-data.json'));
+const token = opt('token', process.env.SYNC_TOKEN || '');
+const MAX_BODY = 5 * 1024 * 1024;
+const MAX_LIMIT = 1000;
+
+const db = fs.existsSync(dataFile) ? JSON.parse(fs.readFileSync(dataFile, 'utf8')) : { seq: 0, records: {} };
+const store = createSyncStore(db);
+
+// Write to a temp file and rename, so a crash never leaves half a file behind
+function persist() {
+  const tmp = `${dataFile}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(db));
+  fs.renameSync(tmp, dataFile);
+}
+
+function send(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://localhost');
+  if (token && req.headers.authorization !== `Bearer ${token}`) return send(res, 401, { ok: false, error: 'bad bearer token' });
+
+  if (req.method === 'GET' && url.pathname === '/v1/health') return send(res, 200, { ok: true, seq: db.seq });
+
+  if (req.method === 'GET' && url.pathname === '/v1/changes') {
+    const since = Number(url.searchParams.get('since')) || 0;
+    const limit = Math.min(MAX_LIMIT, Math.max(1, Number(url.searchParams.get('limit')) || 500));
+    return send(res, 200, store.changesSince(since, limit));
+  }
+
+  if (req.method === 'POST' && url.pathname === '/v1/changes') {
+    let body = '';
+    req.on('data', (c) => {
+      body += c;
+      if (body.length > MAX_BODY) { send(res, 413, { ok: false, error: 'body too large' }); req.destroy(); }
+    });
+    req.on('end', () => {
+      if (res.writableEnded) return;
+      let payload;
+      try { payload = JSON.parse(body); } catch { return send(res, 400, { ok: false, error: 'invalid JSON' }); }
+      const changes = Array.isArray(payload?.changes) ? payload.changes : null;
+      if (!changes || !changes.every(validChange)) return send(res, 400, { ok: false, error: 'changes must be [{ k, v, at, dev }]' });
+      const result = store.push(changes);
+      if (result.accepted) persist();
+      console.log(`${new Date().toISOString()} ${payload.device || '?'} pushed ${changes.length}, accepted ${result.accepted}${result.stale.length ? `, ${result.stale.length} stale` : ''}`);
+      return send(res, 200, result);
+    });
+    return undefined;
+  }
+
+  return send(res, 404, { ok: false, error: 'not found' });
+}).listen(port, () => console.log(`Sync server on http://localhost:${port} – data in ${dataFile}${token ? ' (token required)' : ''}`));
@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+// Runs the app's self-tests (src/selfTest.js) in Node, without a phone. Exits 1 if any fail.
+//
+//   npm test
+import { createTestRunner, runDomainTests } from '../src/selfTest.js';
+
+const { t, results, settled } = createTestRunner();
+runDomainTests(t);
+await settled();
+const failed = results.filter((r) => !r.pass);
+failed.forEach((r) => console.log(`FAIL ${r.name}: ${r.details}`));
+console.log(`${results.length - failed.length}/${results.length} passed`);
+process.exit(failed.length ? 1 : 0);
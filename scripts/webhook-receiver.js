@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+// Local stand-in for a report destination. Prints each request and checks its bearer token and
+// HMAC signature the way a real receiver should.
+//
+//   node scripts/webhook-receiver.js [--port 8787] [--secret s3cret] [--token abc] [--status 500]
+//
+// Point a destination at http://<your-computer's-LAN-IP>:8787 (Android emulator: http://10.0.2.2:8787).
+// --status forces a response code, e.g. 500 to watch the outbox retry.
+const http = require('http');
+const crypto = require('crypto');
+
+const args = process.argv.slice(2);
+const opt = (name, fallback) => { const i = args.indexOf(`--${name}`); return i >= 0 ? args[i + 1] : fallback; };
+const port = Number(opt('port', 8787));
+const secret = opt('secret', process.env.SIGNING_SECRET || '');
+const token = opt('token', process.env.BEARER_TOKEN || '');
+const forcedStatus = Number(opt('status', 0));
+const MAX_SKEW_S = 5 * 60;
+
+function verify(req, body) {
+  if (token && req.headers.authorization !== `Bearer ${token}`) return 'bad bearer token';
+  if (!secret) return null;
+  const ts = req.headers['x-signature-timestamp'];
+  const sig = req.headers['x-signature'] || '';
+  if (!ts || Math.abs(Date.now() / 1000 - Number(ts)) > MAX_SKEW_S) return 'missing or stale timestamp';
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(`${ts}.${body}`).digest('hex')}`;
+  const ok = sig.length === expected.length && crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected));
+  return ok ? null : 'signature mismatch';
+}
+
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (c) => { body += c; });
+  req.on('end', () => {
+    const problem = verify(req, body);
+    const status = forcedStatus || (problem ? 401 : 200);
+    console.log(`\n${new Date().toISOString()} ${req.method} ${req.url} -> ${status}${problem ? ` (${problem})` : ''}`);
+    console.log('idempotency-key:', req.headers['idempotency-key'] || '-');
+    try { console.log(JSON.stringify(JSON.parse(body), null, 2)); } catch { console.log(body); }
+    res.writeHead(status, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ ok: status < 300, error: problem }));
+  });
+}).listen(port, () => console.log(`Listening on http://localhost:${port}${secret ? ' (verifying signatures)' : ''}`));
@@ -0,0 +1,17 @@
+/*************************
+ * Manager Lock           *
+ *************************/
+// Manager mode sits behind a PIN (src/pin.js) and, optionally, the device's biometrics.
+import * as LocalAuthentication from 'expo-local-authentication';
+
+export async function biometricsAvailable() {
+  try { return (await LocalAuthentication.hasHardwareAsync()) && (await LocalAuthentication.isEnrolledAsync()); } catch { return false; }
+}
+
+// Resolves to true only on a successful scan; cancelling falls back to the PIN
+export async function authenticateBiometric(promptMessage) {
+  try {
+    const res = await LocalAuthentication.authenticateAsync({ promptMessage, cancelLabel: 'Use PIN', disableDeviceFallback: true });
+    return !!res.success;
+  } catch { return false; }
+}
@@ -0,0 +1,77 @@
+/*************************
+ * Associates Table       *
+ *************************/
+// One row per person in the month, worked out once so the associates tab can search, filter and sort
+// hundreds of them without redoing totals and pace on every keystroke.
+import { activeKpis, pace, setDayActivity, progressPct } from './core.js';
+import { onLeave } from './calendar.js';
+import { sameName } from './roster.js';
+import { parseNumberCell } from './csvImport.js';
+
+export const TABLE_FILTERS = [
+  { key: 'all', label: 'All' },
+  { key: 'behind', label: 'Behind target' },
+  { key: 'onPace', label: 'On pace' },
+  { key: 'leave', label: 'On leave' },
+  { key: 'idle', label: 'Nothing logged' },
+];
+
+// totals, targets and progress are the app's per-id maps; `day` is what "on leave" and "logged" look at
+// -> [{ id, name, a, totals, targets, paces: { [kpi]: pace }, prog, pacePct, onLeave, logged }]
+export function associateTableRows(associates, { kpis, totals, targets, progress, day }) {
+  const list = activeKpis(kpis);
+  return associates.map((a) => {
+    const paces = {}; list.forEach((k) => (paces[k.key] = pace(totals[a.id][k.key] || 0, targets[a.id][k.key] || 0, progress[a.id])));
+    const pacePct = Math.round(list.reduce((s, k) => s + paces[k.key].pacePct, 0) / Math.max(1, list.length));
+    return {
+      id: a.id, name: a.name, a, totals: totals[a.id], targets: targets[a.id], paces, pacePct,
+      prog: Math.round(progressPct(totals[a.id], targets[a.id], kpis)),
+      onLeave: onLeave(a, day), logged: Object.values(a.activity?.[day] || {}).some((v) => Number(v) > 0),
+    };
+  });
+}
+
+// Name search is case-insensitive and matches anywhere in the name
+export function filterTableRows(rows, { query = '', filter = 'all' } = {}) {
+  const q = query.trim().toLowerCase();
+  return rows.filter((r) => {
+    if (q && !r.name.toLowerCase().includes(q)) return false;
+    if (filter === 'behind') return r.pacePct < 100;
+    if (filter === 'onPace') return r.pacePct >= 100;
+    if (filter === 'leave') return r.onLeave;
+    if (filter === 'idle') return !r.logged;
+    return true;
+  });
+}
+
+// sort: { key: 'name' | 'prog' | 'pace' | <kpi key>, desc }. Ties go by name.
+export function sortTableRows(rows, { key = 'name', desc = false } = {}) {
+  const value = (r) => (key === 'prog' ? r.prog : key === 'pace' ? r.pacePct : r.totals[key] || 0);
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  const dir = desc ? -1 : 1;
+  return [...rows].sort((a, b) => (key === 'name' ? dir * byName(a, b) : dir * (value(a) - value(b)) || byName(a, b)));
+}
+
+// A column pasted from a spreadsheet for one KPI. A bare number goes to the person on that line of the
+// table as shown; "Name<tab>4", "Name, 4" or "Name 4" goes to that person wherever they are. Blank lines
+// leave their row alone. -> { values: { [id]: number }, errors: [{ line, message }] }
+export function parseBulkColumn(text, rows) {
+  const values = {}; const errors = [];
+  const lines = String(text || '').replace(/\s+$/, '').split(/\r?\n/);
+  lines.forEach((raw, i) => {
+    const line = raw.trim(); if (!line) return;
+    const hit = /^(.*?)(?:\t|[,;]\s*|\s+)(-?\d[\d,.]*|[^\s,;]+)$/.exec(line);
+    const named = hit && hit[1] && Number.isNaN(parseNumberCell(line)) ? hit : null;
+    const n = parseNumberCell(named ? named[2] : line);
+    const row = named ? rows.find((r) => sameName(r.name, named[1].replace(/^"|"$/g, ''))) : rows[i];
+    if (n == null || Number.isNaN(n) || n < 0) { errors.push({ line: i + 1, message: `"${named ? named[2] : line}" is not a number` }); return; }
+    if (!row) { errors.push({ line: i + 1, message: named ? `No associate called "${named[1]}"` : `No associate on row ${i + 1}` }); return; }
+    values[row.id] = n;
+  });
+  return { values, errors };
+}
+
+// The month's rows with one KPI set for `date` for everyone in `values`
+export function applyBulkEntry(rows, date, key, values) {
+  return rows.map((a) => (a.id in values ? { ...a, activity: setDayActivity(a.activity, date, { [key]: values[a.id] }) } : a));
+}
@@ -0,0 +1,160 @@
+/*************************
+ * Audit Trail & Undo     *
+ *************************/
+// A change to a month is a list of:
+//   { kind: 'cell', associateId, name, day, kpi, from, to }   one KPI for one person on one day
+//   { kind: 'target', kpi, from, to }                        the month's standard target
+//   { kind: 'row', associateId, name, from, to }             'active' | 'deleted' | null: in the month, soft-deleted, absent
+// The audit trail keeps them with who and when – { id, at, actor, action, month, detail, changes }, newest
+// first, synced like the data itself. This session's undo and redo stacks hold the same entries.
+import { DEFAULT_KPIS, AUDIT_INDEX_KEY, LS_KEY, toCSV, genId, setDayActivity } from './core.js';
+
+export const MAX_AUDIT_ENTRIES = 5000;
+const COALESCE_MS = 60 * 1000; // keystrokes on one cell within this become one entry
+
+export const AUDIT_ACTIONS = {
+  metric: 'Logged activity',
+  target: 'Changed target',
+  deleteAssociate: 'Removed from month',
+  addAssociate: 'Added to month',
+  restoreAssociate: 'Restored to month',
+  resetMonth: 'Reset month',
+  importMonth: 'Replaced month from JSON',
+  importCsv: 'Imported CSV',
+  bulkEntry: 'Bulk entry',
+  undo: 'Undo',
+  redo: 'Redo',
+  restoreBackup: 'Restored backup',
+  pinSet: 'Set manager PIN',
+  pinRemoved: 'Removed manager PIN',
+};
+const ROW_STATES = { active: 'in month', deleted: 'removed', null: 'not in month' };
+
+function rowState(state, id) {
+  if ((state?.associates || []).some((a) => a.id === id)) return 'active';
+  if ((state?.deleted || []).some((a) => a.id === id)) return 'deleted';
+  return null;
+}
+
+export function monthChanges(before, after) {
+  const names = {};
+  [before, after].forEach((s) => [...(s?.associates || []), ...(s?.deleted || [])].forEach((a) => (names[a.id] = a.name)));
+  const ids = Object.keys(names);
+  const changes = [];
+  ids.forEach((id) => {
+    const from = rowState(before, id); const to = rowState(after, id);
+    if (from !== to) changes.push({ kind: 'row', associateId: id, name: names[id], from, to });
+  });
+  [...new Set([...Object.keys(before?.targets || {}), ...Object.keys(after?.targets || {})])].forEach((kpi) => {
+    const from = before?.targets?.[kpi] ?? null; const to = after?.targets?.[kpi] ?? null;
+    if (from !== to) changes.push({ kind: 'target', kpi, from, to });
+  });
+  ids.forEach((id) => {
+    // Soft-deleted rows keep their activity, so moving in or out of the bin changes no cells
+    if (rowState(before, id) === 'deleted' || rowState(after, id) === 'deleted') return;
+    const a = (before?.associates || []).find((r) => r.id === id)?.activity || {};
+    const b = (after?.associates || []).find((r) => r.id === id)?.activity || {};
+    [...new Set([...Object.keys(a), ...Object.keys(b)])].sort().forEach((day) => {
+      [...new Set([...Object.keys(a[day] || {}), ...Object.keys(b[day] || {})])].forEach((kpi) => {
+        const from = a[day]?.[kpi] || 0; const to = b[day]?.[kpi] || 0;
+        if (from !== to) changes.push({ kind: 'cell', associateId: id, name: names[id], day, kpi, from, to });
+      });
+    });
+  });
+  return changes;
+}
+
+// Forward sets every `to`; reverse sets every `from`. Rows first, so restored people get their cells back.
+export function applyMonthChanges(state, changes, { reverse = false, at = new Date().toISOString(), actor = '' } = {}) {
+  const value = (c) => (reverse ? c.from : c.to);
+  let associates = [...(state.associates || [])]; let deleted = [...(state.deleted || [])];
+  const targets = { ...state.targets };
+  changes.filter((c) => c.kind === 'row').forEach((c) => {
+    const row = associates.find((a) => a.id === c.associateId) || deleted.find((a) => a.id === c.associateId) || { id: c.associateId, name: c.name, activity: {} };
+    const { deletedAt, deletedBy, ...clean } = row;
+    associates = associates.filter((a) => a.id !== c.associateId); deleted = deleted.filter((a) => a.id !== c.associateId);
+    if (value(c) === 'active') associates.push(clean);
+    if (value(c) === 'deleted') deleted.push({ ...clean, deletedAt: at, deletedBy: actor });
+  });
+  changes.filter((c) => c.kind === 'target').forEach((c) => { if (value(c) == null) delete targets[c.kpi]; else targets[c.kpi] = value(c); });
+  changes.filter((c) => c.kind === 'cell').forEach((c) => {
+    associates = associates.map((a) => (a.id === c.associateId ? { ...a, activity: setDayActivity(a.activity, c.day, { [c.kpi]: value(c) }) } : a));
+  });
+  const { deleted: _bin, ...rest } = state;
+  return { ...rest, targets, associates, ...(deleted.length ? { deleted } : {}) };
+}
+
+export function auditEntry(action, { actor = '', month = null, detail = '', changes = [], at = new Date() } = {}) {
+  return { id: genId(), at: at.toISOString(), actor, action, month, detail, changes };
+}
+
+function sameField(a, b) { return a.kind === b.kind && a.associateId === b.associateId && a.day === b.day && a.kpi === b.kpi; }
+
+// Newest first. Repeated edits to one cell or target by the same person collapse into one entry,
+// which disappears if the value ends up where it started.
+export function appendAudit(log, entry) {
+  const [prev, ...rest] = log;
+  const single = (e) => (e.action === 'metric' || e.action === 'target') && e.changes.length === 1;
+  if (prev && single(prev) && single(entry) && prev.action === entry.action && prev.actor === entry.actor && prev.month === entry.month
+    && sameField(prev.changes[0], entry.changes[0]) && new Date(entry.at) - new Date(prev.at) < COALESCE_MS) {
+    const change = { ...prev.changes[0], to: entry.changes[0].to };
+    return change.from === change.to ? rest : [{ ...prev, at: entry.at, changes: [change] }, ...rest];
+  }
+  return [entry, ...log].slice(0, MAX_AUDIT_ENTRIES);
+}
+
+// Stored as one page per month of `at`, listed under AUDIT_INDEX_KEY, so an edit rewrites this month's
+// page rather than the whole trail
+export function auditPageKey(month) { return `${LS_KEY}_audit_${month}`; }
+
+export function auditPages(log) {
+  const pages = {};
+  log.forEach((e) => { const m = e.at.slice(0, 7); (pages[m] = pages[m] || []).push(e); });
+  return pages;
+}
+
+export async function readAudit(s) {
+  const log = [];
+  for (const m of [...(await s.getJSON(AUDIT_INDEX_KEY, []))].sort().reverse()) log.push(...(await s.getJSON(auditPageKey(m), [])));
+  return log;
+}
+
+function samePage(a, b) { return !!a && a.length === b.length && a.every((e, i) => e === b[i]); }
+
+// Rewrites only the pages that differ from `previous` – the trail as last read or written, compared entry
+// by entry – or every page without it
+export async function writeAudit(s, log, previous = null) {
+  const pages = auditPages(log); const before = previous && auditPages(previous);
+  const stored = before ? Object.keys(before) : await s.getJSON(AUDIT_INDEX_KEY, []);
+  const months = Object.keys(pages).sort();
+  stored.filter((m) => !pages[m]).forEach((m) => s.setItem(auditPageKey(m), null));
+  months.forEach((m) => { if (!samePage(before?.[m], pages[m])) s.setJSON(auditPageKey(m), pages[m], { lazy: true }); });
+  if (months.join() !== [...stored].sort().join()) s.setJSON(AUDIT_INDEX_KEY, months);
+}
+
+export function kpiName(key, kpis) { return (kpis || DEFAULT_KPIS).find((k) => k.key === key)?.label || key; }
+
+export function changeLine(c, kpis) {
+  if (c.kind === 'cell') return `${c.name} ${c.day} ${kpiName(c.kpi, kpis)}: ${c.from} → ${c.to}`;
+  if (c.kind === 'target') return `Target ${kpiName(c.kpi, kpis)}: ${c.from ?? '–'} → ${c.to ?? '–'}`;
+  return `${c.name}: ${ROW_STATES[c.from]} → ${ROW_STATES[c.to]}`;
+}
+
+export function auditLine(e, kpis) {
+  const what = e.changes.length === 1 ? ` – ${changeLine(e.changes[0], kpis)}` : e.changes.length ? ` – ${e.changes.length} changes` : '';
+  return `${e.at.slice(0, 16).replace('T', ' ')} ${e.actor || '?'}: ${AUDIT_ACTIONS[e.action] || e.action}${e.month ? ` (${e.month})` : ''}${e.detail ? ` – ${e.detail}` : ''}${what}`;
+}
+
+// Everything that touched one person, newest first: [{ at, actor, action, month, change }]
+export function associateHistory(log, id) {
+  return log.flatMap((e) => e.changes.filter((c) => c.associateId === id).map((change) => ({ at: e.at, actor: e.actor, action: e.action, month: e.month, change })));
+}
+
+// One line per change; entries without changes (PIN, restores) get one line of their own
+export function auditCsv(log, kpis) {
+  return toCSV(log.flatMap((e) => (e.changes.length ? e.changes : [{}]).map((c) => ({
+    Time: e.at, Actor: e.actor, Action: AUDIT_ACTIONS[e.action] || e.action, Month: e.month || '', Detail: e.detail || '',
+    Associate: c.name || '', Day: c.day || '', KPI: c.kpi ? kpiName(c.kpi, kpis) : '',
+    From: c.kind === 'row' ? ROW_STATES[c.from] : c.from ?? '', To: c.kind === 'row' ? ROW_STATES[c.to] : c.to ?? '',
+  }))));
+}
@@ -0,0 +1,151 @@
+/*************************
+ * Backup Archive         *
+ *************************/
+// A backup is one JSON file: a header (format, version, schema version, created-at) around `data`, the
+// storage entries as a JSON string. Plain archives carry a SHA-256 checksum of `data`. With a passphrase,
+// `data` is encrypted: PBKDF2-HMAC-SHA256 derives an encryption key and a MAC key, the keystream is
+// HMAC-SHA256(encKey, nonce ‖ counter) (counter mode), and an HMAC over the header and ciphertext is
+// checked before anything is decrypted.
+//
+// React Native has no WebCrypto and expo-crypto offers only digests and random bytes, so the caller can
+// hand in `primitives` (SHA-256 over a string, PBKDF2 over bytes) from the platform where it has them:
+// expo-crypto's digest in the app, node:crypto in scripts. The rest, and anything not handed in, is plain JS.
+import { hmacSha256, sha256Hex, toHex, utf8Bytes } from './signing.js';
+
+export const BACKUP_FORMAT = 'sales-targets-backup';
+export const BACKUP_VERSION = 2;
+// The plain-JS PBKDF2 at 10,000 iterations takes about 0.13s in Node and 1.4s with Node's JIT off
+// (`node --jitless`, the nearest stand-in for Hermes, which has no JIT) on one server core.
+const PBKDF2_ITERATIONS = 10000;
+// What a backup may ask for: a crafted count would otherwise freeze the app deriving keys before the MAC is checked
+const MIN_ITERATIONS = PBKDF2_ITERATIONS / 10;
+const MAX_ITERATIONS = PBKDF2_ITERATIONS * 4;
+const CIPHER = 'hmac-sha256-ctr';
+const KDF = 'pbkdf2-sha256';
+
+const B64 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+export function toBase64(bytes) {
+  let out = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const n = (bytes[i] << 16) | ((bytes[i + 1] || 0) << 8) | (bytes[i + 2] || 0);
+    out += B64[(n >> 18) & 63] + B64[(n >> 12) & 63] + (i + 1 < bytes.length ? B64[(n >> 6) & 63] : '=') + (i + 2 < bytes.length ? B64[n & 63] : '=');
+  }
+  return out;
+}
+
+export function fromBase64(str) {
+  const clean = String(str).replace(/[^A-Za-z0-9+/]/g, '');
+  const out = [];
+  for (let i = 0; i < clean.length; i += 4) {
+    const n = (B64.indexOf(clean[i]) << 18) | (B64.indexOf(clean[i + 1]) << 12) | ((B64.indexOf(clean[i + 2]) & 63) << 6) | (B64.indexOf(clean[i + 3]) & 63);
+    out.push((n >> 16) & 0xff);
+    if (i + 2 < clean.length) out.push((n >> 8) & 0xff);
+    if (i + 3 < clean.length) out.push(n & 0xff);
+  }
+  return out;
+}
+
+const JS_PRIMITIVES = { sha256Hex, pbkdf2: pbkdf2Sha256 };
+
+function utf8String(bytes) {
+  let out = '';
+  for (let i = 0; i < bytes.length;) {
+    const b = bytes[i];
+    let c; let n;
+    if (b < 0x80) { c = b; n = 1; } else if (b >= 0xf0) { c = b & 7; n = 4; } else if (b >= 0xe0) { c = b & 15; n = 3; } else { c = b & 31; n = 2; }
+    for (let j = 1; j < n; j++) c = (c << 6) | (bytes[i + j] & 63);
+    out += String.fromCodePoint(c);
+    i += n;
+  }
+  return out;
+}
+
+function u32(n) { return [(n >>> 24) & 0xff, (n >>> 16) & 0xff, (n >>> 8) & 0xff, n & 0xff]; }
+
+export function pbkdf2Sha256(password, salt, iterations, length) {
+  const prf = hmacSha256(password);
+  const out = [];
+  for (let block = 1; out.length < length; block++) {
+    let u = prf([...salt, ...u32(block)]);
+    const t = [...u];
+    for (let i = 1; i < iterations; i++) { u = prf(u); for (let j = 0; j < 32; j++) t[j] ^= u[j]; }
+    out.push(...t);
+  }
+  return out.slice(0, length);
+}
+
+function keystreamXor(key, nonce, bytes) {
+  const prf = hmacSha256(key);
+  const out = new Array(bytes.length);
+  for (let off = 0, counter = 0; off < bytes.length; off += 32, counter++) {
+    const block = prf([...nonce, ...u32(counter)]);
+    for (let j = 0; j < 32 && off + j < bytes.length; j++) out[off + j] = bytes[off + j] ^ block[j];
+  }
+  return out;
+}
+
+function sameHex(a, b) {
+  if (typeof a !== 'string' || a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+// Everything an attacker could swap is covered by the MAC, not just the ciphertext. From v2 the fields
+// go in as one JSON array, so no field can run into the next; v1 files joined them with newlines.
+function macInput(archive) {
+  const e = archive.encryption;
+  const fields = [archive.format, archive.version, archive.schemaVersion, archive.createdAt, e.kdf, e.iterations, e.salt, e.nonce, e.cipher, archive.data];
+  return utf8Bytes(archive.version < 2 ? fields.join('\n') : JSON.stringify(fields));
+}
+
+async function deriveKeys(passphrase, encryption, primitives) {
+  const dk = [...(await primitives.pbkdf2(utf8Bytes(passphrase), fromBase64(encryption.salt), encryption.iterations, 64))];
+  return { encKey: dk.slice(0, 32), macKey: dk.slice(32) };
+}
+
+// entries: { [storageKey]: rawString }; randomBytes(n) is required when a passphrase is given
+export async function createBackup(entries, { schemaVersion, passphrase = '', randomBytes, now = new Date(), iterations = PBKDF2_ITERATIONS, primitives = {} }) {
+  const use = { ...JS_PRIMITIVES, ...primitives };
+  const data = JSON.stringify(entries);
+  const archive = { format: BACKUP_FORMAT, version: BACKUP_VERSION, schemaVersion, createdAt: now.toISOString() };
+  if (!passphrase) return JSON.stringify({ ...archive, checksum: await use.sha256Hex(data), data });
+
+  const encryption = { kdf: KDF, iterations, salt: toBase64([...randomBytes(16)]), nonce: toBase64([...randomBytes(16)]), cipher: CIPHER };
+  const { encKey, macKey } = await deriveKeys(passphrase, encryption, use);
+  const sealed = { ...archive, encryption, data: toBase64(keystreamXor(encKey, fromBase64(encryption.nonce), utf8Bytes(data))) };
+  sealed.encryption.mac = toHex(hmacSha256(macKey)(macInput(sealed)));
+  return JSON.stringify(sealed);
+}
+
+// Parses and checks the header without decrypting. Throws on anything that isn't a backup this app can read.
+export function readBackupHeader(text, { maxSchemaVersion }) {
+  let archive;
+  try { archive = JSON.parse(text); } catch { throw new Error('This file is not valid JSON'); }
+  if (archive?.format !== BACKUP_FORMAT || typeof archive.version !== 'number' || typeof archive.data !== 'string') throw new Error('This file is not a Sales Targets backup');
+  if (archive.version > BACKUP_VERSION) throw new Error(`Backup format v${archive.version} was made by a newer version of the app – update the app to restore it`);
+  if (!(archive.schemaVersion <= maxSchemaVersion)) throw new Error(`Backup data is schema v${archive.schemaVersion}; this app only understands up to v${maxSchemaVersion}`);
+  const e = archive.encryption;
+  if (e && (e.kdf !== KDF || e.cipher !== CIPHER || !Number.isInteger(e.iterations) || e.iterations < MIN_ITERATIONS || e.iterations > MAX_ITERATIONS)) throw new Error('Unsupported backup encryption');
+  return { archive, version: archive.version, schemaVersion: archive.schemaVersion, createdAt: archive.createdAt, encrypted: !!archive.encryption };
+}
+
+// -> storage entries. Throws on a wrong passphrase, a failed checksum/MAC or an unreadable payload.
+export async function openBackup(text, { passphrase = '', maxSchemaVersion, primitives = {} }) {
+  const use = { ...JS_PRIMITIVES, ...primitives };
+  const { archive, encrypted } = readBackupHeader(text, { maxSchemaVersion });
+  let data = archive.data;
+  if (encrypted) {
+    if (!passphrase) throw new Error('This backup is encrypted – enter its passphrase');
+    const { encKey, macKey } = await deriveKeys(passphrase, archive.encryption, use);
+    if (!sameHex(archive.encryption.mac, toHex(hmacSha256(macKey)(macInput(archive))))) throw new Error('Wrong passphrase, or the backup has been altered');
+    data = utf8String(keystreamXor(encKey, fromBase64(archive.encryption.nonce), fromBase64(archive.data)));
+  } else if (!sameHex(archive.checksum, await use.sha256Hex(data))) {
+    throw new Error('Backup checksum does not match – the file is corrupt or incomplete');
+  }
+  let entries;
+  try { entries = JSON.parse(data); } catch { throw new Error('Backup contents are unreadable'); }
+  if (!entries || typeof entries !== 'object' || Array.isArray(entries)) throw new Error('Backup contents are unreadable');
+  return entries;
+}
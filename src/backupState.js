@@ -0,0 +1,129 @@
+/*************************
+ * Backup & Restore       *
+ *************************/
+// Settings that travel with a backup alongside every month; the outbox and delivery log stay on the device
+import { DEFAULT_KPIS, DEFAULT_EMAIL, DEFAULT_SEND_HOUR, EMAIL_WEBHOOK_URL_KEY, EMAIL_TO_KEY, SEND_HOUR_KEY, KPI_SCHEMA_KEY, ROSTER_KEY, DESTINATIONS_KEY, FUNNEL_MONTHS_KEY, DEFAULT_FUNNEL_MONTHS, LEADERBOARD_KEY, ORG_KEY, AUDIT_INDEX_KEY, CALENDAR_KEY, LS_KEY } from './core.js';
+import { DEFAULT_CALENDAR, mergeHolidays } from './calendar.js';
+import { sameName } from './roster.js';
+import { EMPTY_ORG } from './teams.js';
+import { MAX_AUDIT_ENTRIES, auditPageKey, readAudit, writeAudit } from './audit.js';
+import { STORAGE_MIGRATIONS } from './migrations.js';
+import { DEFAULT_SCORING } from './leaderboard.js';
+import { createStorage, createMemoryBackend } from './storage.js';
+
+const BACKUP_KEYS = [EMAIL_TO_KEY, SEND_HOUR_KEY, EMAIL_WEBHOOK_URL_KEY, KPI_SCHEMA_KEY, ROSTER_KEY, DESTINATIONS_KEY, FUNNEL_MONTHS_KEY, LEADERBOARD_KEY, ORG_KEY, AUDIT_INDEX_KEY, CALENDAR_KEY];
+
+// The keys to snapshot for a backup: the settings and every page of the audit trail
+export async function backupKeys(s) { return [...BACKUP_KEYS, ...(await s.getJSON(AUDIT_INDEX_KEY, [])).map(auditPageKey)]; }
+
+// Months and settings in their current shape, from the app's storage or a backup's
+export async function readBackupState(s) {
+  return { months: await s.allMonths(), ...(await readSettings(s)), audit: await readAudit(s) };
+}
+
+// Everything in readBackupState but the months and the audit trail
+export async function readSettings(s) {
+  return {
+    roster: await s.getJSON(ROSTER_KEY, []),
+    kpis: await s.getJSON(KPI_SCHEMA_KEY, DEFAULT_KPIS),
+    destinations: await s.getJSON(DESTINATIONS_KEY, []),
+    emailTo: ((await s.getItem(EMAIL_TO_KEY)) || DEFAULT_EMAIL).replace(/"/g, ''),
+    sendHour: String((await s.getItem(SEND_HOUR_KEY)) || DEFAULT_SEND_HOUR),
+    funnelMonths: Number(await s.getItem(FUNNEL_MONTHS_KEY)) || DEFAULT_FUNNEL_MONTHS,
+    scoring: await s.getJSON(LEADERBOARD_KEY, DEFAULT_SCORING),
+    org: await s.getJSON(ORG_KEY, EMPTY_ORG),
+    calendar: { ...DEFAULT_CALENDAR, ...(await s.getJSON(CALENDAR_KEY, {})) },
+  };
+}
+
+// Backups from older app versions are migrated in memory, exactly as stored data would be
+export async function backupStateFromEntries(entries) {
+  const s = createStorage({ backend: createMemoryBackend(entries), prefix: LS_KEY, migrations: STORAGE_MIGRATIONS });
+  await s.hydrate();
+  return readBackupState(s);
+}
+
+const BACKUP_SETTING_LABELS = { kpis: 'KPI list', destinations: 'report destinations', emailTo: 'report email', sendHour: 'send hour', funnelMonths: 'funnel window', scoring: 'leaderboard scoring', org: 'teams and offices', audit: 'audit trail', calendar: 'working calendar' };
+
+export function loggedDays(state) { return (state?.associates || []).reduce((n, a) => n + Object.keys(a.activity || {}).length, 0); }
+
+// What restoring would change: per month, new roster people and which settings differ
+export function backupDiff(current, incoming) {
+  const months = [...new Set([...Object.keys(current.months), ...Object.keys(incoming.months)])].sort().map((m) => {
+    const a = current.months[m]; const b = incoming.months[m];
+    const status = !a ? 'only in backup' : !b ? 'only on this device' : JSON.stringify(a) === JSON.stringify(b) ? 'unchanged' : 'differs';
+    return { month: m, status, deviceAssociates: a?.associates?.length || 0, backupAssociates: b?.associates?.length || 0, deviceDays: loggedDays(a), backupDays: loggedDays(b) };
+  });
+  const newPeople = incoming.roster.filter((p) => !current.roster.some((q) => q.id === p.id || sameName(q.name, p.name)));
+  const settings = Object.keys(BACKUP_SETTING_LABELS).filter((k) => JSON.stringify(current[k]) !== JSON.stringify(incoming[k])).map((k) => BACKUP_SETTING_LABELS[k]);
+  return { months, newPeople, settings };
+}
+
+function mergeActivity(device, backup) {
+  const out = { ...(backup || {}) };
+  Object.keys(device || {}).forEach((d) => (out[d] = { ...(out[d] || {}), ...device[d] }));
+  return out;
+}
+
+function mergeMonthState(device, backup) {
+  const match = (a) => backup.associates.find((b) => b.id === a.id) || backup.associates.find((b) => sameName(b.name, a.name));
+  const associates = device.associates.map((a) => { const b = match(a); return b ? { ...b, ...a, activity: mergeActivity(a.activity, b.activity) } : a; });
+  // Someone removed on the device stays removed
+  backup.associates.forEach((b) => { if (![...associates, ...(device.deleted || [])].some((a) => a.id === b.id || sameName(a.name, b.name))) associates.push(b); });
+  const kpis = [...device.kpis, ...(backup.kpis || []).filter((k) => !device.kpis.some((x) => x.key === k.key))];
+  return { ...backup, ...device, kpis, targets: { ...backup.targets, ...device.targets }, associates };
+}
+
+// Merge adds whatever the device is missing – months, people, logged days and KPIs – and keeps the
+// device's value wherever both have one. Settings still at their defaults are taken from the backup.
+export function mergeBackupState(current, incoming) {
+  const roster = [...current.roster]; const idMap = {};
+  incoming.roster.forEach((p) => {
+    const q = current.roster.find((x) => x.id === p.id) || current.roster.find((x) => sameName(x.name, p.name));
+    if (q) idMap[p.id] = q.id; else roster.push(p);
+  });
+  const months = { ...current.months };
+  Object.keys(incoming.months).forEach((m) => {
+    const b = { ...incoming.months[m], associates: (incoming.months[m].associates || []).map((a) => ({ ...a, id: idMap[a.id] || a.id })) };
+    months[m] = months[m] ? mergeMonthState(months[m], b) : b;
+  });
+  const deviceOrg = current.org || EMPTY_ORG; const backupOrg = incoming.org || EMPTY_ORG;
+  const keep = (k, fallback) => (JSON.stringify(current[k]) === JSON.stringify(fallback) ? incoming[k] : current[k]);
+  return {
+    months,
+    roster,
+    kpis: [...current.kpis, ...incoming.kpis.filter((k) => !current.kpis.some((x) => x.key === k.key))],
+    destinations: [...current.destinations, ...incoming.destinations.filter((d) => !current.destinations.some((x) => x.id === d.id))],
+    emailTo: keep('emailTo', DEFAULT_EMAIL),
+    sendHour: keep('sendHour', String(DEFAULT_SEND_HOUR)),
+    funnelMonths: keep('funnelMonths', DEFAULT_FUNNEL_MONTHS),
+    scoring: keep('scoring', DEFAULT_SCORING),
+    org: {
+      offices: [...deviceOrg.offices, ...backupOrg.offices.filter((o) => !deviceOrg.offices.some((x) => x.id === o.id))],
+      teams: [...deviceOrg.teams, ...backupOrg.teams.filter((t) => !deviceOrg.teams.some((x) => x.id === t.id))],
+    },
+    audit: mergeAudit(current.audit, incoming.audit),
+    calendar: { ...keep('calendar', DEFAULT_CALENDAR), holidays: mergeHolidays(incoming.calendar?.holidays, current.calendar?.holidays) },
+  };
+}
+
+// History is never thrown away by a restore, even a replace: both trails are kept, newest first
+export function mergeAudit(a = [], b = []) {
+  return [...a, ...b.filter((e) => !a.some((x) => x.id === e.id))].sort((x, y) => (x.at < y.at ? 1 : x.at > y.at ? -1 : 0)).slice(0, MAX_AUDIT_ENTRIES);
+}
+
+export async function writeBackupState(s, state) {
+  s.listMonths().filter((m) => !state.months[m]).forEach((m) => s.removeMonth(m));
+  Object.keys(state.months).forEach((m) => s.setMonth(m, state.months[m]));
+  s.setJSON(ROSTER_KEY, state.roster);
+  s.setJSON(KPI_SCHEMA_KEY, state.kpis);
+  s.setJSON(DESTINATIONS_KEY, state.destinations);
+  s.setItem(EMAIL_TO_KEY, state.emailTo);
+  s.setItem(SEND_HOUR_KEY, state.sendHour);
+  s.setItem(FUNNEL_MONTHS_KEY, String(state.funnelMonths));
+  s.setJSON(LEADERBOARD_KEY, state.scoring);
+  s.setJSON(ORG_KEY, state.org);
+  s.setJSON(CALENDAR_KEY, state.calendar || DEFAULT_CALENDAR);
+  await writeAudit(s, state.audit || []);
+  await s.flush();
+}
@@ -0,0 +1,99 @@
+/*************************
+ * Working Calendar       *
+ *************************/
+// calendar: { weekdays: [0–6, Sunday = 0], holidays: [{ date, name }], timeZone, skipNonWorking }.
+// Working days are the working week less holidays, and everything paced or prorated counts them.
+// timeZone is the IANA zone send hours are read in ('Australia/Sydney'); blank is the phone's own.
+// Leave is per person: roster entries carry leave: [{ from, to, note }] with inclusive day keys.
+import { parseDateCell } from './csvImport.js';
+
+export const DEFAULT_CALENDAR = { weekdays: [1, 2, 3, 4, 5], holidays: [], timeZone: '', skipNonWorking: false };
+
+// Month and day keys are local dates: 2025-08 and 2025-08-05
+export function monthKey(date = new Date()) {
+  const y = date.getFullYear();
+  const m = `${date.getMonth() + 1}`.padStart(2, '0');
+  return `${y}-${m}`; // e.g. 2025-08
+}
+
+export function monthsBetween(from, to) {
+  const [fy, fm] = from.split('-').map(Number); const [ty, tm] = to.split('-').map(Number);
+  return (ty - fy) * 12 + (tm - fm);
+}
+
+export function dayKey(date = new Date()) {
+  const d = `${date.getDate()}`.padStart(2, '0');
+  return `${monthKey(date)}-${d}`; // e.g. 2025-08-05
+}
+
+export function shiftDay(key, delta) {
+  const [y, m, d] = key.split('-').map(Number);
+  return dayKey(new Date(y, m - 1, d + delta));
+}
+
+export function defaultLogDate(month) {
+  const today = dayKey();
+  return today.startsWith(month) ? today : `${month}-01`;
+}
+
+export function isWorkingDay(day, calendar = DEFAULT_CALENDAR) {
+  const [y, m, d] = day.split('-').map(Number);
+  const weekdays = calendar?.weekdays || DEFAULT_CALENDAR.weekdays;
+  return weekdays.includes(new Date(y, m - 1, d).getDay()) && !(calendar?.holidays || []).some((h) => h.date === day);
+}
+
+export function onLeave(person, day) { return (person?.leave || []).some((l) => l.from <= day && day <= (l.to || l.from)); }
+
+// Working days of the month, as day keys; with `person`, the ones they aren't on leave
+export function workingDays(month, calendar = DEFAULT_CALENDAR, person = null) {
+  const [y, m] = month.split('-').map(Number);
+  const out = [];
+  for (let d = new Date(y, m - 1, 1); d.getMonth() === m - 1; d = new Date(y, m - 1, d.getDate() + 1)) {
+    const day = dayKey(d);
+    if (isWorkingDay(day, calendar) && !onLeave(person, day)) out.push(day);
+  }
+  return out;
+}
+
+export function workingDayProgress(month, asOf = new Date(), calendar = DEFAULT_CALENDAR, person = null) {
+  const days = workingDays(month, calendar, person); const today = dayKey(asOf);
+  const elapsed = days.filter((d) => d <= today).length; // today counts as worked
+  return { elapsed, total: days.length, remaining: days.length - elapsed };
+}
+
+// Share of the month's working days someone is around for; their target shrinks by the rest
+export function availability(person, month, calendar = DEFAULT_CALENDAR) {
+  if (!person?.leave?.length) return 1;
+  const all = workingDays(month, calendar).length;
+  return all ? workingDays(month, calendar, person).length / all : 1;
+}
+
+// One holiday per date, in date order; `incoming` wins where both name the same day
+export function mergeHolidays(existing = [], incoming = []) {
+  const byDate = {};
+  [...existing, ...incoming].forEach((h) => (byDate[h.date] = h));
+  return Object.values(byDate).sort((a, b) => (a.date < b.date ? -1 : 1));
+}
+
+// -> [{ from, to, note }] with the new range added, or throws with why it isn't one
+export function addLeave(leave = [], { from, to, note = '' }) {
+  const start = parseDateCell(from); const end = to ? parseDateCell(to) : start;
+  if (!start || !end) throw new Error('Enter dates as YYYY-MM-DD');
+  if (end < start) throw new Error('Leave ends before it starts');
+  return [...leave, { from: start, to: end, note: note.trim() }].sort((a, b) => (a.from < b.from ? -1 : 1));
+}
+
+export function validTimeZone(timeZone) {
+  if (!timeZone) return true;
+  try { new Intl.DateTimeFormat('en-US', { timeZone }); return true; } catch { return false; }
+}
+
+// `now` as a Date whose local fields read as the wall clock in `timeZone`, so getHours() and dayKey()
+// answer for that zone. Blank or unknown zones leave it as is.
+export function wallClock(now, timeZone) {
+  if (!timeZone || !validTimeZone(timeZone)) return now;
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', { timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric' })
+    .formatToParts(now).forEach((p) => (parts[p.type] = Number(p.value)));
+  return new Date(parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second);
+}
@@ -0,0 +1,76 @@
+/*************************
+ * Chart Layout           *
+ *************************/
+// Geometry shared by the in-app charts and the inline SVG in HTML reports.
+
+const HEIGHT = 200; const PADDING = 28; const BAR_WIDTH = 24; const GAP = 32;
+
+export const PACE_COLORS = { ahead: '#16a34a', 'on pace': '#6b7280', behind: '#ef4444' };
+
+export const CHART_COLORS = { axis: '#e5e7eb', target: '#e5e7eb', actual: '#3b82f6', label: '#111827', average: '#9ca3af', attained: '#f59e0b' };
+
+// data: [{ label, actual, target }]
+export function barChartLayout(data) {
+  const height = HEIGHT;
+  const width = Math.max(360, PADDING * 2 + 20 + data.length * (BAR_WIDTH * 2 + GAP));
+  const maxVal = Math.max(1, ...data.map((d) => Math.max(d.actual, d.target)));
+  const scale = (v) => (v / maxVal) * (height - PADDING * 2);
+  const baseline = height - PADDING;
+  const axes = [
+    { x: PADDING, y: PADDING, width: 1, height: height - PADDING * 2 },
+    { x: PADDING, y: baseline, width: width - PADDING * 2, height: 1 },
+  ];
+  const bars = data.map((d, i) => {
+    const x0 = PADDING + 20 + i * (BAR_WIDTH * 2 + GAP);
+    const hTarget = scale(d.target); const hActual = scale(d.actual);
+    return {
+      target: { x: x0, y: baseline - hTarget, width: BAR_WIDTH, height: hTarget },
+      actual: { x: x0 + BAR_WIDTH + 4, y: baseline - hActual, width: BAR_WIDTH, height: hActual },
+      label: { x: x0 + BAR_WIDTH, y: baseline + 14, text: d.label },
+    };
+  });
+  return { width, height, axes, bars };
+}
+
+// Text for HTML or SVG markup – the email report and its chart share this
+export function escapeMarkup(s) {
+  return String(s ?? '').replace(/[&<>"']/g, (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+export function barChartSvg(data) {
+  const { width, height, axes, bars } = barChartLayout(data);
+  const rect = (r, fill) => `<rect x="${r.x}" y="${r.y}" width="${r.width}" height="${r.height}" fill="${fill}"/>`;
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="100%" viewBox="0 0 ${width} ${height}" style="max-width:${width}px">`,
+    ...axes.map((a) => rect(a, CHART_COLORS.axis)),
+    ...bars.map((b) => `${rect(b.target, CHART_COLORS.target)}${rect(b.actual, CHART_COLORS.actual)}<text x="${b.label.x}" y="${b.label.y}" font-size="10" text-anchor="middle" fill="${CHART_COLORS.label}">${escapeMarkup(b.label.text)}</text>`),
+    '</svg>',
+  ].join('');
+}
+
+// Line chart. points: [{ label, value, avg, attained }]. value and avg share the left scale; attained (% of target)
+// has its own scale with 100% marked. A null breaks the line, so each series is a list of segments.
+export function lineChartLayout(points) {
+  const width = 360; const height = 160; const left = 20; const right = 28; const top = 12; const bottom = 24;
+  const innerH = height - top - bottom;
+  const round = (v) => Math.round(v * 10) / 10;
+  const maxVal = Math.max(1, ...points.flatMap((p) => [p.value, p.avg]).filter((v) => v != null));
+  const maxPct = Math.max(100, ...points.map((p) => p.attained).filter((v) => v != null));
+  const x = (i) => round(points.length > 1 ? left + (i * (width - left - right)) / (points.length - 1) : width / 2);
+  const yVal = (v) => round(top + innerH - (v / maxVal) * innerH);
+  const yPct = (v) => round(top + innerH - (v / maxPct) * innerH);
+  const segments = (key, y) => {
+    const out = []; let cur = null;
+    points.forEach((p, i) => {
+      if (p[key] == null) { cur = null; return; }
+      if (!cur) { cur = []; out.push(cur); }
+      cur.push({ x: x(i), y: y(p[key]) });
+    });
+    return out;
+  };
+  const every = Math.max(1, Math.ceil(points.length / 6));
+  const labels = points.map((p, i) => ({ x: x(i), text: p.label })).filter((_, i) => i % every === 0 || i === points.length - 1);
+  return { width, height, left, right, baseline: top + innerH, hundredY: yPct(100), value: segments('value', yVal), avg: segments('avg', yVal), attained: segments('attained', yPct), labels };
+}
+
+export function polylinePoints(segment) { return segment.map((p) => `${p.x},${p.y}`).join(' '); }
@@ -0,0 +1,158 @@
+/*************************
+ * Constants & Utilities  *
+ *************************/
+// KPIs, storage keys, pace and targets – what every other module builds on. None of the modules here
+// needs React Native, so the app, the report CLI (scripts/report.mjs) and the headless tests (npm test)
+// all run the same code, and a report built on a server is the report the phone would have sent.
+import { monthsBetween, DEFAULT_CALENDAR, availability } from './calendar.js';
+
+// KPI schema: every total, chart, CSV column and email line is driven from this list.
+// `target` is the default per-person monthly target; `weight` scales the KPI in overall progress;
+// `from` is the funnel stage the KPI converts from (connects → appraisals → listings).
+export const DEFAULT_KPIS = [
+  { key: 'connects', label: 'Connects', unit: 'calls', weight: 1, target: 800 },
+  { key: 'geoData', label: 'Geo Data', unit: 'records', weight: 1, target: 50 },
+  { key: 'buyerAppointments', label: 'Buyer Appointments', unit: 'appts', weight: 1, target: 20, from: 'connects' },
+  { key: 'marketAppraisals', label: 'Market Appraisals', unit: 'appraisals', weight: 1, target: 25, from: 'connects' },
+  { key: 'listingsGenerated', label: 'Listings Generated', unit: 'listings', weight: 1, target: 1, from: 'marketAppraisals' },
+];
+
+export const DEFAULT_EMAIL = 'john.yatman@raywhite.com';
+export const DEFAULT_SEND_HOUR = 18; // 18:00 (6pm) local time
+export const EMAIL_WEBHOOK_URL_KEY = 'salesTargetsMobileV1_emailWebhookUrl'; // single webhook before destinations (schema v3)
+export const EMAIL_TO_KEY = 'salesTargetsMobileV1_emailTo';
+export const SEND_HOUR_KEY = 'salesTargetsMobileV1_sendHour';
+export const KPI_SCHEMA_KEY = 'salesTargetsMobileV1_kpis';
+export const ROSTER_KEY = 'salesTargetsMobileV1_roster';
+export const OUTBOX_KEY = 'salesTargetsMobileV1_outbox';
+export const DESTINATIONS_KEY = 'salesTargetsMobileV1_destinations';
+export const FUNNEL_MONTHS_KEY = 'salesTargetsMobileV1_funnelMonths';
+export const FUNNEL_WINDOWS = [1, 3, 6, 12]; // months of history behind conversion rates
+export const DEFAULT_FUNNEL_MONTHS = 3;
+export const LEADERBOARD_KEY = 'salesTargetsMobileV1_leaderboard';
+export const ORG_KEY = 'salesTargetsMobileV1_org';
+export const SYNC_KEY = 'salesTargetsMobileV1_sync'; // sync engine state: device id, cursor, known versions, queue
+export const SYNC_CONFIG_KEY = 'salesTargetsMobileV1_syncConfig';
+export const ACCESS_KEY = 'salesTargetsMobileV1_access'; // manager PIN hash, biometrics, whose phone this is – never backed up or synced
+export const AUDIT_INDEX_KEY = 'salesTargetsMobileV1_auditIndex'; // months with a page of the audit trail (auditPageKey)
+export const NOTIFY_KEY = 'salesTargetsMobileV1_notifications'; // this phone's notification rules and quiet hours
+export const NOTIFY_STATE_KEY = 'salesTargetsMobileV1_notifyState'; // which rules already fired this period, recent notifications
+export const CALENDAR_KEY = 'salesTargetsMobileV1_calendar';
+
+export const ROSTER_STATUSES = [
+  { key: 'active', label: 'Active' },
+  { key: 'leave', label: 'On leave' },
+  { key: 'departed', label: 'Departed' },
+];
+
+export function activeKpis(kpis) { return (kpis || DEFAULT_KPIS).filter((k) => !k.archived); }
+
+export function defaultTargets(kpis) {
+  const out = {}; activeKpis(kpis).forEach((k) => (out[k.key] = Number(k.target) || 0));
+  return out;
+}
+
+export function kpiKeyFromLabel(label, kpis) {
+  const base = label.trim().toLowerCase().replace(/[^a-z0-9]+(.)?/g, (_, c) => (c ? c.toUpperCase() : '')) || 'kpi';
+  let key = base; let i = 2;
+  while (kpis.some((k) => k.key === key)) key = `${base}${i++}`;
+  return key;
+}
+
+export function withUnit(value, kpi) { return kpi.unit ? `${value} ${kpi.unit}` : String(value); }
+
+export const LS_KEY = 'salesTargetsMobileV1'; // storage key prefix; v0 kept every month in one blob here
+
+export function pct(n, d) { if (!d || d === 0) return 0; return Math.min(100, Math.round((n / d) * 100)); }
+
+// Expected-to-date, ahead/behind, projected month-end and daily run-rate needed for one KPI
+export function pace(actual, target, progress) {
+  const { elapsed, total, remaining } = progress;
+  const expected = total ? Math.round((target * elapsed) / total) : target;
+  const projected = elapsed && total ? Math.round((actual / elapsed) * total) : actual;
+  const gap = Math.max(0, target - actual);
+  const requiredDaily = gap === 0 ? 0 : remaining > 0 ? Math.round((gap / remaining) * 10) / 10 : gap;
+  const diff = actual - expected;
+  const status = diff > 0 ? 'ahead' : diff < 0 ? 'behind' : 'on pace';
+  return { expected, projected, requiredDaily, diff, status, pacePct: expected ? Math.round((actual / expected) * 100) : 100 };
+}
+
+export function paceLabel(p) { return p.status === 'on pace' ? 'on pace' : `${p.status} ${Math.abs(p.diff)}`; }
+
+export function toCSV(rows) {
+  if (!rows.length) return '';
+  const headers = Object.keys(rows[0]);
+  const escape = (v) => `"${String(v).replaceAll('"', '""')}"`;
+  const lines = [headers.join(','), ...rows.map((r) => headers.map((h) => escape(r[h] ?? '')).join(','))];
+  return lines.join('\n');
+}
+
+export function genId() {
+  try { if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID(); } catch {}
+  const rand = Math.random().toString(36).slice(2, 10);
+  return `id-${rand}-${Date.now()}`;
+}
+
+// activity: { 'YYYY-MM-DD': { [kpi]: number } } – one entry per associate per KPI per day
+export function setDayActivity(activity, date, values) {
+  const day = { ...(activity?.[date] || {}) };
+  Object.keys(values).forEach((k) => { const v = Number(values[k]) || 0; if (v) day[k] = v; else delete day[k]; });
+  const next = { ...(activity || {}) };
+  if (Object.keys(day).length) next[date] = day; else delete next[date];
+  return next;
+}
+
+export function associateTotals(a, kpis = DEFAULT_KPIS) {
+  const totals = {}; kpis.forEach((k) => (totals[k.key] = 0));
+  Object.values(a?.activity || {}).forEach((day) => { Object.keys(day).forEach((k) => (totals[k] = (totals[k] || 0) + Number(day[k] || 0))); });
+  return totals;
+}
+
+export const RAMP_PRESETS = [[], [50, 75, 100], [25, 50, 75, 100]];
+
+// targetPlan: { percent, overrides: { [kpi]: number }, ramp: [%...], startMonth } – all optional.
+// Share of the standard target: part-time percent × the ramp step for months since startMonth.
+export function targetFactor(plan, month) {
+  const base = plan?.percent == null || plan.percent === '' ? 1 : (Number(plan.percent) || 0) / 100;
+  const ramp = plan?.ramp || [];
+  if (!ramp.length || !plan.startMonth) return base;
+  const step = Math.max(0, monthsBetween(plan.startMonth, month));
+  return step < ramp.length ? base * ((Number(ramp[step]) || 0) / 100) : base;
+}
+
+// A ramp counts from the associate's start date unless the plan names its own first month
+export function planFor(a) {
+  const plan = a?.targetPlan || {};
+  return { ...plan, startMonth: plan.startMonth || a?.startDate?.slice(0, 7) };
+}
+
+// Explicit per-KPI overrides win; otherwise the standard target scaled by targetFactor and by the
+// share of working days the associate isn't on leave
+export function effectiveTargets(a, targets, kpis, month, calendar = DEFAULT_CALENDAR) {
+  const plan = planFor(a); const f = targetFactor(plan, month) * availability(a, month, calendar); const out = {};
+  kpis.forEach((k) => { const o = plan.overrides?.[k.key]; out[k.key] = o != null && o !== '' ? Number(o) || 0 : Math.round((Number(targets[k.key]) || 0) * f); });
+  return out;
+}
+
+export function teamTargetsFor(associates, targets, kpis, month, calendar = DEFAULT_CALENDAR) {
+  const agg = {}; kpis.forEach((k) => (agg[k.key] = associates.length ? 0 : Number(targets[k.key]) || 0));
+  associates.forEach((a) => { const t = effectiveTargets(a, targets, kpis, month, calendar); kpis.forEach((k) => (agg[k.key] += t[k.key])); });
+  return agg;
+}
+
+export function kpiWeight(k) { return k.weight == null || k.weight === '' ? 1 : Number(k.weight) || 0; }
+
+// Average % of target across active KPIs, weighted by each KPI's weight
+export function progressPct(totals, targets, kpis) {
+  const list = activeKpis(kpis);
+  const weightSum = list.reduce((s, k) => s + kpiWeight(k), 0);
+  if (!weightSum) return 0;
+  return list.reduce((s, k) => s + pct(totals[k.key] || 0, Number(targets[k.key]) || 0) * kpiWeight(k), 0) / weightSum;
+}
+
+// Pre-activity data kept one running total per KPI in `metrics`; fold it into a single entry on the 1st.
+export function migrateAssociate(a, month) {
+  if (a.activity) return a;
+  const { metrics, ...rest } = a;
+  return { ...rest, activity: setDayActivity({}, `${month}-01`, metrics || {}) };
+}
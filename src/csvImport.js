@@ -0,0 +1,72 @@
+/*************************
+ * CSV Import             *
+ *************************/
+// Reads our own CSV export and spreadsheet exports from the CRM: comma, semicolon or tab separated,
+// quoted fields, CRLF line endings and a UTF-8 BOM. Column mapping is guessed from the header row
+// and can then be changed by hand.
+
+function detectDelimiter(firstLine) {
+  const counts = [',', ';', '\t'].map((d) => [d, firstLine.split(d).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+// -> { headers: [..], rows: [[..], ..] }; blank lines are dropped
+export function parseCSV(text) {
+  const src = String(text || '').replace(/^﻿/, '');
+  const delim = detectDelimiter(src.split(/\r?\n/, 1)[0]);
+  const records = []; let record = []; let field = ''; let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; } else if (c === '"') quoted = false; else field += c;
+    } else if (c === '"' && field === '') quoted = true;
+    else if (c === delim) { record.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i + 1] === '\n') i++;
+      record.push(field); records.push(record); record = []; field = '';
+    } else field += c;
+  }
+  if (field !== '' || record.length) { record.push(field); records.push(record); }
+  const nonBlank = records.filter((r) => r.some((v) => v.trim() !== ''));
+  const [headers = [], ...rows] = nonBlank;
+  return { headers: headers.map((h) => h.trim()), rows };
+}
+
+export function normalizeHeader(h) { return String(h || '').toLowerCase().replace(/[^a-z0-9]/g, ''); }
+
+const NAME_HEADERS = ['name', 'associate', 'associatename', 'agent', 'agentname', 'salesperson', 'consultant', 'fullname', 'staff', 'staffname'];
+const DATE_HEADERS = ['date', 'day', 'activitydate', 'activitydt', 'loggedon', 'createddate'];
+
+// -> { name: col, date: col | null, kpis: { [kpiKey]: col } }; col is a header index, -1 when unmapped
+export function guessColumnMapping(headers, kpis) {
+  const norm = headers.map(normalizeHeader);
+  const find = (names) => norm.findIndex((h) => names.includes(h));
+  const kpiCols = {};
+  kpis.forEach((k) => {
+    const names = [normalizeHeader(k.label), normalizeHeader(k.key)];
+    names.push(...names.map((n) => (n.endsWith('s') ? n.slice(0, -1) : `${n}s`)));
+    kpiCols[k.key] = find(names);
+  });
+  const date = find(DATE_HEADERS);
+  return { name: find(NAME_HEADERS), date: date < 0 ? null : date, kpis: kpiCols };
+}
+
+// "2025-08-05", "2025-08-05T09:30", "2025/08/05" or day-first "5/8/2025", "05-08-2025", "5.8.25" -> "2025-08-05"
+export function parseDateCell(value) {
+  const s = String(value || '').trim();
+  let y; let m; let d;
+  let hit = s.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/);
+  if (hit) [, y, m, d] = hit.map(Number);
+  else if ((hit = s.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})(?:\s.*)?$/))) { [, d, m, y] = hit.map(Number); if (y < 100) y += 2000; }
+  else return null;
+  const date = new Date(y, m - 1, d);
+  if (date.getFullYear() !== y || date.getMonth() !== m - 1 || date.getDate() !== d) return null;
+  return `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+// Blank -> null, "1,200" -> 1200, anything else unparseable -> NaN
+export function parseNumberCell(value) {
+  const s = String(value ?? '').trim().replace(/[\s,]/g, '');
+  if (s === '' || s === '-') return null;
+  return /^-?\d+(\.\d+)?$/.test(s) ? Number(s) : NaN;
+}
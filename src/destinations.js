@@ -0,0 +1,103 @@
+/*************************
+ * Report Destinations    *
+ *************************/
+// Each destination is { id, name, type, url, enabled, headers, bearerToken, signingSecret } where
+// `headers` is "Name: value" lines. The type picks the formatter for the request body; auth and
+// signing are the same for every type.
+import { signatureHeaders } from './signing.js';
+import { genId } from './core.js';
+
+export const DESTINATION_TYPES = [
+  { key: 'email', label: 'Email webhook' },
+  { key: 'slack', label: 'Slack' },
+  { key: 'teams', label: 'Teams' },
+  { key: 'json', label: 'JSON' },
+];
+
+export function newDestination(fields = {}) {
+  return { id: genId(), name: 'Destination', type: 'email', url: '', enabled: true, headers: '', bearerToken: '', signingSecret: '', ...fields };
+}
+
+const STATUS_ICONS = { ahead: '🟢', 'on pace': '⚪', behind: '🔴' };
+
+function kpiValue(k) { return `${k.actual} / ${k.target}${k.unit ? ` ${k.unit}` : ''} (${k.percent}%) – ${k.status}`; }
+
+function chunk(list, size) {
+  const out = [];
+  for (let i = 0; i < list.length; i += size) out.push(list.slice(i, i + size));
+  return out;
+}
+
+// report: { to, subject, text, html, csv, month, day, scope, reportId, summary: { teamSize, workingDay, workingDays, kpis, … } }
+export const FORMATTERS = {
+  // The original email-relay shape
+  email: (r) => ({ to: r.to, subject: r.subject, text: r.text, html: r.html, csv: r.csv, month: r.month, day: r.day, reportId: r.reportId }),
+  json: (r) => ({ reportId: r.reportId, day: r.day, month: r.month, subject: r.subject, summary: r.summary, html: r.html, csv: r.csv }),
+  // Slack incoming webhook; `text` is the notification fallback, a section holds at most 10 fields
+  slack: (r) => ({
+    text: r.subject,
+    blocks: [
+      { type: 'header', text: { type: 'plain_text', text: r.subject } },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: `Team size ${r.summary.teamSize} • working day ${r.summary.workingDay} of ${r.summary.workingDays}` }] },
+      ...chunk(r.summary.kpis, 10).map((kpis) => ({
+        type: 'section',
+        fields: kpis.map((k) => ({ type: 'mrkdwn', text: `*${k.label}* ${STATUS_ICONS[k.status] || ''}\n${kpiValue(k)}` })),
+      })),
+    ],
+  }),
+  // Teams incoming webhook (Office 365 connector message card)
+  teams: (r) => ({
+    '@type': 'MessageCard',
+    '@context': 'http://schema.org/extensions',
+    summary: r.subject,
+    themeColor: '3b82f6',
+    title: r.subject,
+    sections: [{
+      activitySubtitle: `Team size ${r.summary.teamSize} • working day ${r.summary.workingDay} of ${r.summary.workingDays}`,
+      facts: r.summary.kpis.map((k) => ({ name: k.label, value: kpiValue(k) })),
+    }],
+  }),
+};
+
+export function parseHeaderLines(text) {
+  const out = {};
+  (text || '').split('\n').forEach((line) => {
+    const i = line.indexOf(':');
+    if (i > 0) out[line.slice(0, i).trim().toLowerCase()] = line.slice(i + 1).trim();
+  });
+  return out;
+}
+
+export function buildRequest(dest, report, now = new Date()) {
+  const format = FORMATTERS[dest.type] || FORMATTERS.email;
+  const body = JSON.stringify(format(report));
+  const headers = { 'content-type': 'application/json', 'idempotency-key': report.reportId, ...parseHeaderLines(dest.headers) };
+  if (dest.bearerToken) headers.authorization = `Bearer ${dest.bearerToken}`;
+  if (dest.signingSecret) Object.assign(headers, signatureHeaders(dest.signingSecret, body, now));
+  return { url: dest.url, init: { method: 'POST', headers, body } };
+}
+
+// Sends to every enabled destination not in `skip` (those already got this report).
+// ok is true only when all of them succeeded; `delivered` lists the ids that did.
+export async function deliverToDestinations(destinations, report, { skip = [], fetchImpl = fetch, now = new Date() } = {}) {
+  const targets = (destinations || []).filter((d) => d.enabled !== false && d.url);
+  if (!targets.length) return { ok: false, status: null, error: 'No report destinations configured', delivered: [], results: [] };
+  const results = [];
+  for (const dest of targets.filter((d) => !skip.includes(d.id))) {
+    const { url, init } = buildRequest(dest, report, now);
+    try {
+      const res = await fetchImpl(url, init);
+      results.push({ id: dest.id, name: dest.name, ok: res.ok, status: res.status, error: res.ok ? null : `Responded ${res.status}` });
+    } catch (e) {
+      results.push({ id: dest.id, name: dest.name, ok: false, status: null, error: String(e?.message || e) });
+    }
+  }
+  const failures = results.filter((r) => !r.ok);
+  return {
+    ok: failures.length === 0,
+    status: (failures[0] || results[results.length - 1])?.status ?? null,
+    error: failures.length ? failures.map((r) => `${r.name}: ${r.error}`).join('; ') : null,
+    delivered: results.filter((r) => r.ok).map((r) => r.id),
+    results,
+  };
+}
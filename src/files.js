@@ -0,0 +1,32 @@
+/*************************
+ * Files & Share Sheet    *
+ *************************/
+// Exports are written to the cache directory and handed to the OS share sheet (Files, Drive, Mail, …);
+// imports come from the document picker. Both deal in UTF-8 text.
+import * as FileSystem from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import * as DocumentPicker from 'expo-document-picker';
+
+export const FILE_TYPES = {
+  csv: { mimeType: 'text/csv', UTI: 'public.comma-separated-values-text' },
+  json: { mimeType: 'application/json', UTI: 'public.json' },
+};
+
+export async function shareTextFile(filename, contents, type = 'json') {
+  if (!(await Sharing.isAvailableAsync())) throw new Error('Sharing is not available on this device');
+  const uri = `${FileSystem.cacheDirectory}${filename}`;
+  await FileSystem.writeAsStringAsync(uri, contents, { encoding: FileSystem.EncodingType.UTF8 });
+  await Sharing.shareAsync(uri, { ...FILE_TYPES[type], dialogTitle: filename });
+  return uri;
+}
+
+// Resolves to { name, text }, or null if the picker was dismissed
+export async function pickTextFile() {
+  const res = await DocumentPicker.getDocumentAsync({
+    type: ['text/csv', 'text/comma-separated-values', 'text/plain', 'text/calendar', 'application/json', 'application/vnd.ms-excel'],
+    copyToCacheDirectory: true,
+  });
+  if (res.canceled || !res.assets?.length) return null;
+  const file = res.assets[0];
+  return { name: file.name, text: await FileSystem.readAsStringAsync(file.uri, { encoding: FileSystem.EncodingType.UTF8 }) };
+}
@@ -0,0 +1,69 @@
+/*************************
+ * Funnel                 *
+ *************************/
+// Schemas saved before funnel links existed pick up the default links for the built-in KPIs
+import { DEFAULT_KPIS, activeKpis, associateTotals } from './core.js';
+
+export function funnelSource(k) { return k.from !== undefined ? k.from : DEFAULT_KPIS.find((d) => d.key === k.key)?.from || null; }
+
+// Counts pooled over the last `months` stored months up to and including `month`, for everyone or the
+// associate ids in `only`
+export function funnelTotals(store, month, months, kpis, only = null) {
+  const window = Object.keys(store || {}).filter((m) => m <= month).sort().slice(-months);
+  const totals = {}; kpis.forEach((k) => (totals[k.key] = 0));
+  window.forEach((m) => (store[m].associates || []).forEach((a) => {
+    if (only && !only.includes(a.id)) return;
+    const t = associateTotals(a, kpis); kpis.forEach((k) => (totals[k.key] += t[k.key] || 0));
+  }));
+  return { months: window, totals };
+}
+
+// One ratio per active KPI that converts from another active KPI; rate is null when the source count is 0
+export function funnelRatios(totals, kpis) {
+  const list = activeKpis(kpis);
+  return list.filter((k) => list.some((x) => x.key === funnelSource(k))).map((k) => {
+    const from = list.find((x) => x.key === funnelSource(k));
+    return { key: k.key, label: k.label, from: from.key, fromLabel: from.label, count: totals[k.key] || 0, fromCount: totals[from.key] || 0, rate: totals[from.key] ? (totals[k.key] || 0) / totals[from.key] : null };
+  });
+}
+
+// The last funnel stage – what the backwards calculator aims at (listings by default)
+export function funnelGoalKpi(kpis, ratios) { return [...activeKpis(kpis)].reverse().find((k) => ratios.some((r) => r.key === k.key) && !ratios.some((r) => r.from === k.key)) || null; }
+
+// Works back from a goal along the `from` chain at the given rates: [{ key, label, needed }], goal first.
+// needed is null once a stage has no history to convert from.
+export function funnelPlan(goalKey, goal, ratios, kpis) {
+  const out = [{ key: goalKey, label: kpis.find((k) => k.key === goalKey)?.label || goalKey, needed: goal }];
+  let key = goalKey; let needed = goal;
+  while (out.length <= ratios.length) {
+    const r = ratios.find((x) => x.key === key);
+    if (!r || out.some((o) => o.key === r.from)) break;
+    needed = r.rate ? needed / r.rate : null;
+    out.push({ key: r.from, label: r.fromLabel, needed: needed == null ? null : Math.ceil(needed) });
+    if (needed == null) break;
+    key = r.from;
+  }
+  return out;
+}
+
+export function rateLabel(r) {
+  if (r.rate == null) return 'no history';
+  const pctText = `${Math.round(r.rate * 1000) / 10}%`;
+  return r.rate > 0 && r.rate < 1 ? `${pctText} (1 in ${Math.round(1 / r.rate)})` : pctText;
+}
+
+export function planSentence(plan) {
+  const [goal, ...rest] = plan;
+  if (!rest.length) return '';
+  const steps = rest.map((p) => (p.needed == null ? `? ${p.label} (no history)` : `~${p.needed} ${p.label}`));
+  return `To hit ${goal.needed} ${goal.label}: ${steps.join(', ')} at historical rates`;
+}
+
+// Team funnel for the daily report: rates over the window and what this month's team target takes
+export function reportFunnel(store, month, months, kpis, teamTargets, only = null) {
+  const { months: window, totals } = funnelTotals(store, month, months, kpis, only);
+  const ratios = funnelRatios(totals, kpis);
+  const goal = funnelGoalKpi(kpis, ratios);
+  const plan = goal ? funnelPlan(goal.key, teamTargets[goal.key] || 0, ratios, kpis) : [];
+  return { months: window, ratios, plan, planText: planSentence(plan) };
+}
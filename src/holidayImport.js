@@ -0,0 +1,81 @@
+/*************************
+ * Holiday Import         *
+ *************************/
+// Public holidays from an iCalendar (.ics) file – a government or Google holiday calendar – or a plain
+// list with one holiday per line: "2025-12-25 Christmas Day", "25/12/2025, Christmas Day" or a
+// spreadsheet's Date,Name columns. All-day events spanning several days become one holiday per day.
+import { parseDateCell } from './csvImport.js';
+
+const MAX_EVENT_DAYS = 31;
+
+// -> { holidays: [{ date, name }], errors: [{ line, message }] }
+export function parseHolidays(text) {
+  const src = String(text || '').replace(/^﻿/, '');
+  return /^BEGIN:VCALENDAR/im.test(src) ? parseICS(src) : parseHolidayList(src);
+}
+
+// Long ICS lines are folded onto continuation lines that start with a space or tab
+function unfold(text) {
+  const out = [];
+  text.split(/\r?\n/).forEach((raw, i) => {
+    if (/^[ \t]/.test(raw) && out.length) out[out.length - 1].text += raw.slice(1);
+    else out.push({ line: i + 1, text: raw });
+  });
+  return out;
+}
+
+function icsText(value) { return value.replace(/\\n/gi, ' ').replace(/\\([,;\\])/g, '$1').trim(); }
+
+// 20251225 or 20251225T090000(Z) -> '2025-12-25'
+function icsDay(value) {
+  const hit = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  return hit ? parseDateCell(`${hit[1]}-${hit[2]}-${hit[3]}`) : null;
+}
+
+function addDay(day, n) {
+  const [y, m, d] = day.split('-').map(Number);
+  const next = new Date(y, m - 1, d + n);
+  return parseDateCell(`${next.getFullYear()}-${next.getMonth() + 1}-${next.getDate()}`);
+}
+
+export function parseICS(text) {
+  const holidays = []; const errors = [];
+  let event = null;
+  unfold(text).forEach(({ line, text: row }) => {
+    const i = row.indexOf(':'); if (i < 0) return;
+    const [name, ...params] = row.slice(0, i).split(';');
+    const value = row.slice(i + 1);
+    const prop = name.toUpperCase();
+    if (prop === 'BEGIN' && value.toUpperCase() === 'VEVENT') event = { line };
+    else if (!event) return;
+    else if (prop === 'DTSTART') { event.start = icsDay(value); event.allDay = params.some((p) => /^VALUE=DATE$/i.test(p)) || /^\d{8}$/.test(value); }
+    else if (prop === 'DTEND') event.end = icsDay(value);
+    else if (prop === 'SUMMARY') event.name = icsText(value);
+    else if (prop === 'RRULE') event.repeats = true;
+    else if (prop === 'END' && value.toUpperCase() === 'VEVENT') {
+      const e = event; event = null;
+      if (!e.start) { errors.push({ line: e.line, message: `${e.name || 'Event'}: no start date` }); return; }
+      if (e.repeats) errors.push({ line: e.line, message: `${e.name || e.start} repeats; only ${e.start} was imported` });
+      // An all-day DTEND is the day after the last one
+      const last = e.end && e.allDay ? addDay(e.end, -1) : e.end || e.start;
+      for (let d = e.start, n = 0; d <= last && n < MAX_EVENT_DAYS; d = addDay(d, 1), n++) holidays.push({ date: d, name: e.name || 'Holiday' });
+    }
+  });
+  return { holidays, errors };
+}
+
+export function parseHolidayList(text) {
+  const holidays = []; const errors = [];
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const row = raw.trim();
+    if (!row || row.startsWith('#')) return;
+    const hit = /^"?([^\s,;\t"]+)"?[\s,;\t]*(.*)$/.exec(row);
+    const date = parseDateCell(hit[1]);
+    if (!date) {
+      if (i > 0 || /\d/.test(hit[1])) errors.push({ line: i + 1, message: `"${hit[1]}" is not a date` }); // a first-line header is skipped
+      return;
+    }
+    holidays.push({ date, name: hit[2].replace(/^"|"$/g, '').trim() || 'Holiday' });
+  });
+  return { holidays, errors };
+}
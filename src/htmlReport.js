@@ -0,0 +1,82 @@
+/*************************
+ * HTML Report            *
+ *************************/
+// Email-ready HTML for the daily report: inline styles only (mail clients drop <style> blocks) and
+// the chart as inline SVG. The plain-text report stays the fallback for clients that can't render it.
+import { barChartSvg, escapeMarkup, CHART_COLORS, PACE_COLORS } from './chart.js';
+
+const CELL = 'padding:4px 8px;border-bottom:1px solid #e5e7eb;text-align:right';
+const HEAD = `${CELL};font-weight:600;background:#f3f4f6`;
+const NAME = 'padding:4px 8px;border-bottom:1px solid #e5e7eb;text-align:left';
+
+function ratePct(rate) { return rate == null ? '–' : `${Math.round(rate * 1000) / 10}%`; }
+function signed(n) { return n > 0 ? `+${n}` : String(n); }
+function changeColor(n) { return n > 0 ? PACE_COLORS.ahead : n < 0 ? PACE_COLORS.behind : PACE_COLORS['on pace']; }
+function table(head, body) { return `<table cellspacing="0" style="border-collapse:collapse;font-size:13px;margin:8px 0 16px">${head}${body}</table>`; }
+
+function teamTable(summary) {
+  const head = `<tr><th style="${NAME};font-weight:600;background:#f3f4f6">KPI</th>${['Actual', 'Target', '%', 'Expected', 'Pace', 'Projected', 'Need/day'].map((h) => `<th style="${HEAD}">${h}</th>`).join('')}</tr>`;
+  const body = summary.kpis.map((k) => `<tr><td style="${NAME}">${escapeMarkup(k.label)}</td><td style="${CELL};color:${PACE_COLORS[k.status]};font-weight:600">${k.actual}</td><td style="${CELL}">${k.target}${k.unit ? ` ${escapeMarkup(k.unit)}` : ''}</td><td style="${CELL}">${k.percent}%</td><td style="${CELL}">${k.expected}</td><td style="${CELL};color:${PACE_COLORS[k.status]}">${k.status === 'on pace' ? 'on pace' : `${k.status} ${Math.abs(k.diff)}`}</td><td style="${CELL}">${k.projected}</td><td style="${CELL}">${k.requiredDaily}</td></tr>`).join('');
+  return table(head, body);
+}
+
+// breakdown: { label, groups: [{ name, teamSize, kpis: [{ label, actual, target, percent, status }] }] } – an office or team roll-up
+function breakdownTable(summary) {
+  const head = `<tr><th style="${NAME};font-weight:600;background:#f3f4f6">${escapeMarkup(summary.breakdown.label.replace(/s$/, ''))}</th><th style="${HEAD}">Size</th>${summary.kpis.map((k) => `<th style="${HEAD}">${escapeMarkup(k.label)}</th>`).join('')}</tr>`;
+  const body = summary.breakdown.groups.map((g) => `<tr><td style="${NAME}">${escapeMarkup(g.name)}</td><td style="${CELL}">${g.teamSize}</td>${g.kpis.map((k) => `<td style="${CELL};color:${PACE_COLORS[k.status]}">${k.actual} / ${k.target} <span style="color:#6b7280">(${k.percent}%)</span></td>`).join('')}</tr>`).join('');
+  return table(head, body);
+}
+
+// rows: [{ name, progress, pacePct, kpis: [{ key, actual, target, status }], funnel?: [{ key, rate }] }]
+function associateTable(summary, rows) {
+  const ratios = summary.funnel?.ratios || [];
+  const head = `<tr><th style="${NAME};font-weight:600;background:#f3f4f6">Associate</th>${summary.kpis.map((k) => `<th style="${HEAD}">${escapeMarkup(k.label)}</th>`).join('')}<th style="${HEAD}">Progress</th><th style="${HEAD}">Pace</th>${ratios.map((f) => `<th style="${HEAD}">${escapeMarkup(f.fromLabel)} → ${escapeMarkup(f.label)}</th>`).join('')}</tr>`;
+  const body = rows.map((r) => `<tr><td style="${NAME}">${escapeMarkup(r.name)}</td>${r.kpis.map((k) => `<td style="${CELL};color:${PACE_COLORS[k.status]}">${k.actual} / ${k.target}</td>`).join('')}<td style="${CELL}">${r.progress}%</td><td style="${CELL};color:${r.pacePct >= 100 ? PACE_COLORS.ahead : PACE_COLORS.behind};font-weight:600">${r.pacePct}%</td>${ratios.map((f) => `<td style="${CELL}">${ratePct(r.funnel?.find((x) => x.key === f.key)?.rate)}</td>`).join('')}</tr>`).join('');
+  return table(head, body);
+}
+
+// funnel: { months, ratios: [{ label, fromLabel, count, fromCount, rate }], planText }
+function funnelTable(funnel) {
+  const head = `<tr><th style="${NAME};font-weight:600;background:#f3f4f6">Stage</th>${['Converted', 'From', 'Rate'].map((h) => `<th style="${HEAD}">${h}</th>`).join('')}</tr>`;
+  const body = funnel.ratios.map((r) => `<tr><td style="${NAME}">${escapeMarkup(r.fromLabel)} → ${escapeMarkup(r.label)}</td><td style="${CELL}">${r.count}</td><td style="${CELL}">${r.fromCount}</td><td style="${CELL};font-weight:600">${ratePct(r.rate)}</td></tr>`).join('');
+  return `${table(head, body)}${funnel.planText ? `<p style="margin:0 0 12px">${escapeMarkup(funnel.planText)}</p>` : ''}`;
+}
+
+function movement(m) {
+  if (m == null) return `<span style="color:${CHART_COLORS.average}">new</span>`;
+  return m === 0 ? '–' : `<span style="color:${changeColor(m)}">${m > 0 ? '▲' : '▼'}${Math.abs(m)}</span>`;
+}
+
+// leaderboard: { headline, streakUnit, entries: [{ rank, name, score, movement, headline, streak, badges: [{ icon, label }] }] }
+function leaderboardTable(board) {
+  const head = `<tr>${['#', 'Associate'].map((h) => `<th style="${NAME};font-weight:600;background:#f3f4f6">${h}</th>`).join('')}${['Score', 'Move', escapeMarkup(board.headline), 'Streak'].map((h) => `<th style="${HEAD}">${h}</th>`).join('')}<th style="${NAME};font-weight:600;background:#f3f4f6">Badges</th></tr>`;
+  const body = board.entries.map((e) => `<tr><td style="${NAME}">${e.rank}</td><td style="${NAME}">${escapeMarkup(e.name)}</td><td style="${CELL};font-weight:600">${e.score}%</td><td style="${CELL}">${movement(e.movement)}</td><td style="${CELL}">${e.headline}</td><td style="${CELL}">${e.streak ? `${e.streak}${board.streakUnit === 'month' ? ' mo' : 'd'}` : '–'}</td><td style="${NAME}">${e.badges.map((b) => `${b.icon} ${escapeMarkup(b.label)}`).join('<br>')}</td></tr>`).join('');
+  return table(head, body);
+}
+
+// deltas: [{ label, kpis: [{ label, current, previous, change }] }]
+function deltaTable(deltas) {
+  if (!deltas.length) return '';
+  const head = `<tr><th style="${NAME};font-weight:600;background:#f3f4f6">KPI</th>${deltas.map((p) => `<th style="${HEAD}">${escapeMarkup(p.label)}</th>`).join('')}</tr>`;
+  const body = deltas[0].kpis.map((k, i) => `<tr><td style="${NAME}">${escapeMarkup(k.label)}</td>${deltas.map((p) => { const d = p.kpis[i]; return `<td style="${CELL}">${d.current} <span style="color:${changeColor(d.change)}">(${signed(d.change)})</span></td>`; }).join('')}</tr>`).join('');
+  return table(head, body);
+}
+
+export function buildHtmlReport({ subject, summary, rows = [], deltas = [] }) {
+  const chart = barChartSvg(summary.kpis.map((k) => ({ label: k.label, actual: k.actual, target: k.target })));
+  return [
+    '<!doctype html><html><body style="margin:0;padding:16px;font-family:-apple-system,Segoe UI,Roboto,Helvetica,Arial,sans-serif;color:#111827">',
+    `<h2 style="margin:0 0 4px">${escapeMarkup(subject)}</h2>`,
+    `<p style="margin:0 0 12px;color:#6b7280">Team size ${summary.teamSize} • working day ${summary.workingDay} of ${summary.workingDays}</p>`,
+    `<div>${chart}</div>`,
+    `<p style="margin:4px 0 0;font-size:12px;color:#6b7280"><span style="color:${CHART_COLORS.target}">■</span> target &nbsp; <span style="color:${CHART_COLORS.actual}">■</span> actual</p>`,
+    '<h3 style="margin:16px 0 0">Team</h3>',
+    teamTable(summary),
+    summary.breakdown?.groups.length ? `<h3 style="margin:16px 0 0">${escapeMarkup(summary.breakdown.label)}</h3>${breakdownTable(summary)}` : '',
+    deltas.length ? `<h3 style="margin:16px 0 0">Change</h3>${deltaTable(deltas)}` : '',
+    summary.funnel?.ratios.length ? `<h3 style="margin:16px 0 0">Funnel <span style="font-weight:400;color:#6b7280;font-size:13px">last ${summary.funnel.months.length} month(s)</span></h3>${funnelTable(summary.funnel)}` : '',
+    summary.leaderboard?.entries.length ? `<h3 style="margin:16px 0 0">Leaderboard</h3>${leaderboardTable(summary.leaderboard)}` : '',
+    rows.length ? `<h3 style="margin:16px 0 0">Associates</h3>${associateTable(summary, rows)}` : '',
+    '</body></html>',
+  ].join('');
+}
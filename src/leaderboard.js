@@ -0,0 +1,125 @@
+/*************************
+ * Leaderboard            *
+ *************************/
+// scoring: { weights: { [kpi]: number }, uncapped, streakUnit: 'day' | 'month' }. A KPI without a
+// leaderboard weight of its own uses its schema weight, so the default score is progressPct.
+import { DEFAULT_KPIS, activeKpis, associateTotals, effectiveTargets, kpiWeight } from './core.js';
+import { dayKey, shiftDay, DEFAULT_CALENDAR, workingDays } from './calendar.js';
+import { joinRoster } from './roster.js';
+
+export const DEFAULT_SCORING = { weights: {}, uncapped: false, streakUnit: 'day' };
+export const STREAK_UNITS = [{ key: 'day', label: 'Working days' }, { key: 'month', label: 'Months' }];
+
+function scoringWeight(k, scoring) { const w = scoring?.weights?.[k.key]; return w == null || w === '' ? kpiWeight(k) : Number(w) || 0; }
+
+// Weighted mean % of target. Capped at 100 per KPI unless `uncapped`, so over-performance can count.
+export function leaderboardScore(totals, targets, kpis, scoring = DEFAULT_SCORING) {
+  const list = activeKpis(kpis);
+  const weightSum = list.reduce((s, k) => s + scoringWeight(k, scoring), 0);
+  if (!weightSum) return 0;
+  const attained = (k) => { const t = Number(targets[k.key]) || 0; const p = t ? ((totals[k.key] || 0) / t) * 100 : 0; return scoring?.uncapped ? p : Math.min(100, p); };
+  return list.reduce((s, k) => s + attained(k) * scoringWeight(k, scoring), 0) / weightSum;
+}
+
+// Every KPI that counts towards the score has reached its target
+function onTarget(totals, targets, kpis, scoring) {
+  const list = activeKpis(kpis).filter((k) => scoringWeight(k, scoring) > 0);
+  return list.length > 0 && list.every((k) => (totals[k.key] || 0) >= (Number(targets[k.key]) || 0));
+}
+
+function totalsThrough(a, day, kpis) {
+  const activity = {}; Object.keys(a.activity || {}).forEach((d) => { if (d <= day) activity[d] = a.activity[d]; });
+  return associateTotals({ activity }, kpis);
+}
+
+export function monthEndDay(month) { const [y, m] = month.split('-').map(Number); return dayKey(new Date(y, m, 0)); }
+function prevMonthKey(month) { return shiftDay(`${month}-01`, -1).slice(0, 7); }
+
+// One month's associates (or those in `only`) ranked on activity logged up to `day`; score then the
+// headline KPI break ties
+function rankAssociates(state, roster, day, scoring, only = null, calendar = DEFAULT_CALENDAR) {
+  const month = day.slice(0, 7); const kpis = state?.kpis || DEFAULT_KPIS;
+  const headline = activeKpis(kpis).slice(-1)[0];
+  const items = joinRoster(state?.associates || [], roster).filter((a) => !only || only.includes(a.id)).map((a) => {
+    const totals = totalsThrough(a, day, kpis); const targets = effectiveTargets(a, state.targets || {}, kpis, month, calendar);
+    return { id: a.id, name: a.name, totals, targets, score: Math.round(leaderboardScore(totals, targets, kpis, scoring) * 10) / 10, headline: headline ? totals[headline.key] || 0 : 0 };
+  }).sort((a, b) => b.score - a.score || b.headline - a.headline || a.name.localeCompare(b.name));
+  items.forEach((x, i) => { const p = items[i - 1]; x.rank = p && p.score === x.score && p.headline === x.headline ? p.rank : i + 1; });
+  return items;
+}
+
+// Consecutive on-target periods ending at `day`, counted in working days (month-to-date at or ahead of
+// pace) or months (month target met). The period still in progress only adds to a streak, never breaks it.
+export function onTargetStreak(store, roster, id, day, scoring, calendar = DEFAULT_CALENDAR) {
+  const unit = scoring?.streakUnit || 'day';
+  let streak = 0;
+  for (let m = day.slice(0, 7); ; m = prevMonthKey(m)) {
+    const state = store?.[m];
+    const a = state && joinRoster(state.associates || [], roster).find((x) => x.id === id);
+    if (!a) return streak;
+    const kpis = state.kpis || DEFAULT_KPIS; const targets = effectiveTargets(a, state.targets || {}, kpis, m, calendar);
+    if (unit === 'month') {
+      if (onTarget(totalsThrough(a, day, kpis), targets, kpis, scoring)) streak++;
+      else if (m !== day.slice(0, 7)) return streak;
+      continue;
+    }
+    const days = workingDays(m, calendar, a);
+    for (let i = days.length - 1; i >= 0; i--) {
+      if (days[i] > day) continue;
+      const expected = {}; kpis.forEach((k) => (expected[k.key] = Math.round(((targets[k.key] || 0) * (i + 1)) / days.length)));
+      if (onTarget(totalsThrough(a, days[i], kpis), expected, kpis, scoring)) streak++;
+      else if (days[i] !== day) return streak;
+    }
+  }
+}
+
+export function streakLabel(n, unit) { return unit === 'month' ? `${n} mo` : `${n}d`; }
+
+// The associate(s) who logged the month's first headline KPI (listings), and anyone at 100% on every KPI
+// with a target; the biggest climber since last week is added by buildLeaderboard.
+function leaderboardBadges(ranked, kpis, day) {
+  const headline = activeKpis(kpis).slice(-1)[0];
+  const firstDay = (a) => Object.keys(a.activity || {}).sort().find((d) => d <= day && Number(a.activity[d][headline.key]) > 0);
+  const out = {}; ranked.forEach((r) => (out[r.id] = []));
+  if (headline) {
+    const firsts = ranked.map((r) => ({ id: r.id, d: firstDay(r.row) })).filter((x) => x.d);
+    const earliest = firsts.map((x) => x.d).sort()[0];
+    firsts.filter((x) => x.d === earliest).forEach((x) => out[x.id].push({ key: 'first', icon: '🥇', label: `First ${headline.label} of the month` }));
+  }
+  ranked.forEach((r) => {
+    const withTarget = activeKpis(kpis).filter((k) => r.targets[k.key] > 0);
+    if (withTarget.length && withTarget.every((k) => r.totals[k.key] >= r.targets[k.key])) out[r.id].push({ key: 'allTargets', icon: '💯', label: '100% on all KPIs' });
+  });
+  return out;
+}
+
+// Full ranked list for the month of `day`: [{ id, name, rank, score, headline, movement, streak, badges }].
+// movement is places gained since the same day last week (null if they weren't ranked then).
+export function buildLeaderboard(store, roster, day, scoring = DEFAULT_SCORING, only = null, calendar = DEFAULT_CALENDAR) {
+  const state = store?.[day.slice(0, 7)];
+  const kpis = state?.kpis || DEFAULT_KPIS;
+  const weekAgo = shiftDay(day, -7);
+  const before = store?.[weekAgo.slice(0, 7)] ? rankAssociates(store[weekAgo.slice(0, 7)], roster, weekAgo, scoring, only, calendar) : [];
+  const rows = joinRoster(state?.associates || [], roster);
+  const ranked = rankAssociates(state, roster, day, scoring, only, calendar).map((r) => ({ ...r, row: rows.find((a) => a.id === r.id) }));
+  const badges = leaderboardBadges(ranked, kpis, day);
+  const entries = ranked.map((r) => {
+    const prev = before.find((b) => b.id === r.id);
+    return { id: r.id, name: r.name, rank: r.rank, score: r.score, headline: r.headline, movement: prev ? prev.rank - r.rank : null, streak: onTargetStreak(store, roster, r.id, day, scoring, calendar), badges: badges[r.id] };
+  });
+  const climb = Math.max(0, ...entries.map((e) => e.movement || 0));
+  if (climb > 1) entries.filter((e) => e.movement === climb).forEach((e) => e.badges.push({ key: 'climber', icon: '🚀', label: `Up ${climb} places this week` }));
+  return { day, headline: activeKpis(kpis).slice(-1)[0]?.label || '', streakUnit: scoring?.streakUnit || 'day', uncapped: !!scoring?.uncapped, entries };
+}
+
+export function movementLabel(m) { return m == null ? 'new' : m > 0 ? `▲${m}` : m < 0 ? `▼${-m}` : '–'; }
+
+export function leaderboardLine(e, board) {
+  const extras = [e.streak ? `🔥 ${streakLabel(e.streak, board.streakUnit)}` : '', e.badges.map((b) => b.icon).join('')].filter(Boolean).join(' ');
+  return `${e.rank}. ${e.name} – ${e.score}% (${movementLabel(e.movement)}) • ${board.headline} ${e.headline}${extras ? ` • ${extras}` : ''}`;
+}
+
+export function shortMonthLabel(month) {
+  const [y, m] = month.split('-').map(Number);
+  return `${new Date(y, m - 1, 1).toLocaleString(undefined, { month: 'short' })} ${String(y).slice(2)}`;
+}
@@ -0,0 +1,76 @@
+/*************************
+ * Storage Migrations     *
+ *************************/
+// Every change to what is stored, in order; createStorage runs the ones a phone or a backup has not had yet.
+import { DEFAULT_KPIS, EMAIL_WEBHOOK_URL_KEY, ROSTER_KEY, DESTINATIONS_KEY, AUDIT_INDEX_KEY, LS_KEY, migrateAssociate } from './core.js';
+import { migrateRoster } from './roster.js';
+import { auditPageKey, auditPages } from './audit.js';
+import { newDestination } from './destinations.js';
+
+const ACTION_LOG_KEY = 'salesTargetsMobileV1_actionLog'; // recorded destructive actions before the audit trail (schema v5)
+const AUDIT_KEY = 'salesTargetsMobileV1_audit'; // the whole audit trail in one key before monthly pages (schema v6)
+
+function migrateStore(store) {
+  const next = {};
+  // Months recorded before the KPI editor keep the original five KPIs
+  Object.keys(store || {}).forEach((m) => { const s = store[m] || {}; next[m] = { ...s, kpis: s.kpis || DEFAULT_KPIS, associates: (s.associates || []).map((a) => migrateAssociate(a, m)) }; });
+  return next;
+}
+
+export const STORAGE_MIGRATIONS = [
+  {
+    version: 1, name: 'Split the month blob into per-month keys',
+    up: async (db) => {
+      const legacy = await db.getJSON(LS_KEY);
+      if (!legacy) return;
+      for (const m of Object.keys(legacy)) await db.setMonth(m, legacy[m]);
+      await db.remove(LS_KEY);
+    },
+  },
+  {
+    version: 2, name: 'Daily activity entries and per-month KPI schema',
+    up: async (db) => {
+      const months = migrateStore(await db.allMonths());
+      for (const m of Object.keys(months)) await db.setMonth(m, months[m]);
+    },
+  },
+  {
+    version: 3, name: 'Global roster',
+    up: async (db) => {
+      if (await db.get(ROSTER_KEY)) return;
+      const { store, roster } = migrateRoster(await db.allMonths());
+      for (const m of Object.keys(store)) await db.setMonth(m, store[m]);
+      await db.setJSON(ROSTER_KEY, roster);
+    },
+  },
+  {
+    version: 4, name: 'Report destinations',
+    up: async (db) => {
+      if (await db.get(DESTINATIONS_KEY)) return;
+      const url = ((await db.get(EMAIL_WEBHOOK_URL_KEY)) || '').replace(/"/g, '');
+      await db.setJSON(DESTINATIONS_KEY, url ? [newDestination({ name: 'Email', type: 'email', url })] : []);
+    },
+  },
+  {
+    version: 5, name: 'Recorded actions into the audit trail',
+    up: async (db) => {
+      const actions = await db.getJSON(ACTION_LOG_KEY);
+      if (!actions) return;
+      if (!(await db.get(AUDIT_KEY))) await db.setJSON(AUDIT_KEY, actions.map((e) => ({ actor: 'Manager', changes: [], ...e })));
+      await db.remove(ACTION_LOG_KEY);
+    },
+  },
+  {
+    version: 6, name: 'Audit trail in monthly pages',
+    up: async (db) => {
+      const log = await db.getJSON(AUDIT_KEY);
+      if (!log) return;
+      const pages = auditPages(log);
+      for (const m of Object.keys(pages)) await db.setJSON(auditPageKey(m), pages[m]);
+      await db.setJSON(AUDIT_INDEX_KEY, Object.keys(pages).sort());
+      await db.remove(AUDIT_KEY);
+    },
+  },
+];
+
+export const SCHEMA_VERSION = STORAGE_MIGRATIONS.reduce((v, m) => Math.max(v, m.version), 0);
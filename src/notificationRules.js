@@ -0,0 +1,82 @@
+/*********************
+ * Notification Rules *
+ *********************/
+// quiet: { enabled, start, end } in whole hours, as typed; start > end spans midnight (21 → 7)
+import { activeKpis, pace, paceLabel, genId, associateTotals, teamTargetsFor } from './core.js';
+import { dayKey, shiftDay, DEFAULT_CALENDAR, isWorkingDay, onLeave, workingDayProgress } from './calendar.js';
+import { joinRoster } from './roster.js';
+import { kpiName } from './audit.js';
+import { teamActivityBetween } from './report.js';
+
+export function inQuietHours(quiet, now = new Date()) {
+  if (!quiet?.enabled || quiet.start === '' || quiet.end === '') return false;
+  const start = Number(quiet.start); const end = Number(quiet.end); const h = now.getHours();
+  if (start === end) return false;
+  return start < end ? h >= start && h < end : h >= start || h < end;
+}
+
+// What a phone can be reminded of. On a phone that belongs to someone the rules are about that person,
+// otherwise about the whole team. Each rule is checked from `hour` onwards and fires once that day.
+//   logReminder   { hour }                    nothing logged today (working days)
+//   behindPace    { hour, kpi, threshold }    more than `threshold`% behind the pace expected by today
+//   weeklySummary { hour, weekday }           the week so far and where the month stands
+export const NOTIFICATION_RULE_TYPES = [
+  { key: 'logReminder', label: 'Logging reminder' },
+  { key: 'behindPace', label: 'Behind-pace alert' },
+  { key: 'weeklySummary', label: 'Weekly summary' },
+];
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+export const DEFAULT_NOTIFICATIONS = {
+  quiet: { enabled: true, start: 21, end: 7 },
+  rules: [
+    { id: 'log', type: 'logReminder', enabled: false, hour: 17 },
+    { id: 'pace-connects', type: 'behindPace', enabled: false, hour: 12, kpi: 'connects', threshold: 20 },
+    { id: 'weekly', type: 'weeklySummary', enabled: false, hour: 16, weekday: 5 },
+  ],
+};
+
+export function newPaceRule(kpis) { return { id: genId(), type: 'behindPace', enabled: true, hour: 12, kpi: activeKpis(kpis)[0]?.key || '', threshold: 20 }; }
+
+function hourLabel(h) { return `${String(h).padStart(2, '0')}:00`; }
+
+export function ruleLabel(r, kpis) {
+  if (r.type === 'logReminder') return `Remind me at ${hourLabel(r.hour)} if nothing is logged today`;
+  if (r.type === 'behindPace') return `Alert from ${hourLabel(r.hour)} when more than ${r.threshold}% behind pace on ${kpiName(r.kpi, kpis)}`;
+  return `Summary every ${WEEKDAYS[r.weekday]} at ${hourLabel(r.hour)}`;
+}
+
+// -> [{ ruleId, period, title, body }] for the rules whose condition holds at `now`. Reminders and
+// pace alerts keep to working days, and leave people on leave out.
+export function dueNotifications(rules, { store, roster, selfId = null, now = new Date(), calendar = DEFAULT_CALENDAR }) {
+  const day = dayKey(now); const month = day.slice(0, 7);
+  const state = store[month]; if (!state) return [];
+  const everyone = joinRoster(state.associates, roster);
+  const self = selfId ? everyone.find((a) => a.id === selfId) : null;
+  const people = selfId ? (self ? [self] : []) : everyone;
+  if (!people.length) return [];
+  const kpis = activeKpis(state.kpis);
+  const working = isWorkingDay(day, calendar) && !(self && onLeave(self, day));
+  const progress = workingDayProgress(month, now, calendar, self);
+  const targets = teamTargetsFor(people, state.targets, kpis, month, calendar);
+  const totals = {}; kpis.forEach((k) => (totals[k.key] = people.reduce((sum, a) => sum + associateTotals(a, kpis)[k.key], 0)));
+  return rules.flatMap((r) => {
+    if (r.hour === '' || !(now.getHours() >= Number(r.hour))) return [];
+    if (r.type === 'logReminder' && working) {
+      const missing = people.filter((a) => !onLeave(a, day) && !Object.values(a.activity?.[day] || {}).some((v) => Number(v) > 0));
+      if (!missing.length) return [];
+      return [{ ruleId: r.id, period: day, title: "Log today's activity", body: self ? 'Nothing is logged for today yet.' : `${missing.length} of ${people.length} haven't logged today: ${missing.map((a) => a.name).join(', ')}` }];
+    }
+    if (r.type === 'behindPace' && working) {
+      const k = kpis.find((x) => x.key === r.kpi); if (!k) return [];
+      const p = pace(totals[k.key], targets[k.key], progress);
+      if (!p.expected || p.pacePct >= 100 - Number(r.threshold)) return [];
+      return [{ ruleId: r.id, period: day, title: `Behind pace on ${k.label}`, body: `${self ? '' : 'Team: '}${totals[k.key]} of ${p.expected} expected by today (${p.pacePct}% of pace). Need ${p.requiredDaily}/day to reach ${targets[k.key]}.` }];
+    }
+    if (r.type === 'weeklySummary' && now.getDay() === Number(r.weekday)) {
+      const week = teamActivityBetween(store, shiftDay(day, -((now.getDay() + 6) % 7)), day, kpis, people.map((a) => a.id));
+      const lines = kpis.filter((k) => targets[k.key] || week[k.key]).map((k) => `${k.label}: ${week[k.key]} this week • ${totals[k.key]}/${targets[k.key]} this month, ${paceLabel(pace(totals[k.key], targets[k.key], progress))}`);
+      return [{ ruleId: r.id, period: day, title: self ? 'Your week so far' : "The team's week so far", body: lines.join('\n') }];
+    }
+    return [];
+  });
+}
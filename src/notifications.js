@@ -0,0 +1,66 @@
+/*************************
+ * Local Notifications    *
+ *************************/
+// On-device reminders and alerts. The app decides which rules are due and what they say; this module
+// keeps each rule to one notification per period (a day, say), holds everything back during quiet
+// hours and shows what's left. Checks run with the background task and when the app comes to the
+// front, so a notification can arrive up to one background interval after it's due.
+import * as Notifications from 'expo-notifications';
+import { Platform } from 'react-native';
+import { inQuietHours } from './notificationRules.js';
+
+const CHANNEL_ID = 'reminders';
+const MAX_LOG = 20;
+
+// Show notifications that arrive while the app is open, too
+export function showWhileOpen() {
+  Notifications.setNotificationHandler({ handleNotification: async () => ({ shouldShowAlert: true, shouldPlaySound: true, shouldSetBadge: false }) });
+}
+
+// -> 'granted' | 'denied' | 'undetermined'; asks only if the user hasn't answered yet
+export async function requestNotificationPermission() {
+  try {
+    const current = await Notifications.getPermissionsAsync();
+    if (current.status !== 'undetermined') return current.status;
+    return (await Notifications.requestPermissionsAsync()).status;
+  } catch { return 'denied'; }
+}
+
+export async function presentNotification({ title, body }) {
+  if (Platform.OS === 'android') await Notifications.setNotificationChannelAsync(CHANNEL_ID, { name: 'Reminders', importance: Notifications.AndroidImportance.DEFAULT });
+  await Notifications.scheduleNotificationAsync({ content: { title, body }, trigger: null });
+}
+
+// settings() -> { quiet, rules: [{ id, enabled, … }] }; due(rules, now) -> [{ ruleId, period, title, body }]
+// for the enabled rules whose condition holds right now.
+export function createNotifier({ storage, key, settings, due, present = presentNotification }) {
+  let running = null;
+
+  async function check(now) {
+    const { quiet, rules = [] } = await settings();
+    const enabled = rules.filter((r) => r.enabled);
+    if (!enabled.length || inQuietHours(quiet, now)) return 0;
+    const state = { fired: {}, log: [], ...(await storage.getJSON(key, {})) };
+    let shown = 0;
+    for (const n of await due(enabled, now)) {
+      if (state.fired[n.ruleId] === n.period) continue;
+      try { await present(n); } catch (e) { console.log('Notification error', e); continue; }
+      state.fired[n.ruleId] = n.period; shown++;
+      state.log = [{ at: now.toISOString(), ruleId: n.ruleId, title: n.title, body: n.body }, ...state.log].slice(0, MAX_LOG);
+    }
+    // Rules that were removed don't need remembering
+    Object.keys(state.fired).forEach((id) => { if (!rules.some((r) => r.id === id)) delete state.fired[id]; });
+    storage.setJSON(key, state);
+    await storage.flush();
+    return shown;
+  }
+
+  return {
+    // -> how many notifications were shown. Overlapping calls share one check.
+    check(now = new Date()) {
+      if (!running) running = check(now).finally(() => { running = null; });
+      return running;
+    },
+    recent: async () => (await storage.getJSON(key, {})).log || [],
+  };
+}
@@ -0,0 +1,111 @@
+/*************************
+ * Report Outbox          *
+ *************************/
+// One report per day per scope. The main report has scope '' (its records are keyed by day alone, as
+// before scopes existed); team and office reports run alongside it with their own send times. A report
+// is queued once its send time has passed, sent at most once, and retried with backoff until it
+// succeeds or runs out of attempts – a newer day's report doesn't cancel an older one that hasn't gone
+// out, and older days are sent first. Days missed while the phone was off are queued on the next run.
+// Every attempt, test sends included, is appended to a capped delivery log. State lives under a single
+// storage key and is flushed after each attempt so a background run that gets killed doesn't lose it.
+
+const MAX_LOG = 200;
+const MAX_ATTEMPTS = 8;
+const STALE_SEND_MS = 2 * 60 * 1000; // a 'sending' record older than this was interrupted
+
+// 5 min, 10, 20, 40 … capped at 6 hours
+export function retryDelayMs(attempts) {
+  return Math.min(6 * 60, 5 * 2 ** Math.max(0, attempts - 1)) * 60 * 1000;
+}
+
+function recordKey(scope, day) { return scope ? `${scope}/${day}` : day; }
+
+// Latest queued day per scope
+function latestDays(reports) {
+  const out = {};
+  Object.values(reports).forEach((r) => { const sc = r.scope || ''; if (!out[sc] || r.day > out[sc]) out[sc] = r.day; });
+  return out;
+}
+
+// build(day, { test, scope }) -> payload; dueReports(now, lastQueued) -> [{ scope, day }], where lastQueued
+// is { [scope]: latest day already queued } so days missed while the phone was off can be queued too;
+// deliver(payload, { skip }) -> { ok, status, error, delivered, results }. `delivered` ids are remembered
+// per report and passed back as `skip`, so a retry only goes to destinations that haven't had it yet.
+export function createOutbox({ storage, key, build, deliver, dueReports }) {
+  let running = null;
+  let turn = Promise.resolve(); // runs and test sends take turns, so neither saves over the other's log
+
+  function exclusive(fn) {
+    const next = turn.then(fn);
+    turn = next.catch(() => {});
+    return next;
+  }
+
+  async function load() { return storage.getJSON(key, { reports: {}, log: [] }); }
+  async function save(state) { storage.setJSON(key, state); await storage.flush(); }
+
+  function appendLog(state, entry) {
+    state.log = [entry, ...(state.log || [])].slice(0, MAX_LOG);
+  }
+
+  async function attempt(state, report, now) {
+    report.status = 'sending'; report.lockedAt = now.toISOString();
+    await save(state);
+    let result;
+    try { result = await deliver(await build(report.day, { test: false, scope: report.scope || '' }), { skip: report.delivered || [] }); } catch (e) { result = { ok: false, status: null, error: String(e?.message || e) }; }
+    report.attempts = (report.attempts || 0) + 1;
+    report.delivered = [...new Set([...(report.delivered || []), ...(result.delivered || [])])];
+    report.lockedAt = null;
+    report.lastError = result.ok ? null : result.error || `HTTP ${result.status}`;
+    if (result.ok) { report.status = 'sent'; report.sentAt = new Date().toISOString(); report.nextAttemptAt = null; }
+    else if (report.attempts >= MAX_ATTEMPTS) { report.status = 'failed'; report.nextAttemptAt = null; }
+    else { report.status = 'retry'; report.nextAttemptAt = new Date(now.getTime() + retryDelayMs(report.attempts)).toISOString(); }
+    appendLog(state, { at: new Date().toISOString(), day: report.day, scope: report.scope || '', kind: 'daily', attempt: report.attempts, ok: !!result.ok, status: result.status ?? null, error: report.lastError, results: result.results || [] });
+    await save(state);
+    return result.ok;
+  }
+
+  async function run(now) {
+    const state = await load();
+    state.reports = state.reports || {};
+    for (const { scope, day } of await dueReports(now, latestDays(state.reports))) {
+      const k = recordKey(scope, day);
+      if (day && !state.reports[k]) state.reports[k] = { day, scope, status: 'pending', attempts: 0, queuedAt: now.toISOString() };
+    }
+
+    let sent = 0; let failed = 0;
+    const queue = Object.values(state.reports).sort((a, b) => (a.day < b.day ? -1 : a.day > b.day ? 1 : 0));
+    for (const report of queue) {
+      // 'superseded' is from older versions, which dropped a day's report once the next day's was queued
+      if (report.status === 'sent' || report.status === 'failed' || report.status === 'superseded') continue;
+      if (report.status === 'sending' && now - new Date(report.lockedAt) < STALE_SEND_MS) continue;
+      if (report.nextAttemptAt && new Date(report.nextAttemptAt) > now) continue;
+      if (await attempt(state, report, now)) sent++; else failed++;
+    }
+    // Keep the last 60 days of report records per scope
+    Object.keys(latestDays(state.reports)).forEach((sc) => {
+      Object.keys(state.reports).filter((k) => (state.reports[k].scope || '') === sc).sort((a, b) => (state.reports[a].day < state.reports[b].day ? -1 : 1)).slice(0, -60).forEach((k) => delete state.reports[k]);
+    });
+    await save(state);
+    return { sent, failed };
+  }
+
+  return {
+    // Safe to call from the background task and the app; overlapping calls share one run
+    process(now = new Date()) {
+      if (!running) running = exclusive(() => run(now)).finally(() => { running = null; });
+      return running;
+    },
+
+    sendTest: (day, scope = '') => exclusive(async () => {
+      let result;
+      try { result = await deliver(await build(day, { test: true, scope }), { skip: [] }); } catch (e) { result = { ok: false, status: null, error: String(e?.message || e) }; }
+      const state = await load();
+      appendLog(state, { at: new Date().toISOString(), day, scope, kind: 'test', attempt: 1, ok: !!result.ok, status: result.status ?? null, error: result.ok ? null : result.error || `HTTP ${result.status}`, results: result.results || [] });
+      await save(state);
+      return result;
+    }),
+
+    getState: load,
+  };
+}
@@ -0,0 +1,42 @@
+/*************************
+ * Manager PIN            *
+ *************************/
+// Only a salted PBKDF2 hash of the PIN is kept, with the iteration count it was made with, and too many
+// wrong guesses in a row shut PIN entry for a minute. Pure, so `npm test` covers it.
+import { pbkdf2Sha256, toBase64, fromBase64 } from './backup.js';
+import { toHex, utf8Bytes } from './signing.js';
+
+// A 4-8 digit PIN has few enough values that the hash only slows a copied store down, so this is as
+// high as a check can go without a noticeable pause: about 0.7s with Node's JIT off, as for backups.
+const PIN_ITERATIONS = 10000;
+const LEGACY_PIN_ITERATIONS = 2000; // PINs set before the count was stored with them
+export const MAX_PIN_ATTEMPTS = 5;
+export const PIN_LOCKOUT_MS = 60 * 1000;
+
+export function validPin(pin) { return /^\d{4,8}$/.test(String(pin)); }
+
+function hashPin(pin, salt, iterations) { return toHex(pbkdf2Sha256(utf8Bytes(String(pin)), fromBase64(salt), iterations, 32)); }
+
+// -> { pinSalt, pinHash, pinIterations }; randomBytes(n) as for backups
+export function createPinLock(pin, randomBytes) {
+  const pinSalt = toBase64([...randomBytes(16)]);
+  return { pinSalt, pinHash: hashPin(pin, pinSalt, PIN_ITERATIONS), pinIterations: PIN_ITERATIONS };
+}
+
+export function checkPin(lock, pin) {
+  if (!lock?.pinHash || !validPin(pin)) return false;
+  const a = hashPin(pin, lock.pinSalt, lock.pinIterations || LEGACY_PIN_ITERATIONS); const b = lock.pinHash;
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+// A lock made with fewer iterations than today's is rehashed the next time its PIN is entered
+export function pinLockOutdated(lock) { return !!lock?.pinHash && (lock.pinIterations || LEGACY_PIN_ITERATIONS) < PIN_ITERATIONS; }
+
+// throttle: { failures, lockedUntil } -> the same after one attempt
+export function pinAttempt(throttle, ok, now = Date.now()) {
+  if (ok) return { failures: 0, lockedUntil: 0 };
+  const failures = (throttle?.failures || 0) + 1;
+  return failures >= MAX_PIN_ATTEMPTS ? { failures: 0, lockedUntil: now + PIN_LOCKOUT_MS } : { failures, lockedUntil: 0 };
+}
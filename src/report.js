@@ -0,0 +1,166 @@
+/*************************
+ * Daily Report           *
+ *************************/
+// Every format of the daily report – text, CSV and HTML – built from one whole state, on the phone or in
+// the report CLI.
+import { DEFAULT_KPIS, DEFAULT_EMAIL, DEFAULT_SEND_HOUR, DEFAULT_FUNNEL_MONTHS, activeKpis, defaultTargets, withUnit, pct, pace, paceLabel, toCSV, associateTotals, effectiveTargets, teamTargetsFor, progressPct, migrateAssociate } from './core.js';
+import { monthKey, dayKey, shiftDay, DEFAULT_CALENDAR, isWorkingDay, workingDayProgress } from './calendar.js';
+import { joinRoster, reconcileRoster, newMonthState } from './roster.js';
+import { EMPTY_ORG, scopeAssociates, parseReportScope, scopeBreakdown } from './teams.js';
+import { SCHEMA_VERSION } from './migrations.js';
+import { backupStateFromEntries } from './backupState.js';
+import { funnelTotals, funnelRatios, rateLabel, reportFunnel } from './funnel.js';
+import { DEFAULT_SCORING, buildLeaderboard, leaderboardLine } from './leaderboard.js';
+import { buildHtmlReport } from './htmlReport.js';
+import { openBackup } from './backup.js';
+
+// Team totals vs target with pace, per active KPI – the data behind every report format
+export function snapshotSummary({ month, associates, targets, kpis = DEFAULT_KPIS, asOf = new Date(), calendar = DEFAULT_CALENDAR }) {
+  const progress = workingDayProgress(month, asOf, calendar);
+  const teamTargets = teamTargetsFor(associates, targets, kpis, month, calendar);
+  const rows = activeKpis(kpis).map((k) => {
+    const actual = associates.reduce((s, a) => s + associateTotals(a, kpis)[k.key], 0);
+    const target = teamTargets[k.key];
+    return { key: k.key, label: k.label, unit: k.unit || '', actual, target, percent: pct(actual, target), ...pace(actual, target, progress) };
+  });
+  return { month, teamSize: associates.length, workingDay: progress.elapsed, workingDays: progress.total, kpis: rows };
+}
+
+export function buildSnapshotText(opts) {
+  const s = snapshotSummary(opts);
+  const totals = s.kpis.map(k => `${k.label}: ${k.actual} / ${withUnit(k.target, k)} (${k.percent}%)\n  Expected ${k.expected} – ${paceLabel(k)} • Projected ${k.projected} • Need ${k.requiredDaily}/day`).join('\n');
+  const f = opts.funnel;
+  const funnel = f?.ratios.length ? `\n\nFunnel (last ${f.months.length} month${f.months.length === 1 ? '' : 's'})\n${f.ratios.map((r) => `${r.fromLabel} → ${r.label}: ${rateLabel(r)}`).join('\n')}${f.planText ? `\n${f.planText}` : ''}` : '';
+  const board = opts.leaderboard;
+  const ranks = board?.entries.length ? `\n\nLeaderboard\n${board.entries.map((e) => leaderboardLine(e, board)).join('\n')}` : '';
+  const b = opts.breakdown;
+  const rollup = b?.groups.length ? `\n\n${b.label}\n${b.groups.map((g) => `${g.name} (${g.teamSize}): ${g.kpis.map((k) => `${k.label} ${k.actual}/${k.target} (${k.percent}%)`).join(' • ')}`).join('\n')}` : '';
+  return `Sales Targets – ${opts.scopeName ? `${opts.scopeName} – ` : ''}${s.month}\nTeam Size: ${s.teamSize}\nWorking day ${s.workingDay} of ${s.workingDays}\n\n${totals}${rollup}${funnel}${ranks}`;
+}
+
+function csvHeader(kpi) { return kpi.label.replace(/\s+/g, ''); } // "Geo Data" -> "GeoData"
+
+export function buildCSVFromAssociates(associates, kpis = DEFAULT_KPIS, targets = defaultTargets(kpis), month = monthKey(), calendar = DEFAULT_CALENDAR){
+  const rows = associates.map((a) => {
+    const m = associateTotals(a, kpis); const t = effectiveTargets(a, targets, kpis, month, calendar);
+    const row = { Name: a.name };
+    activeKpis(kpis).forEach((k) => (row[csvHeader(k)] = m[k.key]));
+    activeKpis(kpis).forEach((k) => (row[`${csvHeader(k)}Target`] = t[k.key]));
+    row.Progress = `${Math.round(progressPct(m, t, kpis))}%`;
+    return row;
+  });
+  return toCSV(rows);
+}
+
+// Per-associate totals vs effective target with pace – the associate table in the HTML report. Each
+// person is paced over their own working days, so leave doesn't put them behind.
+export function associateSummaries({ month, associates, targets, kpis = DEFAULT_KPIS, asOf = new Date(), calendar = DEFAULT_CALENDAR }) {
+  return associates.map((a) => {
+    const progress = workingDayProgress(month, asOf, calendar, a);
+    const totals = associateTotals(a, kpis); const t = effectiveTargets(a, targets, kpis, month, calendar);
+    const rows = activeKpis(kpis).map((k) => ({ key: k.key, actual: totals[k.key], target: t[k.key], percent: pct(totals[k.key], t[k.key]), ...pace(totals[k.key], t[k.key], progress) }));
+    const pacePct = Math.round(rows.reduce((s, r) => s + r.pacePct, 0) / Math.max(1, rows.length));
+    return { id: a.id, name: a.name, progress: Math.round(progressPct(totals, t, kpis)), pacePct, kpis: rows };
+  });
+}
+
+// Team activity per KPI logged on days from..to (inclusive), across every stored month.
+// `only` limits it to those associate ids (a team or office scope).
+export function teamActivityBetween(store, from, to, kpis, only = null) {
+  const totals = {}; kpis.forEach((k) => (totals[k.key] = 0));
+  Object.keys(store || {}).filter((m) => m >= from.slice(0, 7) && m <= to.slice(0, 7)).forEach((m) => {
+    (store[m].associates || []).filter((a) => !only || only.includes(a.id)).forEach((a) => Object.keys(a.activity || {}).forEach((d) => {
+      if (d < from || d > to) return;
+      Object.keys(a.activity[d]).forEach((k) => { if (k in totals) totals[k] += Number(a.activity[d][k]) || 0; });
+    }));
+  });
+  return totals;
+}
+
+// The report day vs the day before, the last 7 days vs the 7 before, and month-to-date vs last month
+// up to the same date (clamped to last month's length)
+export function reportDeltas(store, day, kpis = DEFAULT_KPIS, only = null) {
+  const monthStart = `${day.slice(0, 7)}-01`;
+  const lastMonthEnd = shiftDay(monthStart, -1);
+  const lastMonthSameDay = `${lastMonthEnd.slice(0, 8)}${String(Math.min(Number(day.slice(8)), Number(lastMonthEnd.slice(8)))).padStart(2, '0')}`;
+  const periods = [
+    { key: 'day', label: 'Day vs yesterday', current: [day, day], previous: [shiftDay(day, -1), shiftDay(day, -1)] },
+    { key: 'week', label: '7 days vs prior 7', current: [shiftDay(day, -6), day], previous: [shiftDay(day, -13), shiftDay(day, -7)] },
+    { key: 'month', label: 'Month to date vs last month', current: [monthStart, day], previous: [`${lastMonthEnd.slice(0, 8)}01`, lastMonthSameDay] },
+  ];
+  return periods.map((p) => {
+    const cur = teamActivityBetween(store, ...p.current, kpis, only); const prev = teamActivityBetween(store, ...p.previous, kpis, only);
+    return { key: p.key, label: p.label, kpis: activeKpis(kpis).map((k) => ({ key: k.key, label: k.label, current: cur[k.key], previous: prev[k.key], change: cur[k.key] - prev[k.key] })) };
+  });
+}
+
+const MAX_CATCH_UP_DAYS = 31;
+
+// Latest day whose report is due: today once the send hour has passed, otherwise yesterday. `now` is
+// the wall clock in the calendar's zone (wallClock). When the calendar skips non-working days they have
+// no report, so it's the latest working day up to then – already sent, on a weekend or holiday.
+export function reportDueDay(now, sendHour, calendar = null) {
+  let day = dayKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() - (now.getHours() < sendHour ? 1 : 0)));
+  if (!calendar?.skipNonWorking) return day;
+  for (let i = 0; i < 366 && !isWorkingDay(day, calendar); i++) day = shiftDay(day, -1);
+  return day;
+}
+
+// The report days after `lastDay` up to `dueDay`: the days a phone that was off (or whose background task
+// never ran) missed, then dueDay. Only the last MAX_CATCH_UP_DAYS of a long gap; just dueDay without a lastDay.
+export function reportDaysSince(lastDay, dueDay, calendar = null) {
+  if (!lastDay || lastDay >= dueDay) return [dueDay];
+  const days = [];
+  for (let day = dueDay; day > lastDay && days.length < MAX_CATCH_UP_DAYS; day = shiftDay(day, -1)) {
+    if (!calendar?.skipNonWorking || isWorkingDay(day, calendar)) days.unshift(day);
+  }
+  return days;
+}
+
+// The report for one day from a whole state as readBackupState returns it. `scope` is '' for the main
+// report or a team/office key; roll-ups only cover that team or office.
+export function buildReport(state, day, { test = false, scope = '' } = {}) {
+  const { months: store, roster, kpis: schema, org, calendar = DEFAULT_CALENDAR } = state;
+  const month = day.slice(0, 7);
+  const target = parseReportScope(scope);
+  const unit = scope ? (target.type === 'office' ? org.offices : org.teams).find((x) => x.id === target.id) : null;
+  if (scope && !unit) throw new Error(`No ${target.type} for report ${scope}`);
+  const saved = store[month] || newMonthState(store, month, roster, schema);
+  const associates = scopeAssociates(joinRoster(saved.associates, roster), target, org);
+  const only = scope ? associates.map((a) => a.id) : null;
+  const [y, m, d] = day.split('-').map(Number);
+  const asOf = new Date(y, m - 1, d, 23, 59);
+  const to = unit?.emailTo || state.emailTo || DEFAULT_EMAIL;
+  const subject = `${test ? '[Test] ' : ''}Daily KPI – ${unit ? `${unit.name} – ` : ''}${month}`;
+  const history = { ...store, [month]: saved };
+  const funnel = reportFunnel(history, month, state.funnelMonths, saved.kpis, teamTargetsFor(associates, saved.targets, saved.kpis, month, calendar), only);
+  const leaderboard = buildLeaderboard(history, roster, day, state.scoring, only, calendar);
+  const split = scopeBreakdown(associates, target, org);
+  const breakdown = split && { label: split.label, groups: split.groups.map((g) => ({ name: g.name, ...snapshotSummary({ month, associates: g.associates, targets: saved.targets, kpis: saved.kpis, asOf, calendar }) })) };
+  const summary = { ...snapshotSummary({ month, associates, targets: saved.targets, kpis: saved.kpis, asOf, calendar }), scope, scopeName: unit?.name || null, funnel, leaderboard, breakdown };
+  const text = buildSnapshotText({ month, associates, targets: saved.targets, kpis: saved.kpis, asOf, calendar, funnel, leaderboard, breakdown, scopeName: unit?.name });
+  const csv = buildCSVFromAssociates(associates, saved.kpis, saved.targets, month, calendar);
+  const rows = associateSummaries({ month, associates, targets: saved.targets, kpis: saved.kpis, asOf, calendar })
+    .map((r) => ({ ...r, funnel: funnelRatios(funnelTotals(history, month, state.funnelMonths, saved.kpis, [r.id]).totals, saved.kpis) }));
+  const html = buildHtmlReport({ subject, summary, rows, deltas: reportDeltas(store, day, saved.kpis, only) });
+  return { to, subject, text, html, csv, month, day, scope, reportId: test ? `test-${Date.now()}` : scope ? `${day}-${scope}` : day, summary };
+}
+
+// A month as Export JSON writes it, filled out to a whole state with the default settings
+export function stateFromMonthExport(obj) {
+  if (!obj?.month || !Array.isArray(obj.associates)) throw new Error('Not a month export: expected { month, associates }');
+  const kpis = obj.kpis || DEFAULT_KPIS;
+  const r = reconcileRoster([], obj.associates.map((a) => migrateAssociate(a, obj.month)), obj.month);
+  return {
+    months: { [obj.month]: { kpis, targets: obj.targets || defaultTargets(kpis), associates: r.rows } },
+    roster: r.roster, kpis, destinations: [], emailTo: DEFAULT_EMAIL, sendHour: String(DEFAULT_SEND_HOUR),
+    funnelMonths: DEFAULT_FUNNEL_MONTHS, scoring: DEFAULT_SCORING, org: EMPTY_ORG, audit: [], calendar: DEFAULT_CALENDAR,
+  };
+}
+
+// A backup file (opened with `passphrase` if it's encrypted) or a month export -> a whole state
+export async function stateFromFile(text, { passphrase = '', primitives } = {}) {
+  const obj = JSON.parse(text);
+  if (obj?.month) return stateFromMonthExport(obj);
+  return backupStateFromEntries(await openBackup(text, { passphrase, maxSchemaVersion: SCHEMA_VERSION, primitives }));
+}
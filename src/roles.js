@@ -0,0 +1,11 @@
+/*************************
+ * Roles                  *
+ *************************/
+// access: { pinHash, pinSalt, pinIterations, biometrics, selfId, managerName, failures, lockedUntil }. Without a PIN the
+// phone is always in manager mode. With one it opens in associate mode: one person (selfId, or whoever
+// picks their name on a shared phone) sees and logs only their own activity until a manager unlocks.
+
+export const EMPTY_ACCESS = { pinHash: '', pinSalt: '', pinIterations: 0, biometrics: false, selfId: null, managerName: '', failures: 0, lockedUntil: 0 };
+export const MANAGER_RELOCK_MS = 2 * 60 * 1000; // back to associate mode after this long in the background
+
+export function pinLockoutSeconds(access, now = Date.now()) { return Math.max(0, Math.ceil(((access.lockedUntil || 0) - now) / 1000)); }
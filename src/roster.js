@@ -0,0 +1,102 @@
+/*************************
+ * Roster                 *
+ *************************/
+// Roster: [{ id, name, startDate, status, email, phone, departedOn, targetPlan }] – one global list.
+// Each month only holds rows of { id, name, activity }; `name` is a snapshot so a month reads on its own.
+import { activeKpis, defaultTargets, genId, setDayActivity, associateTotals } from './core.js';
+import { parseDateCell, parseNumberCell } from './csvImport.js';
+
+export function joinRoster(rows, roster) {
+  const byId = new Map(roster.map((p) => [p.id, p]));
+  return rows.map((r) => { const p = byId.get(r.id); return p ? { ...r, ...p, activity: r.activity } : r; });
+}
+
+export function sameName(a, b) { return (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase(); }
+
+// Match month rows to roster people by id, then by name; anyone unknown joins the roster.
+export function reconcileRoster(roster, rows, month) {
+  const next = [...roster];
+  const out = rows.map((r) => {
+    const { targetPlan, ...row } = r;
+    let i = next.findIndex((p) => p.id === r.id);
+    if (i < 0) i = next.findIndex((p) => sameName(p.name, r.name));
+    if (i < 0) { next.push({ id: r.id || genId(), name: r.name, startDate: `${month}-01`, status: 'active', email: '', phone: '' }); i = next.length - 1; }
+    const p = next[i];
+    next[i] = { ...p, startDate: p.startDate && p.startDate <= `${month}-01` ? p.startDate : `${month}-01`, targetPlan: p.targetPlan || targetPlan };
+    return { ...row, id: p.id, name: p.name };
+  });
+  return { roster: next, rows: out };
+}
+
+// Before the roster, people were re-added by hand each month. Build it from every stored month;
+// anyone missing from the most recent month is marked departed.
+export function migrateRoster(store) {
+  let roster = []; const next = {};
+  const keys = Object.keys(store).sort();
+  keys.forEach((m) => { const r = reconcileRoster(roster, store[m].associates || [], m); roster = r.roster; next[m] = { ...store[m], associates: r.rows }; });
+  const latestIds = new Set((next[keys[keys.length - 1]]?.associates || []).map((a) => a.id));
+  roster = roster.map((p) => (latestIds.has(p.id) ? p : { ...p, status: 'departed' }));
+  return { store: next, roster };
+}
+
+// Starting a month: everyone active on the roster, targets carried over from the latest earlier month
+export function newMonthState(store, month, roster, kpis) {
+  const prev = Object.keys(store).filter((m) => m < month).sort().pop();
+  const targets = { ...defaultTargets(kpis), ...(prev ? store[prev].targets : {}) };
+  const associates = roster.filter((p) => p.status === 'active').map((p) => ({ id: p.id, name: p.name, activity: {} }));
+  return { kpis, targets, associates };
+}
+
+// An imported CSV applied to this month's rows. With a date column each row sets that day's activity;
+// without one the values are month totals and replace the associate's activity for that KPI with a
+// single entry on the 1st (as migrateAssociate does). Blank cells leave a KPI alone, rows with errors are
+// skipped, and names are matched to the month, then the roster, else added to both.
+// -> { rows, roster, preview: [{ name, isNew, lines, before, after }], errors: [{ line, message }], applied }
+export function planCsvImport(table, mapping, { rows, roster, kpis, month }) {
+  const mapped = activeKpis(kpis).filter((k) => mapping.kpis[k.key] >= 0);
+  const errors = [];
+  if (mapping.name < 0) errors.push({ line: 1, message: 'Choose the column that holds associate names' });
+  if (!mapped.length) errors.push({ line: 1, message: 'Map at least one KPI column' });
+  if (errors.length) return { rows, roster, preview: [], errors, applied: 0 };
+
+  const next = rows.map((r) => ({ ...r })); const added = []; const touched = new Map(); const seen = new Set();
+  let applied = 0;
+  table.rows.forEach((cells, i) => {
+    const line = i + 2; // header is line 1
+    const name = (cells[mapping.name] || '').trim();
+    if (!name) { errors.push({ line, message: 'Missing name' }); return; }
+    let date = null;
+    if (mapping.date != null && mapping.date >= 0) {
+      date = parseDateCell(cells[mapping.date]);
+      if (!date) { errors.push({ line, message: `${name}: "${cells[mapping.date] || ''}" is not a date` }); return; }
+      if (!date.startsWith(month)) { errors.push({ line, message: `${name}: ${date} is outside ${month}` }); return; }
+    }
+    const values = {}; const problems = [];
+    mapped.forEach((k) => {
+      const raw = cells[mapping.kpis[k.key]]; const v = parseNumberCell(raw);
+      if (v === null) return;
+      if (Number.isNaN(v) || v < 0) problems.push(`${k.label} "${raw}" is not a number`); else values[k.key] = v;
+    });
+    if (problems.length) { errors.push({ line, message: `${name}: ${problems.join(', ')}` }); return; }
+    if (!Object.keys(values).length) return;
+    const once = `${name.toLowerCase()}|${date || ''}`;
+    if (seen.has(once)) { errors.push({ line, message: `${name} appears more than once${date ? ` for ${date}` : ''}` }); return; }
+    seen.add(once);
+
+    let row = next.find((r) => sameName(r.name, name)) || added.find((r) => sameName(r.name, name));
+    if (!row) { row = { name, activity: {} }; added.push(row); }
+    if (!touched.has(row)) touched.set(row, { before: associateTotals(row, kpis), lines: [] });
+    if (date) row.activity = setDayActivity(row.activity, date, values);
+    else {
+      Object.keys(values).forEach((k) => {
+        Object.keys(row.activity || {}).forEach((d) => { if (row.activity[d][k] != null) row.activity = setDayActivity(row.activity, d, { [k]: 0 }); });
+        row.activity = setDayActivity(row.activity, `${month}-01`, { [k]: values[k] });
+      });
+    }
+    touched.get(row).lines.push(line); applied++;
+  });
+
+  const r = reconcileRoster(roster, added, month);
+  const preview = [...touched].map(([row, t]) => ({ name: row.name, isNew: !roster.some((p) => sameName(p.name, row.name)), lines: t.lines, before: t.before, after: associateTotals(row, kpis) }));
+  return { rows: [...next, ...r.rows], roster: r.roster, preview, errors, applied };
+}
@@ -0,0 +1,464 @@
+/*************************
+ * Self-Tests             *
+ *************************/
+// The app's self-tests for everything that runs without a phone. The Tests tab runs them next to the
+// device-only checks; `npm test` (scripts/test.mjs) runs them in Node.
+import { DEFAULT_KPIS, DEFAULT_EMAIL, EMAIL_WEBHOOK_URL_KEY, ROSTER_KEY, DESTINATIONS_KEY, AUDIT_INDEX_KEY, SYNC_KEY, LS_KEY, defaultTargets, kpiKeyFromLabel, pct, pace, toCSV, genId, setDayActivity, associateTotals, targetFactor, planFor, effectiveTargets, teamTargetsFor, progressPct, migrateAssociate } from './core.js';
+import { DEFAULT_CALENDAR, monthKey, dayKey, shiftDay, isWorkingDay, workingDays, workingDayProgress, availability, mergeHolidays, addLeave, validTimeZone, wallClock } from './calendar.js';
+import { reconcileRoster, migrateRoster, newMonthState, planCsvImport } from './roster.js';
+import { EMPTY_ORG, scopeAssociates, scopeName, parseReportScope, destinationReports, scopedReports, scopeBreakdown } from './teams.js';
+import { pinLockoutSeconds } from './roles.js';
+import { validPin, createPinLock, checkPin, pinLockOutdated, pinAttempt } from './pin.js';
+import { monthChanges, applyMonthChanges, auditEntry, appendAudit, auditLine, associateHistory, auditCsv, auditPageKey, readAudit, writeAudit } from './audit.js';
+import { STORAGE_MIGRATIONS, SCHEMA_VERSION } from './migrations.js';
+import { backupDiff, mergeBackupState } from './backupState.js';
+import { syncRecords, stateFromSyncRecords, syncStatusLabel, syncRecordOwner, readSyncRecords } from './syncRecords.js';
+import { monthHistory, attainedPct, rollingAverage, financialPeriod, rollUpHistory } from './trends.js';
+import { funnelSource, funnelTotals, funnelRatios, funnelGoalKpi, funnelPlan, rateLabel, planSentence, reportFunnel } from './funnel.js';
+import { DEFAULT_SCORING, leaderboardScore, onTargetStreak, buildLeaderboard } from './leaderboard.js';
+import { associateTableRows, filterTableRows, sortTableRows, parseBulkColumn, applyBulkEntry } from './associatesTable.js';
+import { inQuietHours, DEFAULT_NOTIFICATIONS, dueNotifications } from './notificationRules.js';
+import { snapshotSummary, buildSnapshotText, buildCSVFromAssociates, associateSummaries, reportDeltas, reportDueDay, reportDaysSince, buildReport, stateFromMonthExport } from './report.js';
+import { retryDelayMs, createOutbox } from './outbox.js';
+import { createSync } from './sync.js';
+import { createSyncStore } from './syncStore.js';
+import { createStorage, createMemoryBackend } from './storage.js';
+import { sha256Hex, hmacSha256Hex } from './signing.js';
+import { newDestination, FORMATTERS, buildRequest } from './destinations.js';
+import { buildHtmlReport } from './htmlReport.js';
+import { PACE_COLORS } from './chart.js';
+import { parseCSV, guessColumnMapping, parseDateCell, parseNumberCell } from './csvImport.js';
+import { BACKUP_VERSION, createBackup, readBackupHeader, openBackup, pbkdf2Sha256 } from './backup.js';
+import { parseHolidays } from './holidayImport.js';
+
+// t(name, fn) records fn() === true as a pass; anything else, or a throw, fails with the reason. An fn
+// that returns a promise is judged on what it resolves to; settled() waits for those.
+export function createTestRunner() {
+  const results = []; const pending = [];
+  const verdict = (out) => ({ pass: out === true, details: out === true ? 'OK' : String(out) });
+  const failure = (e) => ({ pass: false, details: String(e?.message || e) });
+  function t(name, fn) {
+    try {
+      const out = fn();
+      const result = { name, ...(out?.then ? { pass: false, details: 'Still running' } : verdict(out)) };
+      results.push(result);
+      if (out?.then) pending.push(out.then((v) => Object.assign(result, verdict(v)), (e) => Object.assign(result, failure(e))));
+    } catch (e) { results.push({ name, ...failure(e) }); }
+  }
+  return { t, results, settled: () => Promise.all(pending) };
+}
+
+// A sync server in memory: fetchImpl answers the sync API with the reference server's store
+function fakeSyncServer() {
+  const store = createSyncStore();
+  const fetchImpl = async (url, init = {}) => {
+    const [, since, limit] = url.match(/since=(\d+)&limit=(\d+)/) || [];
+    const body = init.method === 'POST' ? store.push(JSON.parse(init.body).changes) : store.changesSince(Number(since), Number(limit));
+    return { ok: true, status: 200, json: async () => body };
+  };
+  return { store, fetchImpl };
+}
+
+// A phone whose synced data is the flat records object itself, each record under a storage key of its
+// own name. Set `at` to move its clock; edit() saves a record the way the app does.
+async function fakeSyncDevice(server, id, records, at) {
+  const storage = createStorage({ backend: createMemoryBackend(), prefix: LS_KEY, debounceMs: 0 });
+  await storage.hydrate();
+  const device = { records, at };
+  device.sync = createSync({
+    storage, key: SYNC_KEY, config: async () => ({ enabled: true, url: 'https://sync.example/' }),
+    read: async (keys) => Object.fromEntries(Object.entries(device.records).filter(([k]) => !keys || keys.includes(k))),
+    owner: (k) => k, write: async (next) => { device.records = next; }, newId: () => id, fetchImpl: server.fetchImpl, now: () => device.at,
+  });
+  device.edit = (k, v) => {
+    if (v == null) delete device.records[k]; else device.records[k] = v;
+    device.sync.noteLocalChange(k);
+  };
+  return device;
+}
+
+export function runDomainTests(t) {
+  t('pct handles zero denominator', () => pct(5, 0) === 0);
+  t('pct clamps to 100', () => pct(120, 100) === 100);
+  t('pct normal case', () => pct(50, 100) === 50);
+  t('monthKey formats YYYY-MM', () => monthKey(new Date(2025, 7, 1)) === '2025-08');
+  t('toCSV empty', () => toCSV([]) === '');
+  t('toCSV escaping', () => { const csv = toCSV([{ A: 'a, b', B: '"q"' }]); return csv.startsWith('A,B') && csv.includes('"a, b"') && csv.includes('""q""'); });
+  t('genId unique-ish', () => { const a = genId(); const b = genId(); return a !== b && (a.startsWith('id-') || /^[0-9a-f-]{36}$/.test(a)); });
+  t('snapshot text includes all KPIs', () => { const txt = buildSnapshotText({ month: '2025-08', associates: [{ activity: { '2025-08-04': { connects:1, geoData:2, buyerAppointments:3, marketAppraisals:4, listingsGenerated:5 } } }], targets: defaultTargets(DEFAULT_KPIS) }); return ['Connects','Geo Data','Buyer Appointments','Market Appraisals','Listings Generated'].every(s=>txt.includes(s)); });
+  t('dayKey formats YYYY-MM-DD', () => dayKey(new Date(2025, 7, 5)) === '2025-08-05');
+  t('shiftDay crosses month end', () => shiftDay('2025-08-31', 1) === '2025-09-01');
+  t('setDayActivity drops zero values', () => { const act = setDayActivity({ '2025-08-04': { connects: 5 } }, '2025-08-04', { connects: 0 }); return Object.keys(act).length === 0; });
+  t('associateTotals sums days', () => associateTotals({ activity: { '2025-08-04': { connects: 5 }, '2025-08-05': { connects: 7, geoData: 1 } } }).connects === 12);
+  t('migrateAssociate folds metrics into one entry', () => { const a = migrateAssociate({ id: 'x', name: 'A', metrics: { connects: 120, geoData: 0 } }, '2025-08'); return !a.metrics && a.activity['2025-08-01'].connects === 120 && Object.keys(a.activity).length === 1 && !('geoData' in a.activity['2025-08-01']); });
+  t('snapshot text includes pace', () => { const txt = buildSnapshotText({ month: '2025-08', associates: [], targets: defaultTargets(DEFAULT_KPIS), asOf: new Date(2025, 7, 15) }); return txt.includes('Working day 11 of 21') && txt.includes('Projected'); });
+  t('workingDays skips weekends', () => workingDays('2025-08').length === 21 && !workingDays('2025-08').includes('2025-08-02'));
+  t('workingDayProgress counts today', () => { const p = workingDayProgress('2025-08', new Date(2025, 7, 5)); return p.elapsed === 3 && p.remaining === 18; });
+  t('pace expected and projected', () => { const p = pace(100, 210, { elapsed: 5, total: 21, remaining: 16 }); return p.expected === 50 && p.projected === 420 && p.status === 'ahead'; });
+  t('pace required run-rate', () => pace(10, 210, { elapsed: 5, total: 21, remaining: 16 }).requiredDaily === 12.5);
+  t('snapshot text follows KPI schema', () => { const kpis = [{ key: 'vendorCalls', label: 'Vendor Calls', unit: 'calls', weight: 1, target: 10 }, { key: 'connects', label: 'Connects', archived: true }]; const txt = buildSnapshotText({ month: '2025-08', associates: [], targets: { vendorCalls: 10 }, kpis }); return txt.includes('Vendor Calls: 0 / 10 calls') && !txt.includes('Connects'); });
+  t('CSV columns follow KPI schema', () => buildCSVFromAssociates([{ name: 'A', activity: { '2025-08-04': { rentalAppraisals: 2 } } }], [{ key: 'rentalAppraisals', label: 'Rental Appraisals' }], { rentalAppraisals: 4 }, '2025-08').startsWith('Name,RentalAppraisals,RentalAppraisalsTarget,Progress\n"A","2","4","50%"'));
+  t('kpiKeyFromLabel camel-cases and dedupes', () => kpiKeyFromLabel('Open-home attendees', []) === 'openHomeAttendees' && kpiKeyFromLabel('Connects', DEFAULT_KPIS) === 'connects2');
+  t('progressPct applies weights', () => Math.round(progressPct({ a: 10, b: 0 }, { a: 10, b: 10 }, [{ key: 'a', weight: 3 }, { key: 'b', weight: 1 }])) === 75);
+  t('targetFactor applies part-time percent', () => targetFactor({ percent: 60 }, '2025-08') === 0.6);
+  t('targetFactor steps through ramp', () => { const plan = { ramp: [50, 75, 100], startMonth: '2025-07' }; return targetFactor(plan, '2025-07') === 0.5 && targetFactor(plan, '2025-08') === 0.75 && targetFactor(plan, '2025-12') === 1; });
+  t('effectiveTargets prefers overrides', () => { const t = effectiveTargets({ targetPlan: { percent: 50, overrides: { geoData: 30 } } }, { connects: 800, geoData: 50 }, [{ key: 'connects' }, { key: 'geoData' }], '2025-08'); return t.connects === 400 && t.geoData === 30; });
+  t('teamTargetsFor sums effective targets', () => teamTargetsFor([{ targetPlan: { percent: 50 } }, {}], { connects: 800 }, [{ key: 'connects' }], '2025-08').connects === 1200);
+  t('reconcileRoster matches by name', () => { const r = reconcileRoster([{ id: 'p1', name: 'Bianca', startDate: '2025-07-01', status: 'active' }], [{ id: 'old', name: 'bianca ', activity: {} }, { id: 'n1', name: 'Dev', activity: {} }], '2025-08'); return r.rows[0].id === 'p1' && r.roster.length === 2 && r.roster[1].startDate === '2025-08-01'; });
+  t('migrateRoster departs people missing from latest month', () => { const { roster, store } = migrateRoster({ '2025-07': { associates: [{ id: 'a', name: 'Alex', activity: {} }, { id: 'b', name: 'Bianca', activity: {} }] }, '2025-08': { associates: [{ id: 'c', name: 'Bianca', activity: {} }] } }); return roster.length === 2 && roster.find((p) => p.name === 'Alex').status === 'departed' && store['2025-08'].associates[0].id === 'b' && store['2025-07'].associates.length === 2; });
+  t('newMonthState includes only active roster', () => { const s = newMonthState({ '2025-07': { targets: { connects: 500 } } }, '2025-08', [{ id: 'a', name: 'A', status: 'active' }, { id: 'b', name: 'B', status: 'departed' }, { id: 'c', name: 'C', status: 'leave' }], DEFAULT_KPIS); return s.associates.length === 1 && s.associates[0].id === 'a' && s.targets.connects === 500 && s.targets.geoData === 50; });
+  t('ramp counts from start date', () => targetFactor(planFor({ startDate: '2025-07-14', targetPlan: { ramp: [50, 75, 100] } }), '2025-08') === 0.75);
+  t('storage refuses writes before hydrate', async () => {
+    const backend = createMemoryBackend();
+    const storage = createStorage({ backend, prefix: 'test', debounceMs: 0 });
+    const early = storage.setItem('test_a', '1');
+    await storage.hydrate();
+    const late = storage.setItem('test_a', '2');
+    await storage.flush();
+    return early === false && late === true && (await backend.getItem('test_a')) === '2';
+  });
+  t('storage runs every migration from v0 in order', async () => {
+    const backend = createMemoryBackend({
+      [LS_KEY]: JSON.stringify({ '2025-07': { targets: { connects: 100 }, associates: [{ name: 'Ana', metrics: { connects: 5 } }] }, '2025-08': { targets: {}, associates: [{ name: 'Ben', metrics: {} }] } }),
+      [EMAIL_WEBHOOK_URL_KEY]: '"https://relay.example/send"',
+      [`${LS_KEY}_actionLog`]: JSON.stringify([{ id: 'e1', at: '2025-08-01T00:00:00Z', action: 'resetMonth', month: '2025-07' }]),
+    });
+    const storage = createStorage({ backend, prefix: LS_KEY, migrations: [...STORAGE_MIGRATIONS].reverse(), debounceMs: 0 });
+    await storage.hydrate();
+    const months = await storage.allMonths(); const roster = await storage.getJSON(ROSTER_KEY);
+    const [dest] = await storage.getJSON(DESTINATIONS_KEY); const [entry] = await readAudit(storage);
+    return (await backend.getItem(`${LS_KEY}_schemaVersion`)) === String(SCHEMA_VERSION) && (await backend.getItem(LS_KEY)) === null
+      && storage.listMonths().join() === '2025-07,2025-08' && months['2025-07'].associates[0].activity['2025-07-01'].connects === 5 && months['2025-07'].kpis.length === DEFAULT_KPIS.length
+      && roster.map((p) => `${p.name}:${p.status}`).join() === 'Ana:departed,Ben:active' && months['2025-07'].associates[0].id === roster[0].id
+      && dest.url === 'https://relay.example/send' && entry.actor === 'Manager' && (await backend.getItem(`${LS_KEY}_actionLog`)) === null
+      && (await backend.getItem(`${LS_KEY}_audit`)) === null && (await backend.getItem(auditPageKey('2025-08'))) !== null;
+  });
+  t('storage refuses data from a newer schema', async () => {
+    const storage = createStorage({ backend: createMemoryBackend({ test_schemaVersion: '9' }), prefix: 'test', migrations: [{ version: 1, name: 'one', up: async () => {} }] });
+    try { await storage.hydrate(); return false; } catch (e) { return /schema v9/.test(e.message) && !storage.isHydrated(); }
+  });
+  t('storage batches writes and serialises a month when it is written', async () => {
+    const backend = createMemoryBackend(); let batches = 0;
+    const multiSet = backend.multiSet; backend.multiSet = (pairs) => { batches++; return multiSet(pairs); };
+    const storage = createStorage({ backend, prefix: 'test', debounceMs: 5 });
+    await storage.hydrate();
+    const state = { associates: [] };
+    storage.setMonth('2025-08', state); storage.setItem('test_a', '1');
+    state.associates.push({ id: 'a1', name: 'Ana', activity: {} });
+    const before = await backend.getItem('test_month_2025-08');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    await storage.flush();
+    return before === null && batches === 1 && JSON.parse(await backend.getItem('test_month_2025-08')).associates.length === 1 && (await backend.getItem('test_monthIndex')) === '["2025-08"]';
+  });
+  t('reportDueDay is yesterday before send hour', () => reportDueDay(new Date(2025, 7, 5, 9), 18) === '2025-08-04' && reportDueDay(new Date(2025, 7, 5, 18, 40), 18) === '2025-08-05');
+  t('retryDelayMs backs off and caps', () => retryDelayMs(1) === 5 * 60000 && retryDelayMs(2) === 10 * 60000 && retryDelayMs(20) === 6 * 3600000);
+  t('outbox still sends a day that failed once the next day is queued', async () => {
+    const storage = createStorage({ backend: createMemoryBackend(), prefix: 'test', debounceMs: 0 });
+    await storage.hydrate();
+    const sentDays = []; let up = false;
+    const outbox = createOutbox({
+      storage, key: 'outbox', build: (day) => ({ day }),
+      deliver: async (payload) => { if (!up) return { ok: false, status: 503 }; sentDays.push(payload.day); return { ok: true, status: 200 }; },
+      dueReports: (now) => [{ scope: '', day: dayKey(now) }],
+    });
+    await outbox.process(new Date(2025, 7, 14, 19));
+    up = true;
+    const second = await outbox.process(new Date(2025, 7, 15, 19));
+    const { reports } = await outbox.getState();
+    return second.sent === 2 && sentDays.join() === '2025-08-14,2025-08-15' && reports['2025-08-14'].status === 'sent' && reports['2025-08-14'].attempts === 2;
+  });
+  t('reportDaysSince fills the gap since the last queued day', () => {
+    const calendar = { ...DEFAULT_CALENDAR, skipNonWorking: true };
+    return reportDaysSince(null, '2025-08-15').join() === '2025-08-15' && reportDaysSince('2025-08-12', '2025-08-15').join() === '2025-08-13,2025-08-14,2025-08-15'
+      && reportDaysSince('2025-08-15', '2025-08-15').join() === '2025-08-15' && reportDaysSince('2025-08-14', '2025-08-18', calendar).join() === '2025-08-15,2025-08-18'
+      && reportDaysSince('2025-01-01', '2025-08-15').length === 31;
+  });
+  t('outbox queues the days missed in a two-day gap', async () => {
+    const storage = createStorage({ backend: createMemoryBackend(), prefix: 'test', debounceMs: 0 });
+    await storage.hydrate();
+    const sentDays = [];
+    const outbox = createOutbox({
+      storage, key: 'outbox', build: (day) => ({ day }),
+      deliver: async (payload) => { sentDays.push(payload.day); return { ok: true, status: 200 }; },
+      dueReports: (now, lastQueued) => reportDaysSince(lastQueued[''], dayKey(now)).map((day) => ({ scope: '', day })),
+    });
+    await outbox.process(new Date(2025, 7, 14, 19));
+    const later = await outbox.process(new Date(2025, 7, 17, 19));
+    return later.sent === 3 && sentDays.join() === '2025-08-14,2025-08-15,2025-08-16,2025-08-17';
+  });
+  t('a test send waits for a run in progress and both are logged', async () => {
+    const storage = createStorage({ backend: createMemoryBackend(), prefix: 'test', debounceMs: 0 });
+    await storage.hydrate();
+    const outbox = createOutbox({
+      storage, key: 'outbox', build: (day, { test }) => ({ day, test }),
+      deliver: async () => { await new Promise((resolve) => setTimeout(resolve, 5)); return { ok: true, status: 200 }; },
+      dueReports: (now) => [{ scope: '', day: dayKey(now) }],
+    });
+    const run = outbox.process(new Date(2025, 7, 14, 19));
+    const test = outbox.sendTest('2025-08-14');
+    await Promise.all([run, test]);
+    const { log } = await outbox.getState();
+    return log.map((e) => e.kind).join() === 'test,daily';
+  });
+  t('HMAC-SHA256 matches RFC 4231 vector', () => hmacSha256Hex('Jefe', 'what do ya want for nothing?') === '5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843');
+  t('signed request carries auth and signature', () => { const { init } = buildRequest(newDestination({ url: 'http://localhost:8787', bearerToken: 'tok', signingSecret: 's3cret', headers: 'X-Team: north' }), { reportId: '2025-08-05', subject: 'S', summary: { kpis: [] } }, new Date(1754380800000)); return init.headers.authorization === 'Bearer tok' && init.headers['x-team'] === 'north' && init.headers['x-signature-timestamp'] === '1754380800' && init.headers['x-signature'] === `sha256=${hmacSha256Hex('s3cret', `1754380800.${init.body}`)}`; });
+  t('Slack and Teams formatters', () => { const summary = snapshotSummary({ month: '2025-08', associates: [], targets: defaultTargets(DEFAULT_KPIS), asOf: new Date(2025, 7, 15) }); const r = { subject: 'Daily KPI', summary }; const slack = FORMATTERS.slack(r); const teams = FORMATTERS.teams(r); return slack.blocks[0].type === 'header' && slack.blocks[2].fields.length === 5 && teams['@type'] === 'MessageCard' && teams.sections[0].facts[0].name === 'Connects'; });
+  t('reportDeltas compare day, week and month', () => { const store = { '2025-07': { associates: [{ activity: { '2025-07-04': { connects: 9 }, '2025-07-20': { connects: 100 } } }] }, '2025-08': { associates: [{ activity: { '2025-08-01': { connects: 3 }, '2025-08-04': { connects: 4 }, '2025-08-05': { connects: 6 } } }] } }; const [d, w, m] = reportDeltas(store, '2025-08-05', [{ key: 'connects', label: 'Connects' }]).map((p) => p.kpis[0]); return d.current === 6 && d.change === 2 && w.current === 13 && w.previous === 0 && m.current === 13 && m.previous === 9; });
+  t('HTML report escapes names and embeds chart', () => { const asOf = new Date(2025, 7, 5); const associates = [{ id: 'a', name: '<Bo & Co>', activity: { '2025-08-04': { connects: 40 } } }]; const summary = snapshotSummary({ month: '2025-08', associates, targets: defaultTargets(DEFAULT_KPIS), asOf }); const html = buildHtmlReport({ subject: 'Daily KPI', summary, rows: associateSummaries({ month: '2025-08', associates, targets: defaultTargets(DEFAULT_KPIS), asOf }) }); return html.includes('&lt;Bo &amp; Co&gt;') && !html.includes('<Bo') && html.includes('<svg') && html.includes(PACE_COLORS.behind); });
+  t('parseCSV handles quotes, CRLF and semicolons', () => { const a = parseCSV('\uFEFFName,Connects\r\n"Lee, Sam","1,200"\r\n\r\n'); const b = parseCSV('Agent;Calls\nBo;3'); return a.headers[0] === 'Name' && a.rows.length === 1 && a.rows[0][0] === 'Lee, Sam' && parseNumberCell(a.rows[0][1]) === 1200 && b.rows[0][1] === '3'; });
+  t('guessColumnMapping reads our CSV export', () => { const m = guessColumnMapping(parseCSV(buildCSVFromAssociates([{ name: 'A', activity: {} }])).headers, DEFAULT_KPIS); return m.name === 0 && m.date === null && m.kpis.geoData === 2 && m.kpis.listingsGenerated === 5; });
+  t('parseDateCell reads ISO and day-first dates', () => parseDateCell('2025-08-05') === '2025-08-05' && parseDateCell('5/8/2025') === '2025-08-05' && parseDateCell('31/02/2025') === null);
+  t('planCsvImport matches names and reports row errors', () => { const table = parseCSV('Name,Date,Connects\nalex ,4/8/2025,10\nNew Person,2025-08-05,3\nAlex,2025-09-01,1\n,2025-08-05,1\nBo,2025-08-05,lots'); const mapping = guessColumnMapping(table.headers, DEFAULT_KPIS); const plan = planCsvImport(table, mapping, { rows: [{ id: 'a', name: 'Alex', activity: { '2025-08-04': { connects: 2 } } }], roster: [{ id: 'a', name: 'Alex', status: 'active' }], kpis: DEFAULT_KPIS, month: '2025-08' }); return plan.applied === 2 && plan.errors.map((e) => e.line).join() === '4,5,6' && plan.rows[0].activity['2025-08-04'].connects === 10 && plan.rows.length === 2 && plan.roster.length === 2 && plan.preview.find((p) => p.isNew).name === 'New Person'; });
+  t('planCsvImport without dates replaces month totals', () => { const table = parseCSV('Name,Connects,Geo Data\nAlex,50,'); const plan = planCsvImport(table, guessColumnMapping(table.headers, DEFAULT_KPIS), { rows: [{ id: 'a', name: 'Alex', activity: { '2025-08-04': { connects: 2, geoData: 1 }, '2025-08-05': { connects: 7 } } }], roster: [], kpis: DEFAULT_KPIS, month: '2025-08' }); const t = associateTotals(plan.rows[0]); return t.connects === 50 && t.geoData === 1 && plan.rows[0].activity['2025-08-01'].connects === 50 && plan.preview[0].before.connects === 9; });
+  t('encrypted backup round-trips and rejects a wrong passphrase', async () => {
+    const entries = { [ROSTER_KEY]: '[{"id":"a","name":"Zoë"}]' };
+    const text = await createBackup(entries, { schemaVersion: 4, passphrase: 'pw', randomBytes: (n) => Array.from({ length: n }, (_, i) => i), iterations: 1000 });
+    const rejected = await openBackup(text, { passphrase: 'nope', maxSchemaVersion: 4 }).then(() => false, () => true);
+    return rejected && !text.includes('Zo') && (await openBackup(text, { passphrase: 'pw', maxSchemaVersion: 4 }))[ROSTER_KEY] === entries[ROSTER_KEY];
+  });
+  t('backup with an out-of-range iteration count is refused before key derivation', async () => {
+    const text = await createBackup({}, { schemaVersion: 4, passphrase: 'pw', randomBytes: (n) => Array.from({ length: n }, (_, i) => i), iterations: 1000 });
+    const withIterations = (n) => { const a = JSON.parse(text); a.encryption.iterations = n; return JSON.stringify(a); };
+    return [1e9, 10, 2500.5, '10000'].every((n) => { try { readBackupHeader(withIterations(n), { maxSchemaVersion: 4 }); return false; } catch (e) { return e.message === 'Unsupported backup encryption'; } });
+  });
+  t('backup rejects corrupt and newer files', async () => {
+    const text = await createBackup({ a: '1' }, { schemaVersion: 5 });
+    const bad = async (fn) => { try { await fn(); return false; } catch { return true; } };
+    return await bad(() => readBackupHeader(text, { maxSchemaVersion: 4 })) && await bad(() => openBackup(JSON.stringify({ ...JSON.parse(text), data: '{"a":"2"}' }), { maxSchemaVersion: 5 })) && await bad(() => readBackupHeader('{"month":"2025-08"}', { maxSchemaVersion: 5 }));
+  });
+  t('mergeBackupState fills gaps and keeps device values', () => { const current = { months: { '2025-08': { kpis: DEFAULT_KPIS, targets: { connects: 900 }, associates: [{ id: 'd1', name: 'Alex', activity: { '2025-08-04': { connects: 5 } } }] } }, roster: [{ id: 'd1', name: 'Alex' }], kpis: DEFAULT_KPIS, destinations: [], emailTo: DEFAULT_EMAIL, sendHour: '7' }; const incoming = { months: { '2025-07': { kpis: DEFAULT_KPIS, targets: {}, associates: [] }, '2025-08': { kpis: DEFAULT_KPIS, targets: { connects: 800, geoData: 40 }, associates: [{ id: 'b1', name: 'alex', activity: { '2025-08-04': { connects: 9, geoData: 2 }, '2025-08-05': { connects: 3 } } }, { id: 'b2', name: 'Bo', activity: {} }] } }, roster: [{ id: 'b1', name: 'alex' }, { id: 'b2', name: 'Bo' }], kpis: DEFAULT_KPIS, destinations: [{ id: 'x' }], emailTo: 'me@example.com', sendHour: '9' }; const m = mergeBackupState(current, incoming); const aug = m.months['2025-08']; const alex = aug.associates[0]; return Object.keys(m.months).length === 2 && m.roster.length === 2 && alex.id === 'd1' && alex.activity['2025-08-04'].connects === 5 && alex.activity['2025-08-04'].geoData === 2 && alex.activity['2025-08-05'].connects === 3 && aug.associates.length === 2 && aug.targets.connects === 900 && aug.targets.geoData === 40 && m.emailTo === 'me@example.com' && m.sendHour === '7' && m.destinations.length === 1 && backupDiff(current, incoming).months[0].status === 'only in backup'; });
+  t('backup MACs its header as JSON and still opens a v1 file', async () => {
+    const v1 = '{"format":"sales-targets-backup","version":1,"schemaVersion":4,"createdAt":"2025-08-01T00:00:00.000Z","encryption":{"kdf":"pbkdf2-sha256","iterations":1000,"salt":"AAECAwQFBgcICQoLDA0ODw==","nonce":"AAECAwQFBgcICQoLDA0ODw==","cipher":"hmac-sha256-ctr","mac":"de4f60f5188ea82d58a7290eddd7a8e7a5d143d73bf5d7284075da308e5a7e00"},"data":"Xl4xxouDPYbCBG8zQTrC5g=="}';
+    const v2 = JSON.stringify({ ...JSON.parse(v1), version: 2 });
+    const opened = await openBackup(v1, { passphrase: 'pw', maxSchemaVersion: 4 });
+    const refused = await openBackup(v2, { passphrase: 'pw', maxSchemaVersion: 4 }).then(() => false, (e) => e.message === 'Wrong passphrase, or the backup has been altered');
+    return opened.k === '"Zoë"' && refused && BACKUP_VERSION === 2;
+  });
+  t('backup uses the platform primitives it is given', async () => {
+    const used = [];
+    const primitives = { sha256Hex: (text) => { used.push('sha256'); return sha256Hex(text); }, pbkdf2: async (...args) => { used.push('pbkdf2'); return pbkdf2Sha256(...args); } };
+    const plain = await createBackup({ a: '1' }, { schemaVersion: 4, primitives });
+    const sealed = await createBackup({ a: '2' }, { schemaVersion: 4, passphrase: 'pw', randomBytes: (n) => new Uint8Array(n), iterations: 1000, primitives });
+    const entries = [await openBackup(plain, { maxSchemaVersion: 4, primitives }), await openBackup(sealed, { passphrase: 'pw', maxSchemaVersion: 4 })];
+    return used.join() === 'sha256,pbkdf2,sha256' && entries.map((e) => e.a).join() === '1,2';
+  });
+  t('financialPeriod uses July–June years', () => financialPeriod('2025-07').quarter === 'FY26 Q1' && financialPeriod('2025-12').quarter === 'FY26 Q2' && financialPeriod('2026-01').quarter === 'FY26 Q3' && financialPeriod('2026-06').fy === 'FY26' && financialPeriod('2025-06').fy === 'FY25');
+  t('rollingAverage uses up to 3 months and keeps gaps', () => rollingAverage([3, 6, 9, null, 12]).join() === '3,4.5,6,,10.5');
+  t('monthHistory and roll-ups', () => { const store = { '2025-06': { targets: { connects: 100 }, associates: [{ id: 'a', activity: { '2025-06-02': { connects: 50 } } }] }, '2025-07': { targets: { connects: 100 }, associates: [{ id: 'a', activity: { '2025-07-01': { connects: 120 } } }, { id: 'b', activity: { '2025-07-01': { connects: 30 } } }] } }; const kpis = [{ key: 'connects', label: 'Connects' }]; const team = monthHistory(store, [], kpis); const bee = monthHistory(store, [{ id: 'b', name: 'Bo', targetPlan: { percent: 50 } }], kpis, 'b'); const fy = rollUpHistory(team, 'fy', kpis); return team[1].actual.connects === 150 && team[1].target.connects === 200 && bee[0].actual === null && bee[1].target.connects === 50 && attainedPct(120, 100) === 120 && fy.length === 2 && fy[1].key === 'FY26' && fy[0].actual.connects === 50; });
+  t('funnelRatios follow from-links', () => { const r = funnelRatios({ connects: 400, buyerAppointments: 8, marketAppraisals: 10, listingsGenerated: 2, geoData: 5 }, DEFAULT_KPIS); const appr = r.find((x) => x.key === 'marketAppraisals'); return r.length === 3 && appr.rate === 0.025 && rateLabel(appr) === '2.5% (1 in 40)' && funnelGoalKpi(DEFAULT_KPIS, r).key === 'listingsGenerated'; });
+  t('funnelPlan works back from a listings goal', () => { const r = funnelRatios({ connects: 400, marketAppraisals: 10, listingsGenerated: 2 }, DEFAULT_KPIS); const plan = funnelPlan('listingsGenerated', 2, r, DEFAULT_KPIS); return plan.map((p) => p.needed).join() === '2,10,400' && planSentence(plan) === 'To hit 2 Listings Generated: ~10 Market Appraisals, ~400 Connects at historical rates'; });
+  t('funnelTotals pools the window for one associate', () => { const store = { '2025-06': { associates: [{ id: 'a', activity: { '2025-06-02': { connects: 100 } } }] }, '2025-07': { associates: [{ id: 'a', activity: { '2025-07-01': { connects: 50, marketAppraisals: 3 } } }, { id: 'b', activity: { '2025-07-01': { connects: 999 } } }] }, '2025-08': { associates: [] } }; const f = funnelTotals(store, '2025-07', 2, DEFAULT_KPIS, ['a']); return f.months.join() === '2025-06,2025-07' && f.totals.connects === 150 && f.totals.marketAppraisals === 3; });
+  t('funnelSource falls back for saved schemas', () => funnelSource({ key: 'listingsGenerated' }) === 'marketAppraisals' && funnelSource({ key: 'listingsGenerated', from: null }) === null && funnelSource({ key: 'vendorCalls' }) === null);
+  t('snapshot text includes the funnel', () => { const funnel = reportFunnel({ '2025-08': { associates: [{ activity: { '2025-08-04': { connects: 300, marketAppraisals: 6, listingsGenerated: 1 } } }] } }, '2025-08', 3, DEFAULT_KPIS, { listingsGenerated: 3 }); const txt = buildSnapshotText({ month: '2025-08', associates: [], targets: defaultTargets(DEFAULT_KPIS), funnel }); return txt.includes('Funnel (last 1 month)') && txt.includes('Connects → Market Appraisals: 2% (1 in 50)') && txt.includes('To hit 3 Listings Generated: ~18 Market Appraisals, ~900 Connects'); });
+  t('leaderboardScore weights and uncapped', () => { const kpis = [{ key: 'a', weight: 1 }, { key: 'b', weight: 1 }]; const tot = { a: 30, b: 5 }; const tg = { a: 10, b: 10 }; return leaderboardScore(tot, tg, kpis) === 75 && leaderboardScore(tot, tg, kpis, { uncapped: true }) === 175 && leaderboardScore(tot, tg, kpis, { weights: { b: 0 } }) === 100; });
+  t('buildLeaderboard ranks everyone with movement and badges', () => {
+    const kpis = [{ key: 'connects', label: 'Connects', weight: 1 }, { key: 'listingsGenerated', label: 'Listings', weight: 1 }];
+    const store = { '2025-08': { kpis, targets: { connects: 10, listingsGenerated: 1 }, associates: [
+      { id: 'a', name: 'Ann', activity: { '2025-08-01': { connects: 10 }, '2025-08-12': { listingsGenerated: 1 } } },
+      { id: 'b', name: 'Bo', activity: { '2025-08-04': { connects: 4, listingsGenerated: 1 } } },
+      { id: 'c', name: 'Cy', activity: {} },
+      { id: 'd', name: 'Di', activity: { '2025-08-02': { connects: 2 } } },
+      { id: 'e', name: 'Ed', activity: { '2025-08-03': { connects: 3 } } },
+      { id: 'f', name: 'Flo', activity: { '2025-08-03': { connects: 1 } } }] } };
+    const b = buildLeaderboard(store, [], '2025-08-14');
+    const [ann, bo] = b.entries; const key = (e) => e.badges.map((x) => x.key).join();
+    return b.entries.length === 6 && ann.name === 'Ann' && ann.score === 100 && ann.movement === 1 && key(ann) === 'allTargets' && bo.rank === 2 && bo.movement === -1 && key(bo) === 'first' && b.entries[5].name === 'Cy';
+  });
+  t('buildLeaderboard credits the biggest climber', () => {
+    const kpis = [{ key: 'connects', label: 'Connects' }];
+    const store = { '2025-08': { kpis, targets: { connects: 10 }, associates: [{ id: 'a', name: 'A', activity: { '2025-08-01': { connects: 5 } } }, { id: 'b', name: 'B', activity: { '2025-08-01': { connects: 4 } } }, { id: 'c', name: 'C', activity: { '2025-08-01': { connects: 3 }, '2025-08-12': { connects: 5 } } }] } };
+    const c = buildLeaderboard(store, [], '2025-08-14').entries[0];
+    return c.id === 'c' && c.movement === 2 && c.badges.some((x) => x.key === 'climber');
+  });
+  t('onTargetStreak counts working days on pace and months on target', () => {
+    const kpis = [{ key: 'connects', label: 'Connects' }];
+    const daily = {}; ['2025-08-11', '2025-08-12', '2025-08-13', '2025-08-14'].forEach((d) => (daily[d] = { connects: 1 }));
+    const store = { '2025-07': { kpis, targets: { connects: 5 }, associates: [{ id: 'a', name: 'A', activity: { '2025-07-31': { connects: 6 } } }] }, '2025-08': { kpis, targets: { connects: 21 }, associates: [{ id: 'a', name: 'A', activity: { '2025-08-01': { connects: 7 }, ...daily } }] } };
+    return onTargetStreak(store, [], 'a', '2025-08-14', { streakUnit: 'day' }) === 11 && onTargetStreak(store, [], 'a', '2025-08-18', { streakUnit: 'day' }) === 12 && onTargetStreak(store, [], 'a', '2025-08-19', { streakUnit: 'day' }) === 0 && onTargetStreak(store, [], 'a', '2025-08-14', { streakUnit: 'month' }) === 1;
+  });
+  t('snapshot text includes the leaderboard', () => { const board = { headline: 'Listings', streakUnit: 'day', entries: [{ rank: 1, name: 'Ann', score: 112.5, movement: 2, headline: 3, streak: 4, badges: [{ icon: '💯' }] }, { rank: 2, name: 'Bo', score: 40, movement: null, headline: 0, streak: 0, badges: [] }] }; const txt = buildSnapshotText({ month: '2025-08', associates: [], targets: defaultTargets(DEFAULT_KPIS), leaderboard: board }); return txt.includes('Leaderboard\n1. Ann – 112.5% (▲2) • Listings 3 • 🔥 4d 💯\n2. Bo – 40% (new) • Listings 0'); });
+  t('scopeAssociates follows teams and offices', () => { const org = { offices: [{ id: 'o1', name: 'North' }], teams: [{ id: 't1', name: 'Alpha', officeId: 'o1' }, { id: 't2', name: 'Beta', officeId: null }] }; const people = [{ id: 'a', teamId: 't1' }, { id: 'b', teamId: 't2' }, { id: 'c' }]; const ids = (scope) => scopeAssociates(people, scope, org).map((p) => p.id).join(); return ids({ type: 'all' }) === 'a,b,c' && ids({ type: 'office', id: 'o1' }) === 'a' && ids({ type: 'team', id: 't2' }) === 'b' && ids({ type: 'associate', id: 'c' }) === 'c' && scopeName({ type: 'team', id: 't1' }, org, []) === 'Alpha'; });
+  t('scopeBreakdown rolls up offices and teams', () => { const org = { offices: [{ id: 'o1', name: 'North' }, { id: 'o2', name: 'South' }], teams: [{ id: 't1', name: 'Alpha', officeId: 'o1' }, { id: 't2', name: 'Beta', officeId: 'o1' }] }; const people = [{ id: 'a', teamId: 't1' }, { id: 'b', teamId: 't2' }, { id: 'c' }]; const all = scopeBreakdown(people, { type: 'all' }, org); const north = scopeBreakdown(people.slice(0, 2), { type: 'office', id: 'o1' }, org); return all.label === 'Offices' && all.groups.map((g) => `${g.name}:${g.associates.length}`).join() === 'North:2,Unassigned:1' && north.groups.map((g) => g.name).join() === 'Alpha,Beta' && scopeBreakdown(people, { type: 'team', id: 't1' }, org) === null; });
+  t('scopedReports follow destination subscriptions', () => { const org = { offices: [{ id: 'o1', name: 'North', sendHour: '' }], teams: [{ id: 't1', name: 'Alpha', sendHour: '8', emailTo: 'tl@example.com' }] }; const dests = [{ id: 'd1', url: 'https://x', reports: ['', 'team:t1'] }, { id: 'd2', url: 'https://y', enabled: false, reports: ['office:o1'] }, { id: 'd3', url: 'https://z' }]; const r = scopedReports(org, dests); return r.length === 1 && r[0].key === 'team:t1' && r[0].sendHour === '8' && parseReportScope(r[0].key).id === 't1' && parseReportScope('').type === 'all' && destinationReports(dests[2]).join() === ''; });
+  t('leaderboard and deltas limit to a scope', () => { const kpis = [{ key: 'connects', label: 'Connects' }]; const store = { '2025-08': { kpis, targets: { connects: 10 }, associates: [{ id: 'a', name: 'A', activity: { '2025-08-05': { connects: 5 } } }, { id: 'b', name: 'B', activity: { '2025-08-05': { connects: 9 } } }] } }; const b = buildLeaderboard(store, [], '2025-08-05', DEFAULT_SCORING, ['a']); return b.entries.length === 1 && b.entries[0].rank === 1 && reportDeltas(store, '2025-08-05', kpis, ['a'])[0].kpis[0].current === 5; });
+  t('snapshot text includes the roll-up', () => { const asOf = new Date(2025, 7, 5); const kpis = [{ key: 'connects', label: 'Connects' }]; const group = { name: 'Alpha', ...snapshotSummary({ month: '2025-08', associates: [{ activity: { '2025-08-04': { connects: 4 } } }], targets: { connects: 10 }, kpis, asOf }) }; const breakdown = { label: 'Teams', groups: [group] }; const txt = buildSnapshotText({ month: '2025-08', associates: [], targets: { connects: 10 }, kpis, asOf, breakdown, scopeName: 'North' }); const html = buildHtmlReport({ subject: 'S', summary: { ...snapshotSummary({ month: '2025-08', associates: [], targets: { connects: 10 }, kpis, asOf }), breakdown } }); return txt.startsWith('Sales Targets – North – 2025-08') && txt.includes('Teams\nAlpha (1): Connects 4/10 (40%)') && html.includes('>Team</th>') && html.includes('>Alpha</td>'); });
+  t('sync records round-trip every month, person and setting', () => {
+    const state = { months: { '2025-08': { kpis: DEFAULT_KPIS, targets: { connects: 800 }, associates: [{ id: 'b', name: 'Bo', activity: { '2025-08-04': { connects: 5, geoData: 2 } } }, { id: 'a', name: 'Al', activity: {} }] } }, roster: [{ id: 'b', name: 'Bo' }, { id: 'a', name: 'Al' }], kpis: DEFAULT_KPIS, org: EMPTY_ORG, scoring: DEFAULT_SCORING, audit: [], calendar: { ...DEFAULT_CALENDAR, holidays: [{ date: '2025-08-15', name: 'Show Day' }] } };
+    const records = syncRecords(state);
+    return records['cell:b:2025-08-04:geoData'] === 2 && records['member:2025-08:a'] === 'Al' && records['setting:calendar'].holidays.length === 1 && JSON.stringify(stateFromSyncRecords(records, state)) === JSON.stringify(state);
+  });
+  t('sync records merge edits to different cells of the same day', () => {
+    const base = { months: { '2025-08': { kpis: DEFAULT_KPIS, targets: {}, associates: [{ id: 'a', name: 'Al', activity: { '2025-08-04': { connects: 5 } } }] } }, roster: [], kpis: DEFAULT_KPIS, org: EMPTY_ORG, scoring: DEFAULT_SCORING };
+    const records = { ...syncRecords(base), 'cell:a:2025-08-04:geoData': 3, 'cell:a:2025-08-31:connects': 0, 'cell:gone:2025-08-04:connects': 9 };
+    const act = stateFromSyncRecords(records, base).months['2025-08'].associates[0].activity;
+    return JSON.stringify(act) === JSON.stringify({ '2025-08-04': { connects: 5, geoData: 3 } });
+  });
+  t('sync status label', () => syncStatusLabel({ enabled: false }) === '' && syncStatusLabel({ enabled: true, phase: 'offline', pending: 2 }) === 'Offline • 2 pending' && syncStatusLabel({ enabled: true, phase: 'idle', pending: 1 }) === '1 change pending' && syncStatusLabel({ enabled: true, phase: 'idle', pending: 0, lastSyncAt: '2025-08-04T10:00:00Z' }, new Date('2025-08-04T10:05:00Z')) === 'Synced 5m ago');
+  t('sync carries edits and deletions between two devices through the server', async () => {
+    const server = fakeSyncServer();
+    const a = await fakeSyncDevice(server, 'a', { x: 1, y: 2 }, 1000); const b = await fakeSyncDevice(server, 'b', {}, 1000);
+    await a.sync.run(); await b.sync.run();
+    const pulled = JSON.stringify(b.records);
+    b.at = 2000; b.edit('x', 5); b.edit('y', null); await b.sync.run();
+    a.at = 3000; await a.sync.run();
+    return pulled === '{"x":1,"y":2}' && JSON.stringify(a.records) === '{"x":5}' && a.sync.getStatus().pending === 0 && a.sync.getStatus().revision === 1
+      && server.store.changesSince(0, 10).changes.map((c) => `${c.k}=${c.v}@${c.dev}`).join() === 'x=5@b,y=null@b';
+  });
+  t('the first sync takes the server copy and pushes only what the server lacks', async () => {
+    const server = fakeSyncServer();
+    const a = await fakeSyncDevice(server, 'a', { target: 10 }, 1000); await a.sync.run();
+    const b = await fakeSyncDevice(server, 'b', { target: 99, own: 1 }, 5000); await b.sync.run();
+    return JSON.stringify(b.records) === '{"target":10,"own":1}' && server.store.changesSince(0, 10).changes.map((c) => `${c.k}=${c.v}`).join() === 'target=10,own=1';
+  });
+  t('sync conflicts: the later edit wins, the larger device id breaks a tie, the loser counts as superseded', async () => {
+    const server = fakeSyncServer();
+    const a = await fakeSyncDevice(server, 'a', { x: 0 }, 1000); const b = await fakeSyncDevice(server, 'b', {}, 1000);
+    await a.sync.run(); await b.sync.run();
+    a.at = 2000; a.edit('x', 'older'); b.at = 3000; b.edit('x', 'later');
+    await b.sync.run(); await a.sync.run();
+    const later = a.records.x === 'later' && a.sync.getStatus().superseded === 1;
+    a.at = 4000; b.at = 4000; b.edit('x', 'tie-b'); a.edit('x', 'tie-a');
+    await a.sync.run(); await b.sync.run(); await a.sync.run();
+    const held = server.store.changesSince(0, 10).changes.find((c) => c.k === 'x');
+    return later && held.v === 'tie-b' && held.at === 4000 && a.records.x === 'tie-b' && b.sync.getStatus().superseded === 0
+      && server.store.push([{ k: 'x', v: 'tie-a', at: 4000, dev: 'a' }]).stale.join() === 'x' && server.store.push([{ ...held }]).stale.length === 0;
+  });
+  t('manager PIN checks and locks out after repeated misses', () => {
+    const lock = createPinLock('2468', (n) => new Uint8Array(n).fill(7));
+    let throttle = {}; for (let i = 0; i < 5; i++) throttle = pinAttempt(throttle, false, 1000);
+    return checkPin(lock, '2468') && !checkPin(lock, '2469') && !checkPin(lock, '') && !validPin('12a4') && throttle.lockedUntil > 1000 && pinLockoutSeconds(throttle, 1000) === 60 && pinAttempt(throttle, true).lockedUntil === 0;
+  });
+  t('a PIN hashed before the work factor was raised still unlocks and is flagged for rehashing', () => {
+    const legacy = { pinSalt: 'BwcHBwcHBwcHBwcHBwcHBw==', pinHash: 'f0f0d00d4fca91c77ee7d36037f9e565d5aaae9ebe636e359575a8b18bff9bbe' };
+    const lock = createPinLock('2468', (n) => new Uint8Array(n).fill(7));
+    return checkPin(legacy, '2468') && !checkPin(legacy, '2469') && pinLockOutdated(legacy) && !pinLockOutdated(lock) && lock.pinIterations > 2000 && lock.pinHash !== legacy.pinHash;
+  });
+  t('month changes undo and redo, soft delete included', () => {
+    const before = { kpis: DEFAULT_KPIS, targets: { connects: 800 }, associates: [{ id: 'a', name: 'Al', activity: { '2025-08-04': { connects: 5 } } }, { id: 'b', name: 'Bo', activity: {} }] };
+    const after = { ...before, targets: { connects: 900 }, associates: [{ id: 'b', name: 'Bo', activity: { '2025-08-05': { geoData: 2 } } }], deleted: [{ ...before.associates[0], deletedAt: 'x', deletedBy: 'Sam' }] };
+    const changes = monthChanges(before, after);
+    const undone = applyMonthChanges(after, changes, { reverse: true });
+    const redone = applyMonthChanges(undone, changes, { at: 'x', actor: 'Sam' });
+    return changes.length === 3 && changes[0].kind === 'row' && changes[0].to === 'deleted' && JSON.stringify(undone) === JSON.stringify({ kpis: DEFAULT_KPIS, targets: { connects: 800 }, associates: [{ id: 'b', name: 'Bo', activity: {} }, before.associates[0]] })
+      && monthChanges(after, redone).length === 0 && redone.deleted[0].activity['2025-08-04'].connects === 5;
+  });
+  t('audit coalesces quick edits to one cell', () => {
+    const c = (from, to) => [{ kind: 'cell', associateId: 'a', name: 'Al', day: '2025-08-04', kpi: 'connects', from, to }];
+    const e = (changes, s) => auditEntry('metric', { actor: 'Sam', month: '2025-08', changes, at: new Date(`2025-08-04T09:00:${s}Z`) });
+    const log = appendAudit(appendAudit([e(c(0, 1), '00')], e(c(1, 12), '20')), e(c(12, 15), '40'));
+    return log.length === 1 && log[0].changes[0].from === 0 && log[0].changes[0].to === 15 && appendAudit(log, e(c(15, 0), '50')).length === 0;
+  });
+  t('audit line and CSV', () => {
+    const e = auditEntry('target', { actor: 'Sam', month: '2025-08', changes: [{ kind: 'target', kpi: 'connects', from: 800, to: 900 }], at: new Date('2025-08-04T09:30:00Z') });
+    const csv = auditCsv([e, auditEntry('pinSet', { actor: 'Sam', at: new Date('2025-08-04T09:31:00Z') })]).split('\n');
+    return auditLine(e) === '2025-08-04 09:30 Sam: Changed target (2025-08) – Target Connects: 800 → 900' && csv.length === 3 && csv[1].endsWith('"Connects","800","900"') && associateHistory([e], 'a').length === 0;
+  });
+  t('a lazy setJSON serialises the latest trail once, when its batch is written', async () => {
+    const backend = createMemoryBackend();
+    const storage = createStorage({ backend, prefix: 'test', debounceMs: 60000 });
+    await storage.hydrate();
+    let log = []; let stringified = 0;
+    for (let i = 1; i <= 3; i++) {
+      log = appendAudit(log, auditEntry('metric', { actor: 'M', month: '2025-08', changes: [{ kind: 'cell', associateId: 'a', day: '2025-08-05', kpi: 'connects', from: 0, to: i }], at: new Date(2025, 7, 5, 9, 0, i) }));
+      const value = log; storage.setJSON('test_audit', { toJSON: () => { stringified++; return value; } }, { lazy: true });
+    }
+    const queued = await backend.getItem('test_audit');
+    await storage.flush();
+    const saved = JSON.parse(await backend.getItem('test_audit'));
+    return queued === null && stringified === 1 && saved.length === 1 && saved[0].changes[0].to === 3;
+  });
+  t('sync records carry removed rows and the audit trail', () => {
+    const entry = auditEntry('deleteAssociate', { actor: 'Sam', month: '2025-08', at: new Date('2025-08-04T09:30:00Z') });
+    const state = { months: { '2025-08': { kpis: DEFAULT_KPIS, targets: {}, associates: [], deleted: [{ id: 'a', name: 'Al', activity: { '2025-08-04': { connects: 5 } }, deletedAt: 'x', deletedBy: 'Sam' }] } }, roster: [], kpis: DEFAULT_KPIS, org: EMPTY_ORG, scoring: DEFAULT_SCORING, audit: [entry], calendar: DEFAULT_CALENDAR };
+    const records = syncRecords(state);
+    return !('cell:a:2025-08-04:connects' in records) && JSON.stringify(stateFromSyncRecords(records, state)) === JSON.stringify(state);
+  });
+  t('notification rules: log reminder, pace alert, weekly summary', () => {
+    const store = { '2025-08': { kpis: DEFAULT_KPIS, targets: { connects: 800 }, associates: [{ id: 'a', name: 'Al', activity: { '2025-08-15': { connects: 5 } } }, { id: 'b', name: 'Bo', activity: { '2025-08-14': { connects: 800 } } }] } };
+    const rules = DEFAULT_NOTIFICATIONS.rules.map((r) => ({ ...r, enabled: true }));
+    const fri5pm = new Date(2025, 7, 15, 17, 30); const fri9am = new Date(2025, 7, 15, 9, 0);
+    const team = dueNotifications(rules, { store, roster: [], now: fri5pm });
+    const al = dueNotifications(rules, { store, roster: [], selfId: 'a', now: fri5pm });
+    return team.map((n) => n.ruleId).join() === 'log,weekly' && team[0].body.endsWith(': Bo') && al.map((n) => n.ruleId).join() === 'pace-connects,weekly' && al[0].period === '2025-08-15'
+      && dueNotifications(rules, { store, roster: [], now: fri9am }).length === 0 && dueNotifications(rules, { store, roster: [], selfId: 'gone', now: fri5pm }).length === 0;
+  });
+  t('quiet hours span midnight', () => inQuietHours({ enabled: true, start: '21', end: '7' }, new Date(2025, 7, 15, 23)) && inQuietHours({ enabled: true, start: 21, end: 7 }, new Date(2025, 7, 15, 6)) && !inQuietHours({ enabled: true, start: 21, end: 7 }, new Date(2025, 7, 15, 7)) && !inQuietHours({ enabled: false, start: 21, end: 7 }, new Date(2025, 7, 15, 23)));
+  t('month export builds the same report the app sends', () => { const r = buildReport(stateFromMonthExport({ month: '2025-08', associates: [{ id: 'a', name: 'Alex', activity: { '2025-08-04': { connects: 12 } } }] }), '2025-08-04'); return r.reportId === '2025-08-04' && r.text.includes('Connects') && r.csv.includes('Alex') && r.html.includes('<html') && r.summary.month === '2025-08'; });
+  t('calendar: holidays and working week shape pace', () => {
+    const cal = { ...DEFAULT_CALENDAR, holidays: [{ date: '2025-12-25', name: 'Christmas Day' }, { date: '2025-12-26', name: 'Boxing Day' }] };
+    const sixDay = { ...DEFAULT_CALENDAR, weekdays: [1, 2, 3, 4, 5, 6] };
+    return workingDays('2025-12').length === 23 && workingDays('2025-12', cal).length === 21 && !isWorkingDay('2025-12-25', cal) && isWorkingDay('2025-12-27', sixDay)
+      && workingDayProgress('2025-12', new Date(2025, 11, 31), cal).elapsed === 21 && workingDays('2025-08', sixDay).length === 26;
+  });
+  t('leave prorates targets and paces the associate over their own days', () => {
+    const a = { id: 'a', name: 'Al', leave: addLeave([], { from: '2025-08-11', to: '15/08/2025', note: 'Holiday' }), activity: { '2025-08-08': { connects: 300 } } };
+    const [row] = associateSummaries({ month: '2025-08', associates: [a], targets: { connects: 840 }, kpis: [DEFAULT_KPIS[0]], asOf: new Date(2025, 7, 15) });
+    let bad = ''; try { addLeave([], { from: '2025-08-15', to: '2025-08-11' }); } catch (e) { bad = e.message; }
+    return Math.abs(availability(a, '2025-08') - 16 / 21) < 1e-9 && effectiveTargets(a, { connects: 840 }, [DEFAULT_KPIS[0]], '2025-08').connects === 640
+      && effectiveTargets({ ...a, targetPlan: { overrides: { connects: 500 } } }, { connects: 840 }, [DEFAULT_KPIS[0]], '2025-08').connects === 500
+      && row.kpis[0].expected === 240 && row.kpis[0].status === 'ahead' && bad === 'Leave ends before it starts';
+  });
+  t('report schedule: time zone and non-working days', () => {
+    const cal = { ...DEFAULT_CALENDAR, skipNonWorking: true, holidays: [{ date: '2025-12-25', name: 'Christmas Day' }] };
+    const sydney = wallClock(new Date(Date.UTC(2025, 11, 24, 8, 30)), 'Australia/Sydney'); // 19:30 AEDT
+    return dayKey(sydney) === '2025-12-24' && sydney.getHours() === 19 && validTimeZone('Europe/London') && !validTimeZone('Mars/Olympus')
+      && reportDueDay(new Date(2025, 11, 25, 19), 18, cal) === '2025-12-24' && reportDueDay(new Date(2025, 11, 29, 9), 18, cal) === '2025-12-26'
+      && reportDueDay(new Date(2025, 11, 25, 19), 18) === '2025-12-25';
+  });
+  t('holiday import reads ICS and plain lists', () => {
+    const ics = 'BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\nDTSTART;VALUE=DATE:20251225\r\nDTEND;VALUE=DATE:20251227\r\nSUMMARY:Christmas\\, Boxing \r\n Day\r\nEND:VEVENT\r\nBEGIN:VEVENT\r\nDTSTART;VALUE=DATE:20260126\r\nRRULE:FREQ=YEARLY\r\nSUMMARY:Australia Day\r\nEND:VEVENT\r\nEND:VCALENDAR';
+    const a = parseHolidays(ics); const b = parseHolidays('Date,Name\n2025-12-25,Christmas Day\n"26/12/2025","Boxing Day"\nsoon,Party');
+    const merged = mergeHolidays([{ date: '2025-12-25', name: 'Xmas' }, { date: '2025-01-01', name: 'New Year' }], b.holidays);
+    return a.holidays.length === 3 && a.holidays[1].date === '2025-12-26' && a.holidays[0].name === 'Christmas, Boxing Day' && a.errors.length === 1
+      && b.holidays.length === 2 && b.holidays[1].date === '2025-12-26' && b.holidays[1].name === 'Boxing Day' && b.errors.length === 1 && b.errors[0].line === 4
+      && merged.length === 3 && merged[0].date === '2025-01-01' && merged[1].name === 'Christmas Day';
+  });
+  t('associates table searches, filters and sorts', () => {
+    const kpis = [{ key: 'connects', label: 'Connects', target: 20 }];
+    const associates = [{ id: 'a', name: 'Cat', activity: { '2025-08-15': { connects: 12 } } }, { id: 'b', name: 'al', activity: {}, leave: [{ from: '2025-08-15', to: '2025-08-15' }] }, { id: 'c', name: 'Bo', activity: { '2025-08-14': { connects: 4 } } }];
+    const by = (f) => Object.fromEntries(associates.map((a) => [a.id, f(a)]));
+    const progress = { elapsed: 10, total: 20, remaining: 10 };
+    const rows = associateTableRows(associates, { kpis, totals: by((a) => associateTotals(a, kpis)), targets: by(() => ({ connects: 20 })), progress: by(() => progress), day: '2025-08-15' });
+    const ids = (list) => list.map((r) => r.id).join();
+    return ids(sortTableRows(rows)) === 'b,c,a' && ids(sortTableRows(rows, { key: 'connects', desc: true })) === 'a,c,b' && ids(sortTableRows(rows, { key: 'prog' })) === 'b,c,a'
+      && ids(filterTableRows(rows, { filter: 'behind' })) === 'b,c' && ids(filterTableRows(rows, { filter: 'leave' })) === 'b' && ids(filterTableRows(rows, { filter: 'idle' })) === 'b,c'
+      && ids(filterTableRows(rows, { query: ' A ', filter: 'onPace' })) === 'a' && rows[0].pacePct === 120;
+  });
+  t('bulk entry matches pasted values by line or by name', () => {
+    const rows = [{ id: 'a', name: 'Al', activity: { '2025-08-15': { connects: 3, listings: 1 } } }, { id: 'b', name: 'Bo Li', activity: {} }, { id: 'c', name: 'Cy', activity: {} }];
+    const { values, errors } = parseBulkColumn('7\n\nBo Li\t1,200\nx\nDee, 2\n5\n', rows);
+    const next = applyBulkEntry(rows, '2025-08-15', 'connects', { ...values, a: 0 });
+    return JSON.stringify(values) === '{"a":7,"b":1200}' && errors.map((e) => e.line).join() === '4,5,6' && errors[1].message === 'No associate called "Dee"'
+      && JSON.stringify(next[0].activity) === '{"2025-08-15":{"listings":1}}' && next[1].activity['2025-08-15'].connects === 1200 && next[2] === rows[2];
+  });
+  t('an audit edit rewrites only the page of its month', async () => {
+    const written = [];
+    const storage = createStorage({ backend: createMemoryBackend(), prefix: LS_KEY, debounceMs: 0, onWrite: (k) => written.push(k) });
+    await storage.hydrate();
+    const edit = (to, seconds) => auditEntry('metric', { actor: 'M', month: '2025-08', changes: [{ kind: 'cell', associateId: 'a', day: '2025-08-04', kpi: 'connects', from: 0, to }], at: new Date(Date.UTC(2025, 7, 4, 9, 0, seconds)) });
+    const log = [auditEntry('resetMonth', { actor: 'M', month: '2025-07', at: new Date(Date.UTC(2025, 6, 31, 12)) })];
+    await writeAudit(storage, log);
+    written.length = 0;
+    const next = appendAudit(log, edit(1, 0));
+    await writeAudit(storage, next, log);
+    const added = written.join(); written.length = 0;
+    const coalesced = appendAudit(next, edit(2, 10));
+    await writeAudit(storage, coalesced, next);
+    const saved = await readAudit(storage);
+    return added === `${auditPageKey('2025-08')},${AUDIT_INDEX_KEY}` && written.join() === auditPageKey('2025-08') && saved.length === 2 && saved[0].changes[0].to === 2 && saved[1].action === 'resetMonth';
+  });
+  t('sync reads only the records held under the storage keys that changed', async () => {
+    const storage = createStorage({ backend: createMemoryBackend(), prefix: LS_KEY, debounceMs: 0 });
+    await storage.hydrate();
+    const month = (day) => ({ kpis: DEFAULT_KPIS, targets: { connects: 10 }, associates: [{ id: 'a', name: 'Ana', activity: { [day]: { connects: 2 } } }] });
+    storage.setMonth('2025-07', month('2025-07-03')); storage.setMonth('2025-08', month('2025-08-04'));
+    storage.setJSON(ROSTER_KEY, [{ id: 'a', name: 'Ana', status: 'active' }]);
+    await writeAudit(storage, [auditEntry('resetMonth', { at: new Date(Date.UTC(2025, 7, 4)) }), auditEntry('resetMonth', { at: new Date(Date.UTC(2025, 6, 3)) })]);
+    const all = await readSyncRecords(storage);
+    const keys = [`${LS_KEY}_month_2025-08`, auditPageKey('2025-08')];
+    const some = await readSyncRecords(storage, keys);
+    const expected = Object.keys(all).filter((k) => keys.includes(syncRecordOwner(k, all[k])));
+    return Object.keys(all).every((k) => syncRecordOwner(k, all[k])) && Object.keys(some).sort().join() === expected.sort().join()
+      && 'cell:a:2025-08-04:connects' in some && !('cell:a:2025-07-03:connects' in some) && !('person:a' in some) && Object.keys(some).filter((k) => k.startsWith('audit:')).length === 1;
+  });
+}
@@ -0,0 +1,91 @@
+/*************************
+ * Request Signing        *
+ *************************/
+// Plain-JS SHA-256 / HMAC-SHA256 (React Native has no WebCrypto). String inputs are hashed as UTF-8.
+
+const K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+];
+
+export function utf8Bytes(str) {
+  const out = [];
+  for (let i = 0; i < str.length; i++) {
+    let c = str.charCodeAt(i);
+    if (c >= 0xd800 && c <= 0xdbff && i + 1 < str.length) { c = 0x10000 + ((c - 0xd800) << 10) + (str.charCodeAt(++i) - 0xdc00); }
+    if (c < 0x80) out.push(c);
+    else if (c < 0x800) out.push(0xc0 | (c >> 6), 0x80 | (c & 63));
+    else if (c < 0x10000) out.push(0xe0 | (c >> 12), 0x80 | ((c >> 6) & 63), 0x80 | (c & 63));
+    else out.push(0xf0 | (c >> 18), 0x80 | ((c >> 12) & 63), 0x80 | ((c >> 6) & 63), 0x80 | (c & 63));
+  }
+  return out;
+}
+
+const IV = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+
+// Runs the compression function over every whole 64-byte block of msg, starting from state h
+function compress(h, msg) {
+  h = [...h];
+  const w = new Array(64);
+  for (let off = 0; off + 64 <= msg.length; off += 64) {
+    for (let i = 0; i < 16; i++) w[i] = (msg[off + i * 4] << 24) | (msg[off + i * 4 + 1] << 16) | (msg[off + i * 4 + 2] << 8) | msg[off + i * 4 + 3];
+    for (let i = 16; i < 64; i++) {
+      const s0 = ((w[i - 15] >>> 7) | (w[i - 15] << 25)) ^ ((w[i - 15] >>> 18) | (w[i - 15] << 14)) ^ (w[i - 15] >>> 3);
+      const s1 = ((w[i - 2] >>> 17) | (w[i - 2] << 15)) ^ ((w[i - 2] >>> 19) | (w[i - 2] << 13)) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+    let [a, b, c, d, e, f, g, hh] = h;
+    for (let i = 0; i < 64; i++) {
+      const S1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+      const t1 = (hh + S1 + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0;
+      const S0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+      const t2 = (S0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      hh = g; g = f; f = e; e = (d + t1) | 0; d = c; c = b; b = a; a = (t1 + t2) | 0;
+    }
+    h[0] = (h[0] + a) | 0; h[1] = (h[1] + b) | 0; h[2] = (h[2] + c) | 0; h[3] = (h[3] + d) | 0;
+    h[4] = (h[4] + e) | 0; h[5] = (h[5] + f) | 0; h[6] = (h[6] + g) | 0; h[7] = (h[7] + hh) | 0;
+  }
+  return h;
+}
+
+// `state`/`prefixLen` continue a hash whose first prefixLen bytes (whole blocks) are already absorbed
+function sha256Bytes(bytes, state = IV, prefixLen = 0) {
+  const bitLen = (prefixLen + bytes.length) * 8;
+  const msg = [...bytes, 0x80];
+  while (msg.length % 64 !== 56) msg.push(0);
+  const hi = Math.floor(bitLen / 2 ** 32);
+  msg.push((hi >>> 24) & 0xff, (hi >>> 16) & 0xff, (hi >>> 8) & 0xff, hi & 0xff);
+  msg.push((bitLen >>> 24) & 0xff, (bitLen >>> 16) & 0xff, (bitLen >>> 8) & 0xff, bitLen & 0xff);
+  const out = [];
+  compress(state, msg).forEach((x) => out.push((x >>> 24) & 0xff, (x >>> 16) & 0xff, (x >>> 8) & 0xff, x & 0xff));
+  return out;
+}
+
+export function toHex(bytes) { return bytes.map((b) => b.toString(16).padStart(2, '0')).join(''); }
+
+export function sha256Hex(str) { return toHex(sha256Bytes(utf8Bytes(str))); }
+
+// HMAC keyed once: the padded key blocks are absorbed up front, so each call only hashes the message.
+// Takes and returns byte arrays.
+export function hmacSha256(keyBytes) {
+  let k = [...keyBytes];
+  if (k.length > 64) k = sha256Bytes(k);
+  while (k.length < 64) k.push(0);
+  const inner = compress(IV, k.map((b) => b ^ 0x36));
+  const outer = compress(IV, k.map((b) => b ^ 0x5c));
+  return (msgBytes) => sha256Bytes(sha256Bytes(msgBytes, inner, 64), outer, 64);
+}
+
+export function hmacSha256Hex(key, message) { return toHex(hmacSha256(utf8Bytes(key))(utf8Bytes(message))); }
+
+// Receivers recompute HMAC(secret, `${timestamp}.${body}`) and reject stale timestamps to stop replays
+export function signatureHeaders(secret, body, now = new Date()) {
+  const timestamp = String(Math.floor(now.getTime() / 1000));
+  return { 'x-signature-timestamp': timestamp, 'x-signature': `sha256=${hmacSha256Hex(secret, `${timestamp}.${body}`)}` };
+}
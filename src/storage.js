@@ -0,0 +1,164 @@
+/*************************
+ * Versioned Storage      *
+ *************************/
+// Months live under their own keys ("<prefix>_month_2025-08") with an index of month keys,
+// so a keystroke rewrites one month instead of the whole history. Migrations are an ordered
+// list of { version, name, up(db) }; the last version that ran is kept under "<prefix>_schemaVersion".
+// Writes are debounced and batched, and refused until hydrate() has finished. onWrite(key) hears about
+// every accepted write as it is queued. A month is only serialised when its batch is written (or read
+// back), so a burst of keystrokes on one month stringifies it once; setJSON(key, value, { lazy: true })
+// does the same for a value that is replaced rather than mutated.
+
+export function createStorage({ backend, prefix, migrations = [], debounceMs = 400, onWrite }) {
+  const VERSION_KEY = `${prefix}_schemaVersion`;
+  const INDEX_KEY = `${prefix}_monthIndex`;
+  const monthStorageKey = (m) => `${prefix}_month_${m}`;
+  const latestVersion = migrations.reduce((v, m) => Math.max(v, m.version), 0);
+
+  const pending = new Map(); // key -> string, a function returning one, or null to remove
+  let timer = null;
+  let hydrating = null;
+  let hydrated = false;
+  let monthIndex = [];
+  let flushing = Promise.resolve();
+
+  function serialised(key) {
+    const v = pending.get(key);
+    if (typeof v !== 'function') return v;
+    const raw = v(); pending.set(key, raw);
+    return raw;
+  }
+
+  async function readRaw(key) {
+    if (pending.has(key)) return serialised(key);
+    try { return await backend.getItem(key); } catch { return null; }
+  }
+  function parse(raw, fallback) {
+    if (raw == null) return fallback;
+    try { return JSON.parse(raw); } catch { return fallback; }
+  }
+
+  // Direct (unbatched) access handed to migrations
+  const db = {
+    get: (key) => backend.getItem(key),
+    set: (key, value) => backend.setItem(key, value),
+    remove: (key) => backend.removeItem(key),
+    async getJSON(key, fallback = null) { return parse(await backend.getItem(key), fallback); },
+    setJSON: (key, value) => backend.setItem(key, JSON.stringify(value)),
+    async listMonths() { return parse(await backend.getItem(INDEX_KEY), []); },
+    async getMonth(m) { return parse(await backend.getItem(monthStorageKey(m)), null); },
+    async setMonth(m, state) {
+      const index = await db.listMonths();
+      if (!index.includes(m)) await backend.setItem(INDEX_KEY, JSON.stringify([...index, m].sort()));
+      await backend.setItem(monthStorageKey(m), JSON.stringify(state));
+    },
+    async allMonths() {
+      const out = {};
+      for (const m of await db.listMonths()) { const s = await db.getMonth(m); if (s) out[m] = s; }
+      return out;
+    },
+  };
+
+  async function migrate() {
+    let version = Number(await backend.getItem(VERSION_KEY)) || 0;
+    if (version > latestVersion) throw new Error(`Stored data is schema v${version}; this app only understands up to v${latestVersion}`);
+    for (const step of [...migrations].sort((a, b) => a.version - b.version)) {
+      if (step.version <= version) continue;
+      await step.up(db);
+      version = step.version;
+      await backend.setItem(VERSION_KEY, String(version));
+    }
+  }
+
+  function hydrate() {
+    if (!hydrating) {
+      hydrating = migrate()
+        .then(() => db.listMonths())
+        .then((index) => { monthIndex = index; hydrated = true; }, (e) => { hydrating = null; throw e; });
+    }
+    return hydrating;
+  }
+
+  function schedule() {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(() => { timer = null; flush(); }, debounceMs);
+  }
+
+  function flush() {
+    if (timer) { clearTimeout(timer); timer = null; }
+    if (!pending.size) return flushing;
+    const batch = [...pending.keys()].map((k) => [k, serialised(k)]);
+    pending.clear();
+    const sets = batch.filter(([, v]) => v != null);
+    const removes = batch.filter(([, v]) => v == null).map(([k]) => k);
+    flushing = flushing.then(async () => {
+      try {
+        if (sets.length) await backend.multiSet(sets);
+        if (removes.length) await backend.multiRemove(removes);
+      } catch (e) {
+        // Put the batch back unless something newer was queued meanwhile
+        batch.forEach(([k, v]) => { if (!pending.has(k)) pending.set(k, v); });
+        console.log('Storage flush error', e);
+      }
+    });
+    return flushing;
+  }
+
+  function write(key, value) {
+    if (!hydrated) return false;
+    pending.set(key, value);
+    schedule();
+    if (onWrite) onWrite(key);
+    return true;
+  }
+
+  return {
+    hydrate,
+    isHydrated: () => hydrated,
+    flush,
+    version: latestVersion,
+
+    getItem: readRaw,
+    setItem: (key, value) => write(key, value == null ? null : String(value)),
+    async getJSON(key, fallback = null) { return parse(await readRaw(key), fallback); },
+    setJSON: (key, value, { lazy = false } = {}) => write(key, lazy ? () => JSON.stringify(value) : JSON.stringify(value)),
+
+    listMonths: () => [...monthIndex],
+    async getMonth(m) { return parse(await readRaw(monthStorageKey(m)), null); },
+    setMonth(m, state) {
+      if (!write(monthStorageKey(m), () => JSON.stringify(state))) return false;
+      if (!monthIndex.includes(m)) { monthIndex = [...monthIndex, m].sort(); write(INDEX_KEY, JSON.stringify(monthIndex)); }
+      return true;
+    },
+    removeMonth(m) {
+      if (!write(monthStorageKey(m), null)) return false;
+      monthIndex = monthIndex.filter((x) => x !== m); write(INDEX_KEY, JSON.stringify(monthIndex));
+      return true;
+    },
+    async allMonths() {
+      const out = {};
+      for (const m of monthIndex) { const s = parse(await readRaw(monthStorageKey(m)), null); if (s) out[m] = s; }
+      return out;
+    },
+
+    // Raw entries for the schema version, month index, every month and the given keys – what a backup holds.
+    // Feed them to createMemoryBackend() and a second createStorage() to read (and migrate) them again.
+    async snapshot(keys = []) {
+      const out = { [VERSION_KEY]: String(latestVersion), [INDEX_KEY]: JSON.stringify(monthIndex) };
+      for (const key of [...monthIndex.map(monthStorageKey), ...keys]) { const raw = await readRaw(key); if (raw != null) out[key] = raw; }
+      return out;
+    },
+  };
+}
+
+// AsyncStorage-shaped backend over a plain object
+export function createMemoryBackend(entries = {}) {
+  const data = new Map(Object.entries(entries));
+  return {
+    getItem: async (key) => (data.has(key) ? data.get(key) : null),
+    setItem: async (key, value) => { data.set(key, value); },
+    removeItem: async (key) => { data.delete(key); },
+    multiSet: async (pairs) => { pairs.forEach(([k, v]) => data.set(k, v)); },
+    multiRemove: async (keys) => { keys.forEach((k) => data.delete(k)); },
+  };
+}
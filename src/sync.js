@@ -0,0 +1,189 @@
+/*************************
+ * Sync Engine            *
+ *************************/
+// Local-first sync of flat records ({ key: JSON value }) against the REST API served by
+// scripts/sync-server.mjs. The app decides what a record is (one per associate per KPI per day, per
+// target, per roster person, …) and which storage key each one is read from; this module only sees
+// keys and values.
+//
+// Local edits are found by diffing the records against the last known version of each key, stamped
+// with a hybrid clock (wall time, but never behind anything already seen) and queued until pushed.
+// Conflicts resolve per record: the later stamp wins and the device id breaks ties, on the server and
+// on every device alike. A deleted record is kept as null so the deletion syncs too.
+//
+// The first sync with a server pulls before it pushes and lets the server's copy win for every key it
+// already has, so a new phone's empty month can't overwrite the team's targets. Edits still queued
+// from before (say, when the server address changes) keep their stamps and compete as usual.
+
+const PAGE = 500;
+const CAPTURE_DELAY_MS = 1000;
+const SYNC_DELAY_MS = 10 * 1000;
+
+// Same ordering as the server: later `at` wins, then the larger device id
+export function newerVersion(a, b) {
+  if (!b) return true;
+  if (a.at !== b.at) return a.at > b.at;
+  return String(a.dev) > String(b.dev);
+}
+
+function same(a, b) { return JSON.stringify(a ?? null) === JSON.stringify(b ?? null); }
+
+// config() -> { enabled, url, token }; read(keys) -> the records held under those storage keys, or every
+// record for null; owner(recordKey, value) -> the storage key a record is held under; write(records)
+// replaces the app's synced data.
+export function createSync({ storage, key, config, read, owner, write, newId, fetchImpl = (...args) => fetch(...args), now = () => Date.now() }) {
+  let state = null;
+  let running = null;
+  let applying = false;
+  let dirty = new Set(); // storage keys written since the last capture
+  let captureAll = true; // the first capture of a session, or after a first sync, looks at every record
+  let captureTimer = null;
+  let syncTimer = null;
+  let status = { enabled: false, phase: 'idle', pending: 0, lastSyncAt: null, lastError: null, superseded: 0, revision: 0 };
+  const listeners = new Set();
+
+  function emit(patch) {
+    status = { ...status, ...patch };
+    listeners.forEach((fn) => fn(status));
+  }
+
+  async function load() {
+    if (!state) {
+      state = { deviceId: null, server: null, cursor: 0, initialized: false, clock: 0, shadow: {}, queue: {}, lastSyncAt: null, ...(await storage.getJSON(key, {})) };
+      if (!state.deviceId) state.deviceId = newId();
+      emit({ pending: Object.keys(state.queue).length, lastSyncAt: state.lastSyncAt });
+    }
+    return state;
+  }
+  function save() { storage.setJSON(key, state); }
+  function tick() { state.clock = Math.max(now(), state.clock + 1); return state.clock; }
+
+  // Queues every record that differs from its last known version, looking only at the storage keys
+  // written since the last capture. Before the first sync there is nothing to compare against, so
+  // nothing is captured.
+  async function capture() {
+    await load();
+    if (!state.initialized) return 0;
+    const keys = captureAll ? null : [...dirty];
+    captureAll = false; dirty = new Set();
+    let records;
+    try { records = await read(keys); } catch (e) { if (keys) keys.forEach((k) => dirty.add(k)); else captureAll = true; throw e; }
+    const known = keys ? Object.keys(state.shadow).filter((k) => keys.includes(owner(k, state.shadow[k].v))) : Object.keys(state.shadow);
+    let changed = 0;
+    new Set([...Object.keys(records), ...known]).forEach((k) => {
+      const v = records[k] ?? null;
+      if (same(v, state.shadow[k]?.v)) return;
+      const version = { v, at: tick(), dev: state.deviceId };
+      state.shadow[k] = version; state.queue[k] = version; changed++;
+    });
+    if (changed) save();
+    emit({ pending: Object.keys(state.queue).length });
+    return changed;
+  }
+
+  async function request(cfg, path, init = {}) {
+    const headers = { 'content-type': 'application/json', ...(cfg.token ? { authorization: `Bearer ${cfg.token}` } : {}) };
+    const res = await fetchImpl(`${cfg.url.replace(/\/+$/, '')}${path}`, { ...init, headers });
+    if (!res.ok) { const e = new Error(`Sync server responded ${res.status}`); e.status = res.status; throw e; }
+    return res.json();
+  }
+
+  // -> how many of our changes lost to a newer one already on the server
+  async function push(cfg) {
+    const entries = Object.entries(state.queue);
+    let superseded = 0;
+    for (let i = 0; i < entries.length; i += PAGE) {
+      const batch = entries.slice(i, i + PAGE);
+      const res = await request(cfg, '/v1/changes', { method: 'POST', body: JSON.stringify({ device: state.deviceId, changes: batch.map(([k, c]) => ({ k, ...c })) }) });
+      superseded += (res.stale || []).length;
+      // A key edited again while the batch was in flight stays queued
+      batch.forEach(([k, c]) => { if (state.queue[k] === c) delete state.queue[k]; });
+      save();
+    }
+    return superseded;
+  }
+
+  // -> { [key]: value } for every record that changed here
+  async function pull(cfg, serverWins) {
+    const incoming = {};
+    for (let more = true; more;) {
+      const res = await request(cfg, `/v1/changes?since=${state.cursor}&limit=${PAGE}`);
+      (res.changes || []).forEach((c) => {
+        state.clock = Math.max(state.clock, c.at);
+        const mine = state.shadow[c.k] || state.queue[c.k];
+        if (!(serverWins && !state.queue[c.k]) && !newerVersion(c, mine)) return;
+        if (!same(c.v, mine?.v)) incoming[c.k] = c.v;
+        state.shadow[c.k] = { v: c.v, at: c.at, dev: c.dev };
+        delete state.queue[c.k];
+      });
+      state.cursor = res.seq ?? state.cursor;
+      more = !!res.more;
+    }
+    return incoming;
+  }
+
+  async function apply(incoming) {
+    const records = await read(null);
+    Object.keys(incoming).forEach((k) => { if (incoming[k] == null) delete records[k]; else records[k] = incoming[k]; });
+    applying = true;
+    try { await write(records); } finally { applying = false; }
+  }
+
+  async function run() {
+    const cfg = await config();
+    await load();
+    if (!cfg?.enabled || !cfg.url) { emit({ enabled: false }); return status; }
+    // A different server knows nothing we've seen: start over with a first sync
+    if (state.server !== cfg.url) state = { ...state, server: cfg.url, cursor: 0, initialized: false, shadow: {} };
+    emit({ enabled: true, phase: 'syncing' });
+    let applied = false; let superseded = 0;
+    try {
+      if (state.initialized) {
+        await capture();
+        superseded = await push(cfg);
+      }
+      const incoming = await pull(cfg, !state.initialized);
+      if (Object.keys(incoming).length) { await apply(incoming); applied = true; }
+      if (!state.initialized) {
+        state.initialized = true; captureAll = true;
+        await capture();
+        superseded = await push(cfg);
+      }
+      state.lastSyncAt = new Date(now()).toISOString();
+      save();
+      emit({ phase: 'idle', pending: Object.keys(state.queue).length, lastSyncAt: state.lastSyncAt, lastError: null, superseded: status.superseded + superseded, revision: status.revision + (applied ? 1 : 0) });
+    } catch (e) {
+      save();
+      // No HTTP status means the request never got an answer
+      emit({ phase: e?.status ? 'error' : 'offline', pending: Object.keys(state.queue).length, lastError: String(e?.message || e), revision: status.revision + (applied ? 1 : 0) });
+    }
+    return status;
+  }
+
+  const api = {
+    // Capture, push, then pull. Overlapping calls share one run, and a run makes any capture or sync
+    // already scheduled by noteLocalChange redundant.
+    run() {
+      if (!running) {
+        clearTimeout(captureTimer); clearTimeout(syncTimer); captureTimer = null; syncTimer = null;
+        running = run().finally(() => { running = null; });
+      }
+      return running;
+    },
+
+    // Called with the storage key of every local write to synced data: capture soon so the stamp is
+    // close to the edit, then sync once the user pauses. Writes made while applying pulled changes are ignored.
+    noteLocalChange(storageKey) {
+      if (applying) return;
+      dirty.add(storageKey);
+      if (captureTimer) clearTimeout(captureTimer);
+      captureTimer = setTimeout(() => { captureTimer = null; capture().catch((e) => console.log('Sync capture error', e)); }, CAPTURE_DELAY_MS);
+      if (syncTimer) clearTimeout(syncTimer);
+      syncTimer = setTimeout(() => { syncTimer = null; api.run(); }, SYNC_DELAY_MS);
+    },
+
+    getStatus: () => status,
+    subscribe(fn) { listeners.add(fn); fn(status); return () => listeners.delete(fn); },
+  };
+  return api;
+}
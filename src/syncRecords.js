@@ -0,0 +1,109 @@
+/*************************
+ * Sync Records           *
+ *************************/
+// Shared data as flat sync records, so concurrent edits resolve per associate per KPI per day:
+//   cell:<associateId>:<day>:<kpi> -> number      member:<month>:<associateId> -> name
+//   target:<month>:<kpi> -> number                 month:<month>:kpis -> that month's KPI list
+//   person:<id> -> roster entry                    setting:kpis | setting:org | setting:scoring | setting:calendar
+//   deleted:<month>:<associateId> -> soft-deleted row, activity included    audit:<id> -> audit entry
+// Destinations, email settings, the outbox and the sync settings themselves stay on the device.
+import { DEFAULT_KPIS, KPI_SCHEMA_KEY, ROSTER_KEY, LEADERBOARD_KEY, ORG_KEY, AUDIT_INDEX_KEY, CALENDAR_KEY, LS_KEY } from './core.js';
+import { DEFAULT_CALENDAR } from './calendar.js';
+import { auditPageKey, writeAudit } from './audit.js';
+import { readBackupState, readSettings } from './backupState.js';
+
+const SYNCED_SETTING_KEYS = [ROSTER_KEY, KPI_SCHEMA_KEY, ORG_KEY, LEADERBOARD_KEY, AUDIT_INDEX_KEY, CALENDAR_KEY];
+const SETTING_OWNERS = { 'setting:kpis': KPI_SCHEMA_KEY, 'setting:org': ORG_KEY, 'setting:scoring': LEADERBOARD_KEY, 'setting:calendar': CALENDAR_KEY };
+
+function monthStorageKey(m) { return `${LS_KEY}_month_${m}`; }
+
+export function isSyncedKey(key) { return SYNCED_SETTING_KEYS.includes(key) || key.startsWith(`${LS_KEY}_month_`) || key.startsWith(`${LS_KEY}_audit_`); }
+
+// The storage key a record is read from: its month, the roster, its entry's audit page or a setting
+export function syncRecordOwner(key, value) {
+  const [type, m, day] = key.split(':');
+  if (type === 'cell') return monthStorageKey(day.slice(0, 7));
+  if (type === 'person') return ROSTER_KEY;
+  if (type === 'audit') return value?.at ? auditPageKey(value.at.slice(0, 7)) : null;
+  if (type === 'setting') return SETTING_OWNERS[key];
+  return monthStorageKey(m);
+}
+
+// Every record, or only those read from the given storage keys (the ones written since the last
+// capture), so a keystroke doesn't re-read every month
+export async function readSyncRecords(s, keys = null) {
+  if (!keys) return syncRecords(await readBackupState(s));
+  const months = {}; const audit = [];
+  for (const m of s.listMonths()) if (keys.includes(monthStorageKey(m))) { const state = await s.getMonth(m); if (state) months[m] = state; }
+  for (const m of await s.getJSON(AUDIT_INDEX_KEY, [])) if (keys.includes(auditPageKey(m))) audit.push(...(await s.getJSON(auditPageKey(m), [])));
+  const records = syncRecords({ ...(await readSettings(s)), months, audit });
+  Object.keys(records).forEach((k) => { if (!keys.includes(syncRecordOwner(k, records[k]))) delete records[k]; });
+  return records;
+}
+
+export function syncRecords({ months, roster, kpis, org, scoring, audit = [], calendar = DEFAULT_CALENDAR }) {
+  const out = {};
+  Object.keys(months).forEach((m) => {
+    const s = months[m];
+    out[`month:${m}:kpis`] = s.kpis || DEFAULT_KPIS;
+    Object.keys(s.targets || {}).forEach((k) => (out[`target:${m}:${k}`] = s.targets[k]));
+    (s.associates || []).forEach((a) => {
+      out[`member:${m}:${a.id}`] = a.name;
+      Object.keys(a.activity || {}).forEach((d) => Object.keys(a.activity[d]).forEach((k) => (out[`cell:${a.id}:${d}:${k}`] = a.activity[d][k])));
+    });
+    (s.deleted || []).forEach((a) => (out[`deleted:${m}:${a.id}`] = a));
+  });
+  roster.forEach((p) => (out[`person:${p.id}`] = p));
+  audit.forEach((e) => (out[`audit:${e.id}`] = e));
+  Object.assign(out, { 'setting:kpis': kpis, 'setting:org': org, 'setting:scoring': scoring, 'setting:calendar': calendar });
+  return out;
+}
+
+// The inverse; `base` (the device's current state) keeps people and rows in the order they were
+export function stateFromSyncRecords(records, base) {
+  const keys = Object.keys(records);
+  const byOrder = (list) => (x, y) => {
+    const at = (id) => { const i = list.findIndex((p) => p.id === id); return i < 0 ? list.length : i; };
+    return at(x.id) - at(y.id);
+  };
+  const months = {};
+  keys.filter((k) => k.startsWith('month:')).forEach((k) => (months[k.split(':')[1]] = { kpis: records[k], targets: {}, associates: [] }));
+  keys.forEach((k) => {
+    const [type, m, id] = k.split(':');
+    if (type === 'target' && months[m]) months[m].targets[id] = records[k];
+    if (type === 'member' && months[m]) months[m].associates.push({ id, name: records[k], activity: {} });
+    if (type === 'deleted' && months[m]) months[m].deleted = [...(months[m].deleted || []), records[k]];
+  });
+  Object.keys(months).forEach((m) => months[m].associates.sort(byOrder(base.months[m]?.associates || [])));
+  keys.filter((k) => k.startsWith('cell:')).forEach((k) => {
+    const [, id, day, kpi] = k.split(':');
+    const row = months[day.slice(0, 7)]?.associates.find((a) => a.id === id);
+    if (row && Number(records[k])) (row.activity[day] = row.activity[day] || {})[kpi] = Number(records[k]);
+  });
+  const roster = keys.filter((k) => k.startsWith('person:')).map((k) => records[k]).sort(byOrder(base.roster));
+  const audit = keys.filter((k) => k.startsWith('audit:')).map((k) => records[k]).sort((x, y) => (x.at < y.at ? 1 : x.at > y.at ? -1 : 0));
+  return { months, roster, kpis: records['setting:kpis'] || base.kpis, org: records['setting:org'] || base.org, scoring: records['setting:scoring'] || base.scoring, audit, calendar: records['setting:calendar'] || base.calendar };
+}
+
+export async function writeSyncedState(s, state) {
+  s.listMonths().filter((m) => !state.months[m]).forEach((m) => s.removeMonth(m));
+  Object.keys(state.months).forEach((m) => s.setMonth(m, state.months[m]));
+  s.setJSON(ROSTER_KEY, state.roster);
+  s.setJSON(KPI_SCHEMA_KEY, state.kpis);
+  s.setJSON(ORG_KEY, state.org);
+  s.setJSON(LEADERBOARD_KEY, state.scoring);
+  s.setJSON(CALENDAR_KEY, state.calendar);
+  await writeAudit(s, state.audit);
+  await s.flush();
+}
+
+export function syncStatusLabel(s, now = new Date()) {
+  if (!s.enabled) return '';
+  if (s.phase === 'syncing') return 'Syncing…';
+  if (s.phase === 'offline') return `Offline${s.pending ? ` • ${s.pending} pending` : ''}`;
+  if (s.phase === 'error') return 'Sync error';
+  if (s.pending) return `${s.pending} change${s.pending === 1 ? '' : 's'} pending`;
+  if (!s.lastSyncAt) return 'Not synced yet';
+  const mins = Math.floor((now - new Date(s.lastSyncAt)) / 60000);
+  return mins < 1 ? 'Synced just now' : mins < 60 ? `Synced ${mins}m ago` : `Synced ${new Date(s.lastSyncAt).toLocaleString()}`;
+}
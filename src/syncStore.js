@@ -0,0 +1,38 @@
+/*************************
+ * Sync Server Store      *
+ *************************/
+// What scripts/sync-server.mjs keeps and how it merges pushes, without the HTTP and file handling, so
+// the self-tests can run the sync engine against the server's own rules.
+//
+// db is { seq, records: { [key]: { v, at, dev, seq } } }: the winning version of each key, numbered
+// with the sequence of the write that put it there.
+import { newerVersion } from './sync.js';
+
+export function validChange(c) {
+  return c && typeof c.k === 'string' && c.k && typeof c.at === 'number' && Number.isFinite(c.at) && typeof c.dev === 'string' && c.dev && 'v' in c;
+}
+
+export function createSyncStore(db = { seq: 0, records: {} }) {
+  return {
+    // -> { ok, seq, accepted, stale: [keys that lost to a newer version] }. Re-sending the version
+    // already held is neither accepted nor stale.
+    push(changes) {
+      const stale = [];
+      let accepted = 0;
+      changes.forEach((c) => {
+        const held = db.records[c.k];
+        if (!newerVersion(c, held)) { if (!(held.at === c.at && held.dev === c.dev)) stale.push(c.k); return; }
+        db.records[c.k] = { v: c.v, at: c.at, dev: c.dev, seq: ++db.seq };
+        accepted++;
+      });
+      return { ok: true, seq: db.seq, accepted, stale };
+    },
+
+    // -> { changes: [{ k, v, at, dev, seq }], seq, more }
+    changesSince(since, limit) {
+      const list = Object.entries(db.records).filter(([, r]) => r.seq > since).sort((a, b) => a[1].seq - b[1].seq);
+      const page = list.slice(0, limit).map(([k, r]) => ({ k, ...r }));
+      return { changes: page, seq: page.length ? page[page.length - 1].seq : Math.max(since, 0), more: list.length > limit };
+    },
+  };
+}
@@ -0,0 +1,70 @@
+/*************************
+ * Teams & Offices        *
+ *************************/
+// org: { offices: [{ id, name, emailTo, sendHour }], teams: [{ id, name, officeId, leader, emailTo, sendHour }] }.
+// Roster people carry `teamId`. A team or office gets its own daily report once an enabled destination
+// subscribes to it (destination.reports); a blank emailTo or sendHour falls back to the main report's.
+import { genId } from './core.js';
+
+export const EMPTY_ORG = { offices: [], teams: [] };
+
+export const SCOPE_TYPES = [
+  { key: 'all', label: 'All' },
+  { key: 'office', label: 'Office' },
+  { key: 'team', label: 'Team' },
+  { key: 'associate', label: 'Associate' },
+];
+
+export function newOffice(fields = {}) { return { id: genId(), name: 'Office', emailTo: '', sendHour: '', ...fields }; }
+export function newTeam(fields = {}) { return { id: genId(), name: 'Team', officeId: null, leader: '', emailTo: '', sendHour: '', ...fields }; }
+
+function officeOf(person, org) { return org.teams.find((t) => t.id === person.teamId)?.officeId || null; }
+
+// scope: { type: 'all' | 'office' | 'team' | 'associate', id }
+function inScope(person, scope, org) {
+  if (!scope || scope.type === 'all') return true;
+  if (scope.type === 'associate') return person.id === scope.id;
+  if (scope.type === 'team') return person.teamId === scope.id;
+  return officeOf(person, org) === scope.id;
+}
+
+export function scopeAssociates(associates, scope, org) { return associates.filter((a) => inScope(a, scope, org)); }
+
+export function scopeName(scope, org, roster) {
+  if (!scope || scope.type === 'all') return 'All';
+  const list = scope.type === 'office' ? org.offices : scope.type === 'team' ? org.teams : roster;
+  return list.find((x) => x.id === scope.id)?.name || 'Unknown';
+}
+
+// Outbox scope: '' for the main report, 'team:<id>' or 'office:<id>' for roll-ups
+export function reportScopeKey(scope) { return !scope || scope.type === 'all' ? '' : `${scope.type}:${scope.id}`; }
+export function parseReportScope(key) {
+  if (!key) return { type: 'all' };
+  const i = key.indexOf(':');
+  return { type: key.slice(0, i), id: key.slice(i + 1) };
+}
+
+// Destinations saved before teams existed receive the main report only
+export function destinationReports(d) { return d.reports || ['']; }
+
+// Teams and offices with at least one enabled destination subscribed: [{ key, scope, name, emailTo, sendHour }]
+export function scopedReports(org, destinations) {
+  const subscribed = new Set(destinations.filter((d) => d.enabled !== false && d.url).flatMap(destinationReports));
+  return [...org.offices.map((o) => ({ ...o, type: 'office' })), ...org.teams.map((t) => ({ ...t, type: 'team' }))]
+    .map((x) => ({ key: reportScopeKey(x), scope: { type: x.type, id: x.id }, name: x.name, emailTo: x.emailTo, sendHour: x.sendHour }))
+    .filter((r) => subscribed.has(r.key));
+}
+
+// The roll-up under a scope: offices for everyone, teams for an office -> { label, groups: [{ name, associates }] }.
+// People without a team (or a team without an office) are grouped as "Unassigned" when there is one.
+export function scopeBreakdown(associates, scope, org) {
+  let label; let units; let unitOf;
+  if (scope.type === 'all' && org.offices.length) { label = 'Offices'; units = org.offices; unitOf = (a) => officeOf(a, org); }
+  else if (scope.type === 'all' && org.teams.length) { label = 'Teams'; units = org.teams; unitOf = (a) => a.teamId || null; }
+  else if (scope.type === 'office') { label = 'Teams'; units = org.teams.filter((t) => t.officeId === scope.id); unitOf = (a) => a.teamId || null; }
+  else return null;
+  const groups = units.map((u) => ({ name: u.name, associates: associates.filter((a) => unitOf(a) === u.id) })).filter((g) => g.associates.length);
+  const rest = associates.filter((a) => !units.some((u) => u.id === unitOf(a)));
+  if (rest.length) groups.push({ name: 'Unassigned', associates: rest });
+  return { label, groups };
+}
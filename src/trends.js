@@ -0,0 +1,53 @@
+/*************************
+ * Trends                 *
+ *************************/
+// One entry per stored month for the whole team (associateId null) or one associate. Months the
+// associate wasn't on the team have null actual/target so charts show a gap.
+import { associateTotals, effectiveTargets, teamTargetsFor } from './core.js';
+import { DEFAULT_CALENDAR } from './calendar.js';
+import { joinRoster } from './roster.js';
+
+export function monthHistory(store, roster, kpis, associateId = null, calendar = DEFAULT_CALENDAR) {
+  return Object.keys(store || {}).sort().map((m) => {
+    const state = store[m] || {};
+    const people = joinRoster(state.associates || [], roster);
+    const list = associateId ? people.filter((a) => a.id === associateId) : people;
+    if (associateId && !list.length) return { month: m, actual: null, target: null };
+    const actual = {}; kpis.forEach((k) => (actual[k.key] = list.reduce((s, a) => s + (associateTotals(a, kpis)[k.key] || 0), 0)));
+    const target = associateId ? effectiveTargets(list[0], state.targets || {}, kpis, m, calendar) : teamTargetsFor(list, state.targets || {}, kpis, m, calendar);
+    return { month: m, actual, target };
+  });
+}
+
+// Uncapped, so over-achievement shows; null without a target
+export function attainedPct(actual, target) { return target ? Math.round((actual / target) * 100) : null; }
+
+// Mean of the last `size` months that have a value (fewer at the start); a gap stays a gap
+export function rollingAverage(values, size = 3) {
+  return values.map((v, i) => {
+    if (v == null) return null;
+    const win = values.slice(Math.max(0, i - size + 1), i + 1).filter((x) => x != null);
+    return Math.round((win.reduce((s, x) => s + x, 0) / win.length) * 10) / 10;
+  });
+}
+
+// Financial year runs July–June and is named for the year it ends (Jul 2025–Jun 2026 is FY26); Q1 is Jul–Sep
+export function financialPeriod(month) {
+  const [y, m] = month.split('-').map(Number);
+  const fy = `FY${String(m >= 7 ? y + 1 : y).slice(2)}`;
+  return { fy, quarter: `${fy} Q${Math.floor(((m + 5) % 12) / 3) + 1}` };
+}
+
+// Sums monthHistory into quarters or financial years (period: 'quarter' | 'fy')
+export function rollUpHistory(history, period, kpis) {
+  const groups = [];
+  history.forEach((h) => {
+    if (!h.actual) return;
+    const key = financialPeriod(h.month)[period];
+    let g = groups.find((x) => x.key === key);
+    if (!g) { g = { key, months: [], actual: {}, target: {} }; kpis.forEach((k) => { g.actual[k.key] = 0; g.target[k.key] = 0; }); groups.push(g); }
+    g.months.push(h.month);
+    kpis.forEach((k) => { g.actual[k.key] += h.actual[k.key] || 0; g.target[k.key] += h.target[k.key] || 0; });
+  });
+  return groups;
+}